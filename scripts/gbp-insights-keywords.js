@@ -0,0 +1,331 @@
+import "dotenv/config";
+import { DateTime } from "luxon";
+import { loadLedger, planDelivery, findOpenRun, deliverRun, DEFAULT_LEDGER_FILE } from "./lib/delivery-ledger.js";
+import { loadLocationRegistry, resolveLocation } from "./lib/location-registry.js";
+import { getReportRange } from "./lib/date-range.js";
+import { createGbpClient, requestWithRetry, asyncPool } from "./lib/gbp-client.js";
+import { fetchSearchKeywords } from "./lib/performance-api.js";
+import { getRunOptions, filterLocations, writeReport, writeDryRun } from "./lib/run-options.js";
+import {
+  loadAccounts,
+  checkAccounts,
+  accountsLabel,
+  accountEnv,
+  accountJob,
+  listAccountLocations,
+  locationBrand,
+  groupByAccount,
+} from "./lib/accounts.js";
+
+// -------------------- ENV --------------------
+// Make-Webhook je Account: MAKE_INSIGHTS_WEBHOOK_URL_KEYWORDS(_<KEY>)
+const ENV = {
+  // Standorte parallel; das Tempo gegenüber Google regelt das Rate-Limit des Clients
+  CONCURRENCY: Number(process.env.CONCURRENCY || "5"),
+
+  // Zeilen je Make-Batch (Suchbegriff × Standort × Monat, schnell einige Tausend)
+  MAKE_BATCH_SIZE: Number(process.env.MAKE_BATCH_SIZE || "500"),
+
+  // Länge der Top-Liste über alle Standorte (0 = alle Suchbegriffe)
+  TOP_KEYWORDS: Number(process.env.TOP_KEYWORDS || "50"),
+
+  // Zustell-Ledger (Idempotency-Keys, --resume)
+  DELIVERY_LEDGER_FILE: (process.env.DELIVERY_LEDGER_FILE || DEFAULT_LEDGER_FILE).trim(),
+  DELIVERY_RESUME:      process.argv.includes("--resume") || (process.env.DELIVERY_RESUME || "").trim() === "1",
+};
+
+// --location, --account, --dry-run, --out, --format (gbp-CLI)
+const RUN = getRunOptions();
+
+// GBP-Zugangsdaten, Marke und Webhooks je Account (config/accounts.json)
+const ACCOUNTS = loadAccounts({ only: RUN.accounts });
+
+// -------------------- TIME RANGE --------------------
+// Die API kennt nur ganze Monate: Standard Vormonat, --from/--to = alle Monate, die der Zeitraum berührt
+const TZ = "Europe/Berlin";
+
+function getMonths() {
+  const custom = getReportRange(TZ);
+  const first  = custom ? custom.start.startOf("month") : DateTime.now().setZone(TZ).minus({ months: 1 }).startOf("month");
+  const last   = custom ? custom.end.startOf("month") : first;
+
+  const months = [];
+  for (let m = first; m <= last; m = m.plus({ months: 1 })) months.push(m);
+  return months;
+}
+
+const MONTHS = getMonths();
+const start  = MONTHS[0];
+const end    = MONTHS[MONTHS.length - 1].endOf("month");
+const label  = MONTHS.length === 1
+  ? start.toFormat("yyyy-MM")
+  : `${start.toFormat("yyyy-MM")}..${end.toFormat("yyyy-MM")}`;
+
+// -------------------- Standorte (config/locations.json bzw. LOCATION_REGISTRY_FILE) --------------------
+const REGISTRY = loadLocationRegistry();
+
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
+
+// -------------------- GBP: Locations --------------------
+async function listLocations(account) {
+  const out = [];
+  let pageToken = "";
+
+  do {
+    const j = await GBP.getJson(
+      account,
+      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${account.accountId}/locations`,
+      {
+        params: {
+          pageSize:  "100",
+          readMask:  "name,title,storeCode",
+          orderBy:   "storeCode",
+          pageToken,
+        },
+      }
+    );
+    out.push(...(j.locations || []));
+    pageToken = j.nextPageToken || "";
+  } while (pageToken);
+
+  return out;
+}
+
+// -------------------- Top-Suchbegriffe --------------------
+// Über alle Standorte und Monate: Summe der Impressionen (Schwellenwerte zählen nicht mit),
+// Anzahl Standorte mit dem Begriff und wie viele davon nur eine Schwelle (keinen Wert) hatten
+function topKeywords(rows, limit) {
+  const map = new Map();
+  for (const r of rows) {
+    const key = r.keyword.toLowerCase();
+    if (!map.has(key)) map.set(key, { keyword: r.keyword, impressions: 0, standorte: new Set(), counted: new Set() });
+    const k = map.get(key);
+    k.impressions += r.impressions || 0;
+    k.standorte.add(r.Standort);
+    if (r.impressions != null) k.counted.add(r.Standort);
+  }
+
+  const sorted = [...map.values()].sort((a, b) =>
+    b.impressions - a.impressions || b.standorte.size - a.standorte.size || a.keyword.localeCompare(b.keyword)
+  );
+
+  return (limit > 0 ? sorted.slice(0, limit) : sorted).map((k, i) => ({
+    rank:                i + 1,
+    keyword:             k.keyword,
+    impressions:         k.impressions,
+    Standorte:           k.standorte.size,
+    Standorte_threshold: k.standorte.size - k.counted.size,
+  }));
+}
+
+// -------------------- Make Webhook (Ledger) --------------------
+// Jeder Batch mit Idempotency-Key; Status in DELIVERY_LEDGER_FILE, --resume schickt nur Fehlendes.
+// Je Account eigene Ledger-Jobs (accountJob) und Webhooks.
+const JOB = "gbp-insights-keywords";
+
+function chunkArray(arr, size) {
+  if (size <= 0) return [arr];
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+// send(payload, key) für deliverRun: Make-Webhook des Accounts
+function makeSender(account) {
+  const url = accountEnv(account, "MAKE_INSIGHTS_WEBHOOK_URL_KEYWORDS");
+
+  return async (payload, idempotencyKey) => {
+    if (!url) throw new Error(`Missing env: MAKE_INSIGHTS_WEBHOOK_URL_KEYWORDS${account.multi ? `_${account.key}` : ""}`);
+
+    const res = await requestWithRetry(url, {
+      method:  "POST",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": idempotencyKey },
+      body:    JSON.stringify(payload),
+    });
+    const txt = await res.text().catch(() => "");
+    console.log(`🚀 Make Webhook → ${res.status} ${txt.slice(0, 100)}`);
+    if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+  };
+}
+
+async function deliver(account, scope, payloads) {
+  const job = accountJob(JOB, account);
+  if (RUN.dryRun) {
+    console.log(`🧪 Dry-Run: ${payloads.length} Batch(es) → ${writeDryRun(RUN, job, scope, payloads)}`);
+    return;
+  }
+
+  const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+  const run    = planDelivery(ledger, { job, scope, payloads });
+  const { sent, skipped } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, makeSender(account));
+  console.log(`✓ Zugestellt: ${sent} Batch(es)${skipped ? `, ${skipped} bereits zugestellt` : ""}`);
+}
+
+async function resumeDelivery() {
+  const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+  let resumed  = 0;
+  let error    = null;
+
+  for (const account of ACCOUNTS) {
+    const run = findOpenRun(ledger, accountJob(JOB, account));
+    if (!run) continue;
+
+    resumed++;
+    const open = run.batches.filter((b) => b.status !== "delivered").length;
+    console.log(`↻ Resume ${run.id}: ${open} von ${run.batches.length} Batch(es) offen`);
+    try {
+      const { sent } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, makeSender(account));
+      console.log(`✓ Zugestellt: ${sent} Batch(es)`);
+    } catch (e) {
+      error = error || e;
+    }
+  }
+
+  if (!resumed) console.log(`ℹ️  Nichts fortzusetzen (${ENV.DELIVERY_LEDGER_FILE})`);
+  if (error) throw error;
+}
+
+// -------------------- MAIN --------------------
+async function main() {
+  // Resume braucht keine Google-Calls: die Payloads liegen komplett im Ledger
+  if (ENV.DELIVERY_RESUME) {
+    await resumeDelivery();
+    console.log("\n✅ Fertig");
+    return;
+  }
+
+  checkAccounts(ACCOUNTS);
+
+  console.log(`TZ:      ${TZ}`);
+  console.log(`Monat:   ${label} (${start.toISODate()} → ${end.toISODate()})`);
+  console.log(`Account: ${accountsLabel(ACCOUNTS)}`);
+  if (RUN.dryRun) console.log(`Dry-Run: keine Webhooks, Payloads nach ${RUN.out}`);
+
+  console.log("\n1) Access token …");
+  for (const account of ACCOUNTS) await GBP.token(account);
+  console.log("✓ token ok");
+
+  console.log("\n2) Locations …");
+  const locations = filterLocations(
+    await listAccountLocations(ACCOUNTS, listLocations, REGISTRY),
+    RUN.locations,
+    REGISTRY
+  );
+  console.log(`✓ ${locations.length} locations${RUN.locations.length ? ` (--location ${RUN.locations.join(", ")})` : ""}`);
+  // je Standort und Monat mindestens eine Seite (100 Suchbegriffe)
+  for (const line of GBP.estimate({ PERFORMANCE: locations.length * MONTHS.length }, { atLeast: true })) console.log(`ℹ️  ${line}`);
+
+  const rows = [];
+  const skipped = [];
+  const accountByStandort = new Map(); // Standort → Account (Zustellung je Account)
+
+  console.log("\n3) Suchbegriffe (Performance API) …");
+
+  await asyncPool(ENV.CONCURRENCY, locations, async (loc) => {
+    const locationId    = (loc.name || "").split("/").pop();
+    const storeCode     = (loc.storeCode || "").toString().trim();
+    const locationTitle = (loc.title || "").trim();
+
+    if (!locationId) return;
+
+    const place = resolveLocation(REGISTRY, { storeCode, title: locationTitle });
+    if (place.skip) {
+      console.log(`  ⏭ ${locationTitle} (übersprungen)`);
+      return;
+    }
+
+    const standort = place.standort;
+    accountByStandort.set(standort, loc.account);
+
+    // je Monat ein eigener Abruf, sonst summiert Google über den Zeitraum
+    const own = [];
+    try {
+      for (const month of MONTHS) {
+        for (const k of await fetchSearchKeywords(GBP, loc.account, locationId, month, month)) {
+          own.push({
+            Standort:    standort,
+            account_id:  loc.account.accountId,
+            brand:       locationBrand(place, loc.account),
+            month:       month.toFormat("yyyy-MM"),
+            keyword:     k.keyword,
+            impressions: k.impressions,
+            threshold:   k.threshold,
+          });
+        }
+      }
+    } catch (e) {
+      console.warn(`  ⚠ ${standort}: ${e.message}`);
+      skipped.push(standort);
+      return;
+    }
+
+    console.log(`  ✓ ${standort}: ${own.length} Suchbegriffe`);
+    rows.push(...own);
+  });
+
+  rows.sort((a, b) =>
+    a.Standort.localeCompare(b.Standort) || a.month.localeCompare(b.month) || (b.impressions ?? -1) - (a.impressions ?? -1) || a.keyword.localeCompare(b.keyword)
+  );
+
+  const top = topKeywords(rows, ENV.TOP_KEYWORDS);
+
+  console.log(`\n✓ Zeilen (Suchbegriff × Standort × Monat): ${rows.length}`);
+  console.log(`✓ Top-Suchbegriffe: ${top.slice(0, 5).map((k) => `${k.keyword} (${k.impressions})`).join(", ") || "–"}`);
+  if (skipped.length) console.log(`⚠ Übersprungen (${skipped.length}): ${skipped.join(", ")}`);
+
+  // -------------------- CSV Export (--out, --format) --------------------
+  console.log(`\n📄 Gespeichert: ${writeReport(RUN, `gbp-keywords-${label}`, rows)}`);
+  console.log(`📄 Gespeichert: ${writeReport(RUN, `gbp-keywords-${label}_top`, top)}`);
+
+  // -------------------- Make je Account --------------------
+  // Die Dateien oben enthalten alle Accounts; jeder Account geht mit eigener Top-Liste an seinen Webhook
+  let makeError = null;
+
+  for (const [account, accountRows] of groupByAccount(ACCOUNTS, rows, (r) => accountByStandort.get(r.Standort))) {
+    const tag     = account.multi ? ` [${account.key}]` : "";
+    const scope   = `${account.accountId}|${label}`;
+    const missing = skipped.filter((s) => accountByStandort.get(s) === account);
+
+    if (!accountEnv(account, "MAKE_INSIGHTS_WEBHOOK_URL_KEYWORDS") && !RUN.dryRun) {
+      console.log(`ℹ️  MAKE_INSIGHTS_WEBHOOK_URL_KEYWORDS${tag} nicht gesetzt – Webhook übersprungen`);
+      continue;
+    }
+
+    // Zeilen werden aufgeteilt, die Top-Liste geht mit jedem Batch
+    const chunks = chunkArray(accountRows, ENV.MAKE_BATCH_SIZE);
+    if (!chunks.length) chunks.push([]);
+    const accountTop = topKeywords(accountRows, ENV.TOP_KEYWORDS);
+
+    const payloads = chunks.map((chunk, i) => ({
+      type:        "gbp_search_keywords_monthly",
+      month:       label,
+      dateFrom:    start.toISODate(),
+      dateTo:      end.toISODate(),
+      account_id:  account.accountId,
+      brand:       account.brand,
+      row_count:   accountRows.length,
+      batch_index: i + 1,
+      batch_total: chunks.length,
+      count:       chunk.length,
+      skipped:     missing,
+      topKeywords: accountTop,
+      rows:        chunk,
+    }));
+    // Fehler erst nach allen Accounts werfen, die offenen Batches holt --resume nach
+    await deliver(account, scope, payloads).catch((e) => { makeError = makeError || e; });
+  }
+
+  console.log("\n📊 API-Requests");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+
+  if (makeError) throw makeError;
+
+  console.log("\n✅ Fertig");
+}
+
+main().catch((e) => {
+  console.error("\n❌ ERROR:", e?.message || e);
+  process.exit(1);
+});
@@ -1,24 +1,44 @@
 import "dotenv/config";
 import { DateTime } from "luxon";
-import fs from "fs";
-import Papa from "papaparse";
+import { loadLocationRegistry, resolveLocation } from "./lib/location-registry.js";
+import { rollupMetrics } from "./lib/rollups.js";
+import { getReportRange, splitDays } from "./lib/date-range.js";
+import { createGbpClient, asyncPool } from "./lib/gbp-client.js";
+import { getOptionalMetrics } from "./lib/performance-api.js";
+import { getCompareRange, compareFields, sumCompare } from "./lib/period-compare.js";
+import { addKpis, kpiGroup } from "./lib/insights-kpis.js";
+import { getAnomalyOptions, findDataGaps, detectInsightsAnomalies, anomalyRows } from "./lib/insights-anomalies.js";
+import { openWarehouse } from "./lib/warehouse.js";
+import { getRunOptions, filterLocations, writeReport } from "./lib/run-options.js";
+import { chunkArray, listLocations, createInsightsDelivery } from "./lib/insights-job.js";
+import {
+  loadAccounts,
+  checkAccounts,
+  accountsLabel,
+  accountEnv,
+  accountSinks,
+  listAccountLocations,
+  locationBrand,
+  groupByAccount,
+} from "./lib/accounts.js";
 
 // -------------------- ENV --------------------
+// Make-Webhook je Account: MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY(_<KEY>)
 const ENV = {
-  GBP_CLIENT_ID:     (process.env.GBP_CLIENT_ID     || "").trim(),
-  GBP_CLIENT_SECRET: (process.env.GBP_CLIENT_SECRET || "").trim(),
-  GBP_REFRESH_TOKEN: (process.env.GBP_REFRESH_TOKEN || "").trim(),
-  GBP_ACCOUNT_ID:    (process.env.GBP_ACCOUNT_ID    || "").trim(),
+  // Standorte nacheinander wie bisher; das Tempo gegenüber Google regelt das Rate-Limit des Clients
+  CONCURRENCY: Number(process.env.CONCURRENCY || "1"),
 
-  MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY: (process.env.MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY || "").trim(),
+  MAKE_BATCH_SIZE: Number(process.env.MAKE_BATCH_SIZE || "200"),
 
-  CONCURRENCY: Number(process.env.CONCURRENCY || "1"),
+  // --resume: offene Batches aus dem Ledger (DELIVERY_LEDGER_FILE) nachsenden
+  DELIVERY_RESUME: process.argv.includes("--resume") || (process.env.DELIVERY_RESUME || "").trim() === "1",
 };
 
-function mustEnv(key) {
-  if (!ENV[key]) throw new Error(`Missing env: ${key}`);
-  return ENV[key];
-}
+// --location, --account, --dry-run, --out, --format (gbp-CLI)
+const RUN = getRunOptions();
+
+// GBP-Zugangsdaten, Marke und Webhooks je Account (config/accounts.json)
+const ACCOUNTS = loadAccounts({ only: RUN.accounts });
 
 // -------------------- TIME RANGE --------------------
 const TZ = "Europe/Berlin";
@@ -33,97 +53,37 @@ function getPreviousMonthRange() {
   };
 }
 
-const { start, end, label } = getPreviousMonthRange();
-
-// -------------------- StoreCode -> Standort (exakt wie omlocal) --------------------
-const STORE_NAMES = {
-  NTST001: "Alsfeld",
-  NTST002: "Bad Laer",
-  NTST003: "Bad Oeynhausen",
-  NTST004: "Bargfeld-Stegen",
-  NTST005: "Bergisch Gladbach",
-  NTST006: "Berlin-Lichtenberg E",
-  NTST007: "Berlin-Lichtenberg P",
-  NTST008: "Bielefeld-Brackwede",
-  NTST009: "Bielefeld-Innenstadt",
-  NTST010: "Bielefeld-Senne",
-  NTST011: "Bochum-Goy",
-  NTST012: "Bochum SMZ Ruhrpark",
-  NTST013: "Bochum SMZ Mitte",
-  NTST014: "Bochum-Wattenscheid",
-  NTST015: "Bochum-Altenbochum",
-  NTST016: "Bochum-Innenstadt",
-  NTST017: "Bonn",
-  NTST018: "Braunschweig",
-  NTST019: "Brühl",
-  NTST020: "Dorsten",
-  NTST021: "Dortmund",
-  NTST022: "Dortmund-Kirchlinde",
-  NTST023: "Duisburg",
-  NTST024: "Düsseldorf",
-  NTST025: "Essen",
-  NTST026: "Euskirchen",
-  NTST027: "Gelsenkirchen",
-  NTST028: "Gelsenkirchen-Buer",
-  NTST029: "Gladbeck",
-  NTST030: "Hagen",
-  NTST031: "Hamburg-Berliner Tor",
-  NTST032: "Hamburg Kaifu",
-  NTST033: "Hamburg-Rahlstedt",
-  NTST034: "Heidelberg",
-  NTST035: "Herten",
-  NTST036: "Hürth-Gleuel",
-  NTST037: "Hürth-Hermülheim",
-  NTST038: "Kempen",
-  NTST039: "Köln-Ford",
-  NTST040: "Köln-Lindenthal",
-  NTST041: "Köln-Rodenkirchen",
-  NTST042: "Korbach",
-  NTST043: "Krefeld",
-  NTST044: "Leopoldshöhe",
-  NTST045: "Lübbecke",
-  NTST046: "Menden",
-  NTST047: "Mülheim",
-  NTST048: "Mülheim-Flughafen",
-  NTST049: "Neckarsulm",
-  NTST050: "Neuenkirchen",
-  NTST051: "Nieder-Olm",
-  NTST052: "Oer-Erkenschwick",
-  NTST053: "Offenbach",
-  NTST054: "Recklinghausen H.",
-  NTST055: "Recklinghausen O.",
-  NTST056: "Büdingen",
-  NTST057: "Salzgitter MEDIFIT",
-  NTST058: "Salzgitter iTZ Bad",
-  NTST059: "Salzgitter iTZ",
-  NTST060: "Sindelfingen",
-  NTST061: "Solingen",
-  NTST062: "Sülfeld",
-  NTST063: "Troisdorf",
-  NTST064: "Warendorf",
-  NTST065: "Windeck",
-  NTST066: "Witten",
-  NTST067: "Wuppertal",
-};
+// --from/--to: ganzer Monat → "yyyy-MM", sonst "yyyy-MM-dd..yyyy-MM-dd"
+function getCustomRange() {
+  const custom = getReportRange(TZ);
+  if (!custom) return null;
 
-// -------------------- Locations ohne NTST-Code: überspringen --------------------
-const SKIP_TITLES = new Set([
-  "NOVOTERGUM Physiotherapie Berg-Therapie",
-  "NOVOTERGUM Berlin Lichtenberg Logotherapie",
-]);
-
-// -------------------- Locations ohne NTST-Code: Titel -> Standort --------------------
-const TITLE_NAMES = {
-  "NOVOTERGUM Physiotherapie & Ergotherapie Hamburg-Harburg": "Hamburg-Harburg",
-  "NOVOTERGUM Osteopathie Berlin-Lichtenberg Osteo":          "Berlin-Lichtenberg O",
-  "NOVOTERGUM GmbH":                                          "Zentrale",
-  "Berg Therapie - Ganzheitliche Physiotherapie":             "Bornheim (Berg Therapie)",
-  "Berg Therapie - Physiotherapie / Osteopathie & mehr":      "Erftstadt (Berg Therapie)",
-  "Berg Therapie Inh. Christopher Berg":                      "Brühl (Berg Therapie)",
-  "minus85GRAD - KRYOTHERAPIE":                               "minus85GRAD",
-};
+  const { start, end } = custom;
+  const fullMonth = start.hasSame(end, "month") && +start === +start.startOf("month") && +end === +end.endOf("month");
+  return { start, end, label: fullMonth ? start.toFormat("yyyy-MM") : `${start.toISODate()}..${end.toISODate()}` };
+}
+
+const { start, end, label } = getCustomRange() || getPreviousMonthRange();
+
+// Vergleich (prev_*, delta_*): --compare bzw. INSIGHTS_COMPARE (lib/period-compare.js)
+// Standard = Vormonat (bei --from/--to ohne ganze Monate: gleich lang direkt davor); yoy = 52 Wochen früher
+const CMP = getCompareRange(start, end, TZ);
+
+// Anomalien und Datenlücken (lib/insights-anomalies.js): Baseline = baselineDays direkt vor dem Monat
+const ANOMALY = getAnomalyOptions();
+const BASE    = { start: start.minus({ days: ANOMALY.baselineDays }), end: start.minus({ days: 1 }) };
+const DAYS    = splitDays(start, end).map((d) => d.start.toISODate());
+
+// Kette für Median/Perzentilrang der Kennzahlen: alle Standorte, INSIGHTS_KPI_GROUP=brand je Marke
+const KPI_GROUP = kpiGroup();
+
+// -------------------- Standorte (config/locations.json bzw. LOCATION_REGISTRY_FILE) --------------------
+const REGISTRY = loadLocationRegistry();
 
 // -------------------- Metrics --------------------
+// Buchungen, Nachrichten, Food: nur mit INSIGHTS_EXTRA_METRICS (eigene Spalten, zählen zu actions)
+const EXTRA_METRICS = getOptionalMetrics();
+
 const METRICS = [
   "BUSINESS_IMPRESSIONS_DESKTOP_SEARCH",
   "BUSINESS_IMPRESSIONS_MOBILE_SEARCH",
@@ -132,191 +92,113 @@ const METRICS = [
   "WEBSITE_CLICKS",
   "CALL_CLICKS",
   "BUSINESS_DIRECTION_REQUESTS",
+  ...EXTRA_METRICS.map((m) => m.metric),
 ];
 
-// -------------------- HTTP Helpers --------------------
-async function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-async function requestWithRetry(url, options = {}, { retries = 5, baseBackoffMs = 2000 } = {}) {
-  let lastErr;
-  for (let i = 0; i < retries; i++) {
-    try {
-      const res = await fetch(url, options);
-      if (res.status === 429) {
-        const wait = baseBackoffMs * Math.pow(2, i);
-        console.warn(`    429 – warte ${wait}ms …`);
-        await sleep(wait);
-        lastErr = new Error(`HTTP 429 Too Many Requests`);
-        continue;
-      }
-      if ([500, 502, 503, 504].includes(res.status)) {
-        lastErr = new Error(`HTTP ${res.status} ${res.statusText}`);
-        await sleep(baseBackoffMs * Math.pow(2, i));
-        continue;
-      }
-      return res;
-    } catch (e) {
-      lastErr = e;
-      await sleep(baseBackoffMs * Math.pow(2, i));
-    }
-  }
-  throw lastErr || new Error("requestWithRetry failed");
-}
-
-async function getJson(url, { headers = {}, params = null } = {}) {
-  const u = new URL(url);
-  if (params) {
-    for (const [k, v] of Object.entries(params)) {
-      if (v !== undefined && v !== null && String(v).length > 0)
-        u.searchParams.set(k, String(v));
-    }
-  }
-  const res = await requestWithRetry(u.toString(), { headers, method: "GET" });
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`GET ${u.toString()} -> ${res.status}: ${txt}`);
-  }
-  return res.json();
-}
-
-// -------------------- Google OAuth --------------------
-async function getAccessToken() {
-  const body = new URLSearchParams({
-    client_id:     ENV.GBP_CLIENT_ID,
-    client_secret: ENV.GBP_CLIENT_SECRET,
-    refresh_token: ENV.GBP_REFRESH_TOKEN,
-    grant_type:    "refresh_token",
-  });
-
-  const res = await requestWithRetry("https://oauth2.googleapis.com/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body,
-  });
-
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Token error ${res.status}: ${txt}`);
-  const j = JSON.parse(txt);
-  if (!j.access_token) throw new Error(`No access_token: ${txt}`);
-  return j.access_token;
-}
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
 
-// -------------------- GBP: Locations --------------------
-async function listLocations(accessToken, accountId) {
-  const out = [];
-  let pageToken = "";
-
-  do {
-    const j = await getJson(
-      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${accountId}/locations`,
-      {
-        headers: { Authorization: `Bearer ${accessToken}` },
-        params: {
-          pageSize:  "100",
-          readMask:  "name,title,storeCode",
-          orderBy:   "storeCode",
-          pageToken,
-        },
-      }
-    );
-    out.push(...(j.locations || []));
-    pageToken = j.nextPageToken || "";
-  } while (pageToken);
-
-  return out;
-}
+// Tageswerte aus der lokalen SQLite-DB, Google nur für fehlende Tage und das Nachlauf-Fenster
+// (lib/warehouse.js); im Dry-Run eine Kopie im Speicher
+const WAREHOUSE = openWarehouse({ dryRun: RUN.dryRun });
 
 // -------------------- GBP: Performance API --------------------
-async function fetchMetricSum(accessToken, locationId, metric, startDt, endDt) {
-  const j = await getJson(
-    `https://businessprofileperformance.googleapis.com/v1/locations/${locationId}:getDailyMetricsTimeSeries`,
-    {
-      headers: { Authorization: `Bearer ${accessToken}` },
-      params: {
-        dailyMetric:                   metric,
-        "dailyRange.startDate.year":   String(startDt.year),
-        "dailyRange.startDate.month":  String(startDt.month),
-        "dailyRange.startDate.day":    String(startDt.day),
-        "dailyRange.endDate.year":     String(endDt.year),
-        "dailyRange.endDate.month":    String(endDt.month),
-        "dailyRange.endDate.day":      String(endDt.day),
-      },
-    }
+// Fehlende Tage in den Warehouse holen (ein Request, Fallback einzeln), je Metrik die Summe über den Zeitraum;
+// null, wenn Google für keinen Tag Werte hat
+async function fetchInsightsForLocation(account, locationId, startDt, endDt) {
+  await WAREHOUSE.syncDailyMetrics(GBP, account, locationId, METRICS, startDt, endDt);
+  const byMetric = WAREHOUSE.dailyMetrics(locationId, METRICS, startDt, endDt);
+  if (!Object.values(byMetric).some((m) => Object.keys(m).length)) return null;
+  const results  = Object.fromEntries(
+    METRICS.map((m) => [m, Object.values(byMetric[m]).reduce((sum, v) => sum + v, 0)])
   );
 
-  const values = j?.timeSeries?.datedValues || [];
-  return values.reduce((sum, d) => sum + (Number(d.value) || 0), 0);
-}
-
-async function fetchInsightsForLocation(accessToken, locationId, startDt, endDt) {
-  const results = {};
-
-  for (const metric of METRICS) {
-    try {
-      results[metric] = await fetchMetricSum(accessToken, locationId, metric, startDt, endDt);
-    } catch (e) {
-      if (e.message.includes("403")) {
-        results[metric] = 0;
-      } else {
-        throw e;
-      }
-    }
-    await sleep(600);
-  }
-
   const views_search = results["BUSINESS_IMPRESSIONS_DESKTOP_SEARCH"]
                      + results["BUSINESS_IMPRESSIONS_MOBILE_SEARCH"];
   const views_maps   = results["BUSINESS_IMPRESSIONS_DESKTOP_MAPS"]
                      + results["BUSINESS_IMPRESSIONS_MOBILE_MAPS"];
   const views        = views_search + views_maps;
+  const views_mobile = results["BUSINESS_IMPRESSIONS_MOBILE_SEARCH"]
+                     + results["BUSINESS_IMPRESSIONS_MOBILE_MAPS"];
 
   const actions_website            = results["WEBSITE_CLICKS"];
   const actions_phone              = results["CALL_CLICKS"];
   const actions_driving_directions = results["BUSINESS_DIRECTION_REQUESTS"];
-  const actions                    = actions_website + actions_phone + actions_driving_directions;
+  const extra                      = Object.fromEntries(EXTRA_METRICS.map((m) => [m.field, results[m.metric]]));
+  const actions                    = actions_website + actions_phone + actions_driving_directions
+                                   + Object.values(extra).reduce((sum, v) => sum + v, 0);
 
-  return { views, actions, views_search, views_maps, actions_website, actions_phone, actions_driving_directions };
+  return { views, actions, views_search, views_maps, views_mobile, actions_website, actions_phone, actions_driving_directions, ...extra };
 }
 
-// -------------------- Concurrency pool --------------------
-async function asyncPool(limit, items, fn) {
-  const ret = [];
-  const executing = [];
-  for (const item of items) {
-    const p = Promise.resolve().then(() => fn(item));
-    ret.push(p);
-    if (limit <= items.length) {
-      const e = p.then(() => executing.splice(executing.indexOf(e), 1));
-      executing.push(e);
-      if (executing.length >= limit) await Promise.race(executing);
+// views/actions je Tag für die Anomalie-Prüfung; Tage ohne Werte fehlen (statt 0)
+function viewsActionsByDate(byMetric) {
+  const byDate = {};
+  for (const [metric, values] of Object.entries(byMetric)) {
+    const field = metric.startsWith("BUSINESS_IMPRESSIONS_") ? "views" : "actions";
+    for (const [date, v] of Object.entries(values)) {
+      byDate[date] ||= { views: 0, actions: 0 };
+      byDate[date][field] += v;
     }
   }
-  return Promise.all(ret);
+  return byDate;
 }
 
+// -------------------- Make Webhook / Slack / Teams (Ledger, lib/insights-job.js) --------------------
+// Slack/Teams zusätzlich zu Make: SLACK_WEBHOOK_URL_INSIGHTS_MONTHLY(_<KEY>) / TEAMS_WEBHOOK_URL_INSIGHTS_MONTHLY(_<KEY>)
+const SINK_NAME = "INSIGHTS_MONTHLY";
+
+const { deliver, notify, resumeDelivery } = createInsightsDelivery({
+  job:        "gbp-insights-monthly",
+  webhookEnv: "MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY",
+  sinkName:   SINK_NAME,
+  run:        RUN,
+  accounts:   ACCOUNTS,
+});
+
+const METRIC_FIELDS = ["views", "actions", "views_search", "views_maps", "views_mobile", "actions_website", "actions_phone", "actions_driving_directions",
+                       ...EXTRA_METRICS.map((m) => m.field)];
+
+const ZERO = () => Object.fromEntries(METRIC_FIELDS.map((f) => [f, 0]));
+
 // -------------------- MAIN --------------------
 async function main() {
-  mustEnv("GBP_CLIENT_ID");
-  mustEnv("GBP_CLIENT_SECRET");
-  mustEnv("GBP_REFRESH_TOKEN");
-  mustEnv("GBP_ACCOUNT_ID");
+  // Resume braucht keine Google-Calls: die Payloads liegen komplett im Ledger
+  if (ENV.DELIVERY_RESUME) {
+    await resumeDelivery();
+    console.log("\n✅ Fertig");
+    return;
+  }
+
+  checkAccounts(ACCOUNTS);
 
   console.log(`TZ:      ${TZ}`);
   console.log(`Monat:   ${label} (${start.toISODate()} → ${end.toISODate()})`);
-  console.log(`Account: ${ENV.GBP_ACCOUNT_ID}`);
+  console.log(`${`${CMP.name}:`.padEnd(8)} ${CMP.start.toISODate()} → ${CMP.end.toISODate()} (${CMP.mode})`);
+  console.log(`Account: ${accountsLabel(ACCOUNTS)}`);
+  if (RUN.dryRun) console.log(`Dry-Run: keine Webhooks, Payloads nach ${RUN.out}`);
 
   console.log("\n1) Access token …");
-  const accessToken = await getAccessToken();
+  for (const account of ACCOUNTS) await GBP.token(account);
   console.log("✓ token ok");
 
   console.log("\n2) Locations …");
-  const locations = await listLocations(accessToken, ENV.GBP_ACCOUNT_ID);
-  console.log(`✓ ${locations.length} locations`);
+  const locations = filterLocations(
+    await listAccountLocations(ACCOUNTS, (account) => listLocations(GBP, account), REGISTRY),
+    RUN.locations,
+    REGISTRY
+  );
+  console.log(`✓ ${locations.length} locations${RUN.locations.length ? ` (--location ${RUN.locations.join(", ")})` : ""}`);
+  WAREHOUSE.saveLocations(locations);
+  // höchstens je Standort eine Anfrage pro Zeitraum (Monat, Vergleich, Baseline); schon im Warehouse → weniger
+  for (const line of GBP.estimate({ PERFORMANCE: locations.length * 3 })) console.log(`ℹ️  ${line}`);
 
   const rows = [];
   const skipped = [];
+  const series  = [];  // Tageswerte, Baseline und Lücken je Standort → detectInsightsAnomalies
+  const placeByStandort = new Map(); // Standort → Registry-Eintrag (Region, Regionalleitung)
+  const accountByStandort = new Map(); // Standort → Account (Zustellung je Account)
 
   console.log("\n3) Insights (Performance API) …");
 
@@ -327,71 +209,145 @@ async function main() {
 
     if (!locationId) return;
 
-    // Überspringen
-    if (SKIP_TITLES.has(locationTitle)) {
+    // Standort aus der Registry: storeCode → Titel-Alias → locationTitle
+    const place = resolveLocation(REGISTRY, { storeCode, title: locationTitle });
+    if (place.skip) {
       console.log(`  ⏭ ${locationTitle} (übersprungen)`);
       return;
     }
 
-    // Standort-Name: NTST-Map → Titel-Map → locationTitle
-    const standort = STORE_NAMES[storeCode] || TITLE_NAMES[locationTitle] || locationTitle || storeCode;
+    const standort = place.standort;
+    placeByStandort.set(standort, place);
+    accountByStandort.set(standort, loc.account);
 
-    let insights;
+    let insights, prev;
     try {
-      insights = await fetchInsightsForLocation(accessToken, locationId, start, end);
+      insights = (await fetchInsightsForLocation(loc.account, locationId, start, end)) || ZERO();
+      prev     = await fetchInsightsForLocation(loc.account, locationId, CMP.start, CMP.end);
+      await WAREHOUSE.syncDailyMetrics(GBP, loc.account, locationId, METRICS, BASE.start, BASE.end);
     } catch (e) {
       console.warn(`  ⚠ ${standort}: ${e.message}`);
       skipped.push(standort);
       return;
     }
 
+    // Summen oben zählen fehlende Tage/Metriken wie 0 – die Tageswerte zeigen, was wirklich fehlt
+    const byMetric = WAREHOUSE.dailyMetrics(locationId, METRICS, start, end);
+    series.push({
+      Standort:   standort,
+      account_id: loc.account.accountId,
+      brand:      locationBrand(place, loc.account),
+      gaps:       findDataGaps(byMetric, DAYS, WAREHOUSE.fetchedRanges(locationId, METRICS)),
+      cur:        viewsActionsByDate(byMetric),
+      base:       viewsActionsByDate(WAREHOUSE.dailyMetrics(locationId, METRICS, BASE.start, BASE.end)),
+    });
+
     console.log(`  ✓ ${standort}: views=${insights.views} actions=${insights.actions}`);
 
     rows.push({
       Standort:                    standort,
+      account_id:                  loc.account.accountId,
+      brand:                       locationBrand(place, loc.account),
       month:                       label,
       views:                       insights.views,
       actions:                     insights.actions,
       views_search:                insights.views_search,
       views_maps:                  insights.views_maps,
+      views_mobile:                insights.views_mobile,
       actions_website:             insights.actions_website,
       actions_phone:               insights.actions_phone,
       actions_driving_directions:  insights.actions_driving_directions,
+      ...Object.fromEntries(EXTRA_METRICS.map((m) => [m.field, insights[m.field]])),
+      cmp_from:                    CMP.start.toISODate(),
+      cmp_to:                      CMP.end.toISODate(),
+      ...compareFields(insights, prev, METRIC_FIELDS),
     });
   });
 
   rows.sort((a, b) => (a.Standort || "").localeCompare(b.Standort || ""));
 
+  const anomalies = detectInsightsAnomalies(series, DAYS, DateTime.now().setZone(TZ), ANOMALY);
+
+  // Quoten (Actions je 1.000 Views, Anteile) mit Median und Perzentilrang in der Kette (lib/insights-kpis.js)
+  addKpis(rows, KPI_GROUP);
+
+  // Region / Regionalleitung: Summen über rows
+  const { region: regions, manager: managers } = rollupMetrics(rows, (r) => placeByStandort.get(r.Standort), METRIC_FIELDS);
+
   console.log(`\n✓ Locations mit Daten: ${rows.length}`);
+  console.log(`✓ Regionen: ${regions.length} | Regionalleitungen: ${managers.length}`);
   if (skipped.length) console.log(`⚠ Übersprungen (${skipped.length}): ${skipped.join(", ")}`);
+  if (anomalies.length) console.log(`⚠ Anomalien: ${anomalies.length} (${[...new Set(anomalies.map((a) => a.kind))].join(", ")})`);
 
-  // -------------------- CSV Export --------------------
-  const filename = `gbp-insights-${label}.csv`;
-  const csv = Papa.unparse(rows);
-  fs.writeFileSync(filename, "\uFEFF" + csv, "utf-8");
-  console.log(`\n📄 CSV gespeichert: ${filename}`);
-
-  // -------------------- Make Webhook (optional) --------------------
-  if (ENV.MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY) {
-    const res = await requestWithRetry(ENV.MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY, {
-      method:  "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        type:      "gbp_insights_monthly",
-        month:     label,
-        dateFrom:  start.toISODate(),
-        dateTo:    end.toISODate(),
-        row_count: rows.length,
-        skipped,
-        rows,
-      }),
-    });
-    const txt = await res.text().catch(() => "");
-    console.log(`🚀 Make Webhook → ${res.status} ${txt.slice(0, 100)}`);
-  } else {
-    console.log("ℹ️  MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY nicht gesetzt – Webhook übersprungen");
+  // -------------------- CSV Export (--out, --format) --------------------
+  console.log(`\n📄 Gespeichert: ${writeReport(RUN, `gbp-insights-${label}`, rows)}`);
+
+  for (const [suffix, data] of [["region", regions], ["manager", managers], ["anomalies", anomalyRows(anomalies)]]) {
+    console.log(`📄 Gespeichert: ${writeReport(RUN, `gbp-insights-${label}_${suffix}`, data)}`);
+  }
+
+  // -------------------- Make / Slack / Teams je Account --------------------
+  // Die Dateien oben enthalten alle Accounts; jeder Account geht mit eigenen Summen an seine Webhooks
+  let makeError = null;
+
+  for (const [account, accountRows] of groupByAccount(ACCOUNTS, rows, (r) => accountByStandort.get(r.Standort))) {
+    const tag     = account.multi ? ` [${account.key}]` : "";
+    const scope   = `${account.accountId}|${label}`;
+    const missing = skipped.filter((s) => accountByStandort.get(s) === account);
+    const flagged = anomalies.filter((a) => !a.Standort || accountByStandort.get(a.Standort) === account);
+    const rollups = rollupMetrics(accountRows, (r) => placeByStandort.get(r.Standort), METRIC_FIELDS);
+
+    // -------------------- Make Webhook (optional, chunked) --------------------
+    if (accountEnv(account, "MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY") || RUN.dryRun) {
+      const chunks = chunkArray(accountRows, ENV.MAKE_BATCH_SIZE);
+      if (!chunks.length) chunks.push([]);
+
+      const payloads = chunks.map((chunk, i) => ({
+        type:        "gbp_insights_monthly",
+        month:       label,
+        dateFrom:    start.toISODate(),
+        dateTo:      end.toISODate(),
+        compare:     { mode: CMP.mode, dateFrom: CMP.start.toISODate(), dateTo: CMP.end.toISODate() },
+        account_id:  account.accountId,
+        brand:       account.brand,
+        row_count:   accountRows.length,
+        batch_index: i + 1,
+        batch_total: chunks.length,
+        count:       chunk.length,
+        skipped:     missing,
+        anomalies:   flagged,
+        regions:     rollups.region,
+        managers:    rollups.manager,
+        rows:        chunk,
+      }));
+      // Fehler erst nach Slack/Teams werfen, die offenen Batches holt --resume nach
+      await deliver(account, scope, payloads).catch((e) => { makeError = makeError || e; });
+    } else {
+      console.log(`ℹ️  MAKE_INSIGHTS_WEBHOOK_URL_MONTHLY${tag} nicht gesetzt – Webhook übersprungen`);
+    }
+
+    // -------------------- Slack / Teams (Zusammenfassung) --------------------
+    const sinks = accountSinks(account, SINK_NAME);
+    if (sinks.length) {
+      const total = Object.fromEntries(METRIC_FIELDS.map((k) => [k, accountRows.reduce((s, r) => s + (r[k] || 0), 0)]));
+      await notify(account, sinks, scope, {
+        title:     `Google-Profil Insights ${label}${account.multi && account.brand ? ` · ${account.brand}` : ""}`,
+        context:   `${start.toISODate()} – ${end.toISODate()} · ${accountRows.length} Standorte · ${CMP.name} ${CMP.label}${flagged.length ? ` · ⚠ ${flagged.length} Anomalien` : ""}`,
+        total,
+        prevTotal: sumCompare(accountRows, METRIC_FIELDS),
+        extra:     EXTRA_METRICS,
+        locations: accountRows,
+        skipped:   missing,
+      });
+    }
   }
 
+  console.log("\n📊 API-Requests");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+  console.log(`\n🗄  Warehouse ${WAREHOUSE.summary()}`);
+
+  if (makeError) throw makeError;
+
   console.log("\n✅ Fertig");
 }
 
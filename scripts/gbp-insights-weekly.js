@@ -1,436 +1,30 @@
 import "dotenv/config";
-import { DateTime } from "luxon";
-import fs from "fs";
-import Papa from "papaparse";
+import { runInsightsJob } from "./lib/insights-job.js";
 
-// -------------------- ENV --------------------
-const ENV = {
-  GBP_CLIENT_ID:     (process.env.GBP_CLIENT_ID     || "").trim(),
-  GBP_CLIENT_SECRET: (process.env.GBP_CLIENT_SECRET || "").trim(),
-  GBP_REFRESH_TOKEN: (process.env.GBP_REFRESH_TOKEN || "").trim(),
-  GBP_ACCOUNT_ID:    (process.env.GBP_ACCOUNT_ID    || "").trim(),
-
-  MAKE_INSIGHTS_WEBHOOK_URL_WEEKLY: (process.env.MAKE_INSIGHTS_WEBHOOK_URL_WEEKLY || "").trim(),
-
-  CONCURRENCY: Number(process.env.CONCURRENCY || "1"),
-};
-
-function mustEnv(key) {
-  if (!ENV[key]) throw new Error(`Missing env: ${key}`);
-  return ENV[key];
-}
+// -------------------- Insights Weekly --------------------
+// Ablauf, Exporte und Zustellung: lib/insights-job.js
+// Make-Webhook je Account: MAKE_INSIGHTS_WEBHOOK_URL_WEEKLY(_<KEY>)
+// Slack/Teams zusätzlich zu Make: SLACK_WEBHOOK_URL_INSIGHTS_WEEKLY(_<KEY>) / TEAMS_WEBHOOK_URL_INSIGHTS_WEEKLY(_<KEY>)
 
 // -------------------- TIME RANGE --------------------
 // Aktuelle Woche:  Montag vor 2 Wochen bis Sonntag vor 2 Wochen (wegen 7-Tage-Delay)
-// Vorherige Woche: eine Woche früher (für prev_* Felder in combinedInsightsByDate)
-const TZ = "Europe/Berlin";
-
-function getRanges() {
-  const today   = DateTime.now().setZone(TZ).startOf("day");
+function defaultRange(today) {
   const weekday = today.weekday; // 1=Mo … 7=So
   const monday  = today.minus({ days: weekday - 1 }); // Montag diese Woche
 
   const curStart  = monday.minus({ weeks: 2 });        // Montag vor 2 Wochen
   const curEnd    = curStart.plus({ days: 6 });         // Sonntag vor 2 Wochen
 
-  const prevStart = curStart.minus({ weeks: 1 });       // Montag vor 3 Wochen
-  const prevEnd   = prevStart.plus({ days: 6 });        // Sonntag vor 3 Wochen
-
-  return { curStart, curEnd, prevStart, prevEnd };
-}
-
-const { curStart, curEnd, prevStart, prevEnd } = getRanges();
-const dateFrom = curStart.toISODate();
-const dateTo   = curEnd.toISODate();
-
-// -------------------- StoreCode -> Standort --------------------
-const STORE_NAMES = {
-  NTST001: "Alsfeld",         NTST002: "Bad Laer",          NTST003: "Bad Oeynhausen",
-  NTST004: "Bargfeld-Stegen", NTST005: "Bergisch Gladbach",  NTST006: "Berlin-Lichtenberg E",
-  NTST007: "Berlin-Lichtenberg P",                           NTST008: "Bielefeld-Brackwede",
-  NTST009: "Bielefeld-Innenstadt",                           NTST010: "Bielefeld-Senne",
-  NTST011: "Bochum-Goy",      NTST012: "Bochum SMZ Ruhrpark", NTST013: "Bochum SMZ Mitte",
-  NTST014: "Bochum-Wattenscheid",                            NTST015: "Bochum-Altenbochum",
-  NTST016: "Bochum-Innenstadt", NTST017: "Bonn",             NTST018: "Braunschweig",
-  NTST019: "Brühl",           NTST020: "Dorsten",            NTST021: "Dortmund",
-  NTST022: "Dortmund-Kirchlinde", NTST023: "Duisburg",       NTST024: "Düsseldorf",
-  NTST025: "Essen",           NTST026: "Euskirchen",         NTST027: "Gelsenkirchen",
-  NTST028: "Gelsenkirchen-Buer", NTST029: "Gladbeck",        NTST030: "Hagen",
-  NTST031: "Hamburg-Berliner Tor", NTST032: "Hamburg Kaifu", NTST033: "Hamburg-Rahlstedt",
-  NTST034: "Heidelberg",      NTST035: "Herten",             NTST036: "Hürth-Gleuel",
-  NTST037: "Hürth-Hermülheim", NTST038: "Kempen",            NTST039: "Köln-Ford",
-  NTST040: "Köln-Lindenthal", NTST041: "Köln-Rodenkirchen",  NTST042: "Korbach",
-  NTST043: "Krefeld",         NTST044: "Leopoldshöhe",       NTST045: "Lübbecke",
-  NTST046: "Menden",          NTST047: "Mülheim",            NTST048: "Mülheim-Flughafen",
-  NTST049: "Neckarsulm",      NTST050: "Neuenkirchen",       NTST051: "Nieder-Olm",
-  NTST052: "Oer-Erkenschwick", NTST053: "Offenbach",         NTST054: "Recklinghausen H.",
-  NTST055: "Recklinghausen O.", NTST056: "Büdingen",         NTST057: "Salzgitter MEDIFIT",
-  NTST058: "Salzgitter iTZ Bad", NTST059: "Salzgitter iTZ",  NTST060: "Sindelfingen",
-  NTST061: "Solingen",        NTST062: "Sülfeld",            NTST063: "Troisdorf",
-  NTST064: "Warendorf",       NTST065: "Windeck",            NTST066: "Witten",
-  NTST067: "Wuppertal",
-};
-
-const SKIP_TITLES = new Set([
-  "NOVOTERGUM Physiotherapie Berg-Therapie",
-  "NOVOTERGUM Berlin Lichtenberg Logotherapie",
-]);
-
-const TITLE_NAMES = {
-  "NOVOTERGUM Physiotherapie & Ergotherapie Hamburg-Harburg": "Hamburg-Harburg",
-  "NOVOTERGUM Osteopathie Berlin-Lichtenberg Osteo":          "Berlin-Lichtenberg O",
-  "NOVOTERGUM GmbH":                                          "Zentrale",
-  "Berg Therapie - Ganzheitliche Physiotherapie":             "Bornheim (Berg Therapie)",
-  "Berg Therapie - Physiotherapie / Osteopathie & mehr":      "Erftstadt (Berg Therapie)",
-  "Berg Therapie Inh. Christopher Berg":                      "Brühl (Berg Therapie)",
-  "minus85GRAD - KRYOTHERAPIE":                               "minus85GRAD",
-};
-
-// -------------------- Metrics --------------------
-const METRICS = [
-  "BUSINESS_IMPRESSIONS_DESKTOP_SEARCH",
-  "BUSINESS_IMPRESSIONS_MOBILE_SEARCH",
-  "BUSINESS_IMPRESSIONS_DESKTOP_MAPS",
-  "BUSINESS_IMPRESSIONS_MOBILE_MAPS",
-  "WEBSITE_CLICKS",
-  "CALL_CLICKS",
-  "BUSINESS_DIRECTION_REQUESTS",
-];
-
-// -------------------- HTTP Helpers --------------------
-async function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-async function requestWithRetry(url, options = {}, { retries = 5, baseBackoffMs = 2000 } = {}) {
-  let lastErr;
-  for (let i = 0; i < retries; i++) {
-    try {
-      const res = await fetch(url, options);
-      if (res.status === 429) {
-        const wait = baseBackoffMs * Math.pow(2, i);
-        console.warn(`    429 – warte ${wait}ms …`);
-        await sleep(wait);
-        lastErr = new Error(`HTTP 429 Too Many Requests`);
-        continue;
-      }
-      if ([500, 502, 503, 504].includes(res.status)) {
-        lastErr = new Error(`HTTP ${res.status} ${res.statusText}`);
-        await sleep(baseBackoffMs * Math.pow(2, i));
-        continue;
-      }
-      return res;
-    } catch (e) {
-      lastErr = e;
-      await sleep(baseBackoffMs * Math.pow(2, i));
-    }
-  }
-  throw lastErr || new Error("requestWithRetry failed");
-}
-
-async function getJson(url, { headers = {}, params = null } = {}) {
-  const u = new URL(url);
-  if (params) {
-    for (const [k, v] of Object.entries(params)) {
-      if (v !== undefined && v !== null && String(v).length > 0)
-        u.searchParams.set(k, String(v));
-    }
-  }
-  const res = await requestWithRetry(u.toString(), { headers, method: "GET" });
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`GET ${u.toString()} -> ${res.status}: ${txt}`);
-  }
-  return res.json();
-}
-
-// -------------------- Google OAuth --------------------
-async function getAccessToken() {
-  const body = new URLSearchParams({
-    client_id:     ENV.GBP_CLIENT_ID,
-    client_secret: ENV.GBP_CLIENT_SECRET,
-    refresh_token: ENV.GBP_REFRESH_TOKEN,
-    grant_type:    "refresh_token",
-  });
-  const res = await requestWithRetry("https://oauth2.googleapis.com/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body,
-  });
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Token error ${res.status}: ${txt}`);
-  const j = JSON.parse(txt);
-  if (!j.access_token) throw new Error(`No access_token: ${txt}`);
-  return j.access_token;
-}
-
-// -------------------- GBP: Locations --------------------
-async function listLocations(accessToken, accountId) {
-  const out = [];
-  let pageToken = "";
-  do {
-    const j = await getJson(
-      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${accountId}/locations`,
-      {
-        headers: { Authorization: `Bearer ${accessToken}` },
-        params: { pageSize: "100", readMask: "name,title,storeCode", orderBy: "storeCode", pageToken },
-      }
-    );
-    out.push(...(j.locations || []));
-    pageToken = j.nextPageToken || "";
-  } while (pageToken);
-  return out;
-}
-
-// -------------------- GBP: Performance API --------------------
-// Gibt Map zurück: "YYYY-MM-DD" -> Zahl
-async function fetchMetricMap(accessToken, locationId, metric, startDt, endDt) {
-  const j = await getJson(
-    `https://businessprofileperformance.googleapis.com/v1/locations/${locationId}:getDailyMetricsTimeSeries`,
-    {
-      headers: { Authorization: `Bearer ${accessToken}` },
-      params: {
-        dailyMetric:                   metric,
-        "dailyRange.startDate.year":   String(startDt.year),
-        "dailyRange.startDate.month":  String(startDt.month),
-        "dailyRange.startDate.day":    String(startDt.day),
-        "dailyRange.endDate.year":     String(endDt.year),
-        "dailyRange.endDate.month":    String(endDt.month),
-        "dailyRange.endDate.day":      String(endDt.day),
-      },
-    }
-  );
-  const map = {};
-  for (const d of j?.timeSeries?.datedValues || []) {
-    const { year, month, day } = d.date;
-    map[`${year}-${String(month).padStart(2,"0")}-${String(day).padStart(2,"0")}`] = Number(d.value) || 0;
-  }
-  return map;
-}
-
-// Holt alle Metrics für einen Zeitraum → Map: date → { views, actions, views_search, … }
-async function fetchPeriodByDate(accessToken, locationId, startDt, endDt) {
-  const mm = {};
-  for (const metric of METRICS) {
-    try {
-      mm[metric] = await fetchMetricMap(accessToken, locationId, metric, startDt, endDt);
-    } catch (e) {
-      mm[metric] = e.message.includes("403") ? {} : (() => { throw e; })();
-    }
-    await sleep(600);
-  }
-
-  const dates = new Set();
-  for (const m of Object.values(mm)) for (const d of Object.keys(m)) dates.add(d);
-
-  const byDate = {};
-  for (const date of dates) {
-    const vs  = (mm["BUSINESS_IMPRESSIONS_DESKTOP_SEARCH"][date] || 0) + (mm["BUSINESS_IMPRESSIONS_MOBILE_SEARCH"][date] || 0);
-    const vm  = (mm["BUSINESS_IMPRESSIONS_DESKTOP_MAPS"][date]   || 0) + (mm["BUSINESS_IMPRESSIONS_MOBILE_MAPS"][date]   || 0);
-    const aw  = mm["WEBSITE_CLICKS"][date]              || 0;
-    const ap  = mm["CALL_CLICKS"][date]                 || 0;
-    const ad  = mm["BUSINESS_DIRECTION_REQUESTS"][date] || 0;
-    byDate[date] = { views: vs + vm, actions: aw + ap + ad, views_search: vs, views_maps: vm,
-                     actions_website: aw, actions_phone: ap, actions_driving_directions: ad };
-  }
-  return byDate;
-}
-
-// -------------------- Concurrency pool --------------------
-async function asyncPool(limit, items, fn) {
-  const ret = [];
-  const executing = [];
-  for (const item of items) {
-    const p = Promise.resolve().then(() => fn(item));
-    ret.push(p);
-    if (limit <= items.length) {
-      const e = p.then(() => executing.splice(executing.indexOf(e), 1));
-      executing.push(e);
-      if (executing.length >= limit) await Promise.race(executing);
-    }
-  }
-  return Promise.all(ret);
-}
-
-// -------------------- Aggregate helper --------------------
-const ZERO = () => ({ views: 0, actions: 0, views_search: 0, views_maps: 0,
-                       actions_website: 0, actions_phone: 0, actions_driving_directions: 0 });
-
-function addTo(acc, r) {
-  acc.views               += r.views               || 0;
-  acc.actions             += r.actions             || 0;
-  acc.views_search        += r.views_search        || 0;
-  acc.views_maps          += r.views_maps          || 0;
-  acc.actions_website     += r.actions_website     || 0;
-  acc.actions_phone       += r.actions_phone       || 0;
-  acc.actions_driving_directions += r.actions_driving_directions || 0;
-}
-
-// -------------------- MAIN --------------------
-async function main() {
-  mustEnv("GBP_CLIENT_ID");
-  mustEnv("GBP_CLIENT_SECRET");
-  mustEnv("GBP_REFRESH_TOKEN");
-  mustEnv("GBP_ACCOUNT_ID");
-
-  console.log(`Zeitraum (Mo–So): ${dateFrom} bis ${dateTo}`);
-  console.log(`Vorperiode:       ${prevStart.toISODate()} bis ${prevEnd.toISODate()}`);
-
-  console.log("\n1) Access token …");
-  const accessToken = await getAccessToken();
-  console.log("✓ token ok");
-
-  console.log("\n2) Locations …");
-  const locations = await listLocations(accessToken, ENV.GBP_ACCOUNT_ID);
-  console.log(`✓ ${locations.length} locations`);
-
-  // Ausgabe-Arrays – exakt wie omlocal
-  const locationTotals        = [];  // Wochensumme je Standort (lowercase)
-  const locationByDates       = [];  // Tageswerte je Standort (kapitalisiert)
-  const combinedInsightsByDate = []; // Tageswerte + prev_* (lowercase)
-  const byDateSumMap          = new Map(); // Gesamt-Tagessumme (kapitalisiert)
-  const totalSum              = ZERO();
-
-  const skipped = [];
-
-  console.log("\n3) Weekly Insights …");
-
-  await asyncPool(ENV.CONCURRENCY, locations, async (loc) => {
-    const locationId    = (loc.name || "").split("/").pop();
-    const storeCode     = (loc.storeCode || "").toString().trim();
-    const locationTitle = (loc.title || "").trim();
-
-    if (!locationId) return;
-    if (SKIP_TITLES.has(locationTitle)) { console.log(`  ⏭ ${locationTitle}`); return; }
-
-    const standort = STORE_NAMES[storeCode] || TITLE_NAMES[locationTitle] || locationTitle || storeCode;
-
-    let curByDate, prevByDate;
-    try {
-      curByDate  = await fetchPeriodByDate(accessToken, locationId, curStart,  curEnd);
-      prevByDate = await fetchPeriodByDate(accessToken, locationId, prevStart, prevEnd);
-    } catch (e) {
-      console.warn(`  ⚠ ${standort}: ${e.message}`);
-      skipped.push(standort);
-      return;
-    }
-
-    const curDates = [...new Set([...Object.keys(curByDate)])].sort();
-    if (!curDates.length) return;
-    console.log(`  ✓ ${standort}: ${curDates.length} Tage`);
-
-    // --- locationTotals (lowercase, Wochensumme) ---
-    const locTotal = { Standort: standort, ...ZERO() };
-    for (const d of curDates) addTo(locTotal, curByDate[d] || ZERO());
-    locationTotals.push(locTotal);
-    addTo(totalSum, locTotal);
-
-    // --- Für jede Tag der aktuellen Woche ---
-    for (let i = 0; i < curDates.length; i++) {
-      const date    = curDates[i];
-      const cur     = curByDate[date]  || ZERO();
-
-      // Vorperiode: gleicher Wochentag-Offset (Tag 0 der cur = Tag 0 der prev)
-      const prevDates = [...new Set([...Object.keys(prevByDate)])].sort();
-      const prev    = prevByDate[prevDates[i]] || ZERO();
-
-      // --- locationByDates (kapitalisiert, Leerzeichen) ---
-      locationByDates.push({
-        Standort:           standort,
-        Datum:              date,
-        Views:              cur.views,
-        Actions:            cur.actions,
-        "Views Search":     cur.views_search,
-        "Views Maps":       cur.views_maps,
-        "Actions Website":  cur.actions_website,
-        "Actions Phone":    cur.actions_phone,
-        "Actions Directions": cur.actions_driving_directions,
-      });
-
-      // --- combinedInsightsByDate (lowercase + prev_*) ---
-      combinedInsightsByDate.push({
-        Standort:                       standort,
-        views:                          cur.views,
-        actions:                        cur.actions,
-        views_search:                   cur.views_search,
-        views_maps:                     cur.views_maps,
-        actions_website:                cur.actions_website,
-        actions_phone:                  cur.actions_phone,
-        actions_driving_directions:     cur.actions_driving_directions,
-        date,
-        prev_views:                     prev.views,
-        prev_actions:                   prev.actions,
-        prev_views_search:              prev.views_search,
-        prev_views_maps:                prev.views_maps,
-        prev_actions_website:           prev.actions_website,
-        prev_actions_phone:             prev.actions_phone,
-        prev_actions_driving_directions: prev.actions_driving_directions,
-      });
-
-      // --- byDateSumMap (kapitalisiert) ---
-      if (!byDateSumMap.has(date)) {
-        byDateSumMap.set(date, {
-          Datum: date, Views: 0, Actions: 0,
-          "Views Search": 0, "Views Maps": 0,
-          "Actions Website": 0, "Actions Phone": 0, "Actions Directions": 0,
-        });
-      }
-      const row = byDateSumMap.get(date);
-      row.Views               += cur.views;
-      row.Actions             += cur.actions;
-      row["Views Search"]     += cur.views_search;
-      row["Views Maps"]       += cur.views_maps;
-      row["Actions Website"]  += cur.actions_website;
-      row["Actions Phone"]    += cur.actions_phone;
-      row["Actions Directions"] += cur.actions_driving_directions;
-    }
-  });
-
-  const byDate = [...byDateSumMap.values()].sort((a, b) => a.Datum.localeCompare(b.Datum));
-
-  locationTotals.sort((a, b)         => a.Standort.localeCompare(b.Standort));
-  locationByDates.sort((a, b)        => a.Standort.localeCompare(b.Standort) || a.Datum.localeCompare(b.Datum));
-  combinedInsightsByDate.sort((a, b) => a.Standort.localeCompare(b.Standort) || a.date.localeCompare(b.date));
-
-  console.log(`\n✓ Standorte: ${locationTotals.length} | Tageszeilen: ${locationByDates.length}`);
-  if (skipped.length) console.log(`⚠ Übersprungen: ${skipped.join(", ")}`);
-
-  // -------------------- CSV Export (exakt wie omlocal) --------------------
-  const prefix = `gbp-weekly-${dateFrom}_bis_${dateTo}`;
-  fs.writeFileSync(`${prefix}_location_total.csv`,   "\uFEFF" + Papa.unparse(locationTotals));
-  fs.writeFileSync(`${prefix}_location_bydate.csv`,  "\uFEFF" + Papa.unparse(locationByDates));
-  fs.writeFileSync(`${prefix}_total.csv`,            "\uFEFF" + Papa.unparse([totalSum]));
-  fs.writeFileSync(`${prefix}_bydate.csv`,           "\uFEFF" + Papa.unparse(byDate));
-  fs.writeFileSync(`${prefix}_combined_bydate.csv`,  "\uFEFF" + Papa.unparse(combinedInsightsByDate));
-  console.log(`\n📄 CSVs gespeichert (${prefix}_*.csv)`);
-
-  // -------------------- Make Webhook --------------------
-  if (ENV.MAKE_INSIGHTS_WEBHOOK_URL_WEEKLY) {
-    const res = await requestWithRetry(ENV.MAKE_INSIGHTS_WEBHOOK_URL_WEEKLY, {
-      method:  "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        type:                   "weekly",
-        dateFrom,
-        dateTo,
-        locationTotals,
-        locationByDates,
-        total:                  totalSum,
-        byDate,
-        combinedInsightsByDate,
-        skipped,
-      }),
-    });
-    const txt = await res.text().catch(() => "");
-    console.log(`🚀 Make Webhook → ${res.status} ${txt.slice(0, 100)}`);
-  } else {
-    console.log("ℹ️  MAKE_INSIGHTS_WEBHOOK_URL_WEEKLY nicht gesetzt – Webhook übersprungen");
-  }
-
-  console.log("\n✅ Fertig");
+  return { curStart, curEnd };
 }
 
-main().catch((e) => {
+runInsightsJob({
+  job:          "gbp-insights-weekly",
+  type:         "weekly",
+  webhookEnv:   "MAKE_INSIGHTS_WEBHOOK_URL_WEEKLY",
+  sinkName:     "INSIGHTS_WEEKLY",
+  defaultRange,
+}).catch((e) => {
   console.error("\n❌ ERROR:", e?.message || e);
   process.exit(1);
 });
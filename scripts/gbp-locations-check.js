@@ -0,0 +1,106 @@
+import "dotenv/config";
+import {
+  loadLocationRegistry,
+  checkLocationRegistry,
+  saveLocationRegistry,
+  DEFAULT_LOCATION_REGISTRY_FILE,
+} from "./lib/location-registry.js";
+import { loadAccounts, checkAccounts, accountsLabel, listAccountLocations } from "./lib/accounts.js";
+import { createGbpClient } from "./lib/gbp-client.js";
+import { getRunOptions } from "./lib/run-options.js";
+
+// -------------------- ENV --------------------
+const ENV = {
+  LOCATION_REGISTRY_FILE: (process.env.LOCATION_REGISTRY_FILE || "").trim() || DEFAULT_LOCATION_REGISTRY_FILE,
+
+  // --write: aktuelle Titel bei Einträgen ohne titles übernehmen (Basis für die Umbenennungs-Erkennung)
+  WRITE: process.argv.includes("--write"),
+};
+
+// GBP-Zugangsdaten je Account (config/accounts.json, --account)
+const ACCOUNTS = loadAccounts({ only: getRunOptions().accounts });
+
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
+
+// -------------------- GBP: Locations --------------------
+async function listLocations(account) {
+  const out = [];
+  let pageToken = "";
+
+  do {
+    const j = await GBP.getJson(
+      account,
+      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${account.accountId}/locations`,
+      {
+        params: {
+          pageSize:  "100",
+          readMask:  "name,title,storeCode",
+          orderBy:   "storeCode",
+          pageToken,
+        },
+      }
+    );
+    out.push(...(j.locations || []));
+    pageToken = j.nextPageToken || "";
+  } while (pageToken);
+
+  return out;
+}
+
+// -------------------- MAIN --------------------
+async function main() {
+  checkAccounts(ACCOUNTS);
+
+  const registry = loadLocationRegistry(ENV.LOCATION_REGISTRY_FILE);
+
+  console.log(`Registry: ${registry.file} (${registry.entries.length} Einträge)`);
+  console.log(`Account:  ${accountsLabel(ACCOUNTS)}`);
+
+  // Registry gilt für alle Accounts zusammen: Abgleich gegen die Locations aller Accounts
+  console.log("\n1) Locations (je Account mit eigenem Token) …");
+  const locations = await listAccountLocations(ACCOUNTS, listLocations, registry);
+  console.log(`✓ ${locations.length} locations`);
+
+  const { unmapped, renamed, untitled, missing } = checkLocationRegistry(registry, locations);
+
+  console.log(`\n2) Abgleich`);
+
+  console.log(`\n🆕 Neu im Account, nicht in der Registry (${unmapped.length})`);
+  for (const l of unmapped) console.log(`  ${l.storeCode || "(ohne storeCode)"}  "${l.title}"  locations/${l.locationId}`);
+
+  console.log(`\n✏️  Titel geändert (${renamed.length})`);
+  for (const l of renamed) console.log(`  ${l.storeCode} ${l.name}: "${l.known.join('" | "')}" → "${l.title}"`);
+
+  console.log(`\n🗑  In der Registry, nicht mehr im Account (${missing.length})`);
+  for (const e of missing) {
+    console.log(`  ${[e.storeCode || "(ohne storeCode)", e.name, e.titles.map((t) => `"${t}"`).join(" | ")].filter(Boolean).join("  ")}`);
+  }
+
+  if (untitled.length) {
+    if (ENV.WRITE) {
+      for (const l of untitled) registry.byStoreCode.get(l.storeCode).titles.push(l.title);
+      saveLocationRegistry(ENV.LOCATION_REGISTRY_FILE, registry);
+      console.log(`\n💾 ${untitled.length} Titel in ${registry.file} übernommen`);
+    } else {
+      console.log(`\nℹ️  ${untitled.length} Einträge ohne bekannten Titel – mit --write übernehmen, damit Umbenennungen auffallen`);
+    }
+  }
+
+  // Stammdaten sind optional (Reports laufen ohne), fehlen aber in Rollups und SLA-Liste
+  for (const field of ["region", "manager", "email", "opened"]) {
+    const empty = registry.entries.filter((e) => !e[field]).length;
+    if (empty) console.log(`ℹ️  ${empty} von ${registry.entries.length} Einträgen ohne ${field}`);
+  }
+
+  const issues = unmapped.length + renamed.length + missing.length;
+  if (issues) throw new Error(`${issues} Abweichung(en) zwischen Registry und Account`);
+
+  console.log("\n✅ Registry passt zum Account");
+}
+
+main().catch((e) => {
+  console.error("\n❌ ERROR:", e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+import "dotenv/config";
+import { DateTime } from "luxon";
+import { loadDlq, saveDlq, DEFAULT_DLQ_FILE } from "./lib/prefill-dlq.js";
+import { loadRidCache, saveRidCache, resolvePrefillRids, createPrefillRid, DEFAULT_RID_CACHE_FILE } from "./lib/prefill-pool.js";
+import { requestWithRetry } from "./lib/gbp-client.js";
+
+// -------------------- ENV --------------------
+const ENV = {
+  PREFILL_API_URL: (process.env.PREFILL_API_URL || "").trim(),
+  PREFILL_SECRET: (process.env.PREFILL_SECRET || "").trim(),
+  PUBLIC_APP_URL: (process.env.PUBLIC_APP_URL || "https://smart-reply-generator-production2.up.railway.app").trim(),
+
+  // Update an Make: "RID jetzt verfügbar" je reviewId, damit das Szenario die bestehende Zeile patcht
+  MAKE_PREFILL_UPDATE_WEBHOOK_URL: (process.env.MAKE_PREFILL_UPDATE_WEBHOOK_URL || "").trim(),
+
+  PREFILL_DLQ_FILE: (process.env.PREFILL_DLQ_FILE || DEFAULT_DLQ_FILE).trim(),
+  PREFILL_RID_CACHE_FILE: (process.env.PREFILL_RID_CACHE_FILE || DEFAULT_RID_CACHE_FILE).trim(),
+  PREFILL_CONCURRENCY: Number(process.env.PREFILL_CONCURRENCY || "3"),
+  PREFILL_MIN_INTERVAL_MS: Number(process.env.PREFILL_MIN_INTERVAL_MS || "60"),
+
+  // Ältere Einträge werden verworfen (Antwortvorschlag kommt dann zu spät)
+  PREFILL_DLQ_MAX_AGE_DAYS: Number(process.env.PREFILL_DLQ_MAX_AGE_DAYS || "14"),
+};
+
+function mustEnv(key) {
+  if (!ENV[key]) throw new Error(`Missing env: ${key}`);
+  return ENV[key];
+}
+
+function mask(s) {
+  if (!s) return "";
+  if (s.length <= 8) return "***";
+  return `${s.slice(0, 3)}***${s.slice(-3)}`;
+}
+
+const TZ = "Europe/Berlin";
+
+// -------------------- Make Webhook (Update je Review) --------------------
+async function postRidUpdate(entry) {
+  mustEnv("MAKE_PREFILL_UPDATE_WEBHOOK_URL");
+
+  const p = entry.payload || {};
+  const body = {
+    type: "gbp_prefill_rid",
+    reviewId: entry.reviewId,
+    locationId: p.locationId || null,
+    storeCode: p.storeCode || null,
+    account_id: p.accountId || null,
+    source_job: entry.job || null,
+    prefill_rid: entry.rid,
+    smart_reply_url: `${ENV.PUBLIC_APP_URL.replace(/\/$/, "")}/?rid=${entry.rid}`,
+    prefill_error: null,
+    failed_at: entry.first_failed_at,
+    resolved_at: DateTime.now().setZone(TZ).toISO(),
+  };
+
+  const res = await requestWithRetry(ENV.MAKE_PREFILL_UPDATE_WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Idempotency-Key": `prefill-rid:${entry.reviewId}:${entry.rid}` },
+    body: JSON.stringify(body),
+  });
+
+  const txt = await res.text().catch(() => "");
+  if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+}
+
+// -------------------- MAIN --------------------
+async function main() {
+  mustEnv("PREFILL_API_URL");
+  mustEnv("PREFILL_SECRET");
+  mustEnv("MAKE_PREFILL_UPDATE_WEBHOOK_URL");
+
+  const dlq = loadDlq(ENV.PREFILL_DLQ_FILE);
+  const entries = Object.values(dlq.entries);
+
+  console.log(`DLQ: ${ENV.PREFILL_DLQ_FILE} (${entries.length} entr${entries.length === 1 ? "y" : "ies"})`);
+  console.log(`Prefill API: ${ENV.PREFILL_API_URL}`);
+  console.log(`Make webhook: ${mask(ENV.MAKE_PREFILL_UPDATE_WEBHOOK_URL)}`);
+  if (!entries.length) return;
+
+  // 1) Zu alte Einträge verwerfen
+  const cutoff = DateTime.now().minus({ days: ENV.PREFILL_DLQ_MAX_AGE_DAYS });
+  for (const e of entries) {
+    if (DateTime.fromISO(e.first_failed_at) < cutoff) {
+      console.log(`  ⏭ ${e.reviewId}: older than ${ENV.PREFILL_DLQ_MAX_AGE_DAYS} days, dropped (${e.attempts} attempt(s), last error: ${e.error})`);
+      delete dlq.entries[e.reviewId];
+    }
+  }
+
+  // 2) Fehlende RIDs nachholen
+  const needRid = Object.values(dlq.entries).filter((e) => !e.rid);
+  console.log(`\n1) Prefill (${needRid.length}) …`);
+
+  if (needRid.length) {
+    const cache = loadRidCache(ENV.PREFILL_RID_CACHE_FILE);
+    const results = await resolvePrefillRids(
+      needRid.map((e) => ({ reviewId: e.reviewId, payload: e.payload })),
+      {
+        single: (payload) => createPrefillRid(ENV, payload),
+        concurrency: ENV.PREFILL_CONCURRENCY,
+        minIntervalMs: ENV.PREFILL_MIN_INTERVAL_MS,
+        cache,
+      }
+    );
+
+    for (const e of needRid) {
+      const r = results.get(e.reviewId);
+      if (r.rid) {
+        e.rid = r.rid;
+        console.log(`  ✓ ${e.reviewId}: rid ${r.rid}${r.cached ? " (cached)" : ""}`);
+      } else {
+        e.attempts += 1;
+        e.error = r.error;
+        e.last_failed_at = new Date().toISOString();
+        console.warn(`  ⚠ ${e.reviewId}: ${r.error}`);
+      }
+    }
+
+    saveRidCache(ENV.PREFILL_RID_CACHE_FILE, cache);
+  }
+
+  // RIDs sichern, bevor Make angesprochen wird
+  saveDlq(ENV.PREFILL_DLQ_FILE, dlq);
+
+  // 3) Update an Make, danach aus der DLQ entfernen
+  const ready = Object.values(dlq.entries).filter((e) => e.rid);
+  console.log(`\n2) Make updates (${ready.length}) …`);
+
+  let sent = 0;
+  for (const e of ready) {
+    try {
+      await postRidUpdate(e);
+      delete dlq.entries[e.reviewId];
+      sent++;
+      console.log(`  ✓ ${e.reviewId}`);
+    } catch (err) {
+      e.error = err.message;
+      console.warn(`  ⚠ ${e.reviewId}: ${err.message}`);
+    }
+    saveDlq(ENV.PREFILL_DLQ_FILE, dlq);
+  }
+
+  const left = Object.keys(dlq.entries).length;
+  console.log(`\n✓ resolved=${sent} remaining=${left}`);
+
+  if (left) throw new Error(`${left} prefill entr${left === 1 ? "y" : "ies"} still pending in ${ENV.PREFILL_DLQ_FILE}`);
+
+  console.log("✓ done");
+}
+
+main().catch((e) => {
+  console.error("\nERROR:", e?.message || e);
+  process.exit(1);
+});
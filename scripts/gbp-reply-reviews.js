@@ -0,0 +1,258 @@
+import "dotenv/config";
+import { DateTime } from "luxon";
+import fs from "fs";
+import path from "path";
+import Papa from "papaparse";
+import { createGbpClient } from "./lib/gbp-client.js";
+import { loadAccounts, checkAccounts, accountsLabel } from "./lib/accounts.js";
+
+// -------------------- CLI --------------------
+// npm run gbp:reply -- [--file=approved.csv|json] [--account=KEY] [--dry-run] [--force]
+const ARGS = process.argv.slice(2);
+
+function argValue(name) {
+  const hit = ARGS.find((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!hit) return null;
+  return hit.includes("=") ? hit.slice(hit.indexOf("=") + 1) : "1";
+}
+
+// -------------------- ENV --------------------
+const ENV = {
+  // Eingabe: Datei (JSON-Array oder CSV) – sonst die lokale Queue
+  REPLY_INPUT_FILE: (argValue("file") || process.env.REPLY_INPUT_FILE || "").trim(),
+  REPLY_QUEUE_FILE: (process.env.REPLY_QUEUE_FILE || ".gbp-state/reply-queue.json").trim(),
+  // Queue-Einträge, deren Review schon eine Antwort hat (ohne --force): raus aus der Queue, hierher
+  REPLY_SKIPPED_FILE: (process.env.REPLY_SKIPPED_FILE || ".gbp-state/reply-skipped.json").trim(),
+  REPLY_AUDIT_LOG: (process.env.REPLY_AUDIT_LOG || ".gbp-state/reply-audit.jsonl").trim(),
+
+  REPLY_DRY_RUN: argValue("dry-run") === "1" || (process.env.REPLY_DRY_RUN || "").trim() === "1",
+  REPLY_FORCE: argValue("force") === "1" || (process.env.REPLY_FORCE || "").trim() === "1",
+};
+
+// GBP-Zugangsdaten je Account (config/accounts.json); Einträge gehen an den Account ihrer accountId
+const ACCOUNTS = loadAccounts({ only: (argValue("account") || "").split(",").map((s) => s.trim()).filter(Boolean) });
+
+const TZ = "Europe/Berlin";
+
+// Google begrenzt Antworten auf 4096 Bytes
+const MAX_REPLY_BYTES = 4096;
+
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
+
+// -------------------- GBP: Reviews (My Business API v4) --------------------
+function reviewUrl(accountId, locationId, reviewId) {
+  return `https://mybusiness.googleapis.com/v4/accounts/${accountId}/locations/${locationId}/reviews/${reviewId}`;
+}
+
+async function getReview(account, accountId, locationId, reviewId) {
+  return GBP.getJson(account, reviewUrl(accountId, locationId, reviewId));
+}
+
+// PUT …/reviews/{id}/reply – legt die Antwort an oder überschreibt sie
+async function putReviewReply(account, accountId, locationId, reviewId, comment) {
+  const res = await GBP.request(account, `${reviewUrl(accountId, locationId, reviewId)}/reply`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ comment }),
+  });
+
+  const txt = await res.text().catch(() => "");
+  let body = null;
+  try {
+    body = txt ? JSON.parse(txt) : null;
+  } catch {
+    body = txt;
+  }
+
+  return { ok: res.ok, status: res.status, body };
+}
+
+// -------------------- Input (Datei oder Queue) --------------------
+function readEntries(file) {
+  if (!fs.existsSync(file)) return [];
+  const raw = fs.readFileSync(file, "utf-8").replace(/^\uFEFF/, "");
+
+  if (file.toLowerCase().endsWith(".csv")) {
+    const parsed = Papa.parse(raw, { header: true, skipEmptyLines: true });
+    if (parsed.errors.length) throw new Error(`CSV ${file}: ${parsed.errors[0].message}`);
+    return parsed.data;
+  }
+
+  const j = JSON.parse(raw || "[]");
+  if (!Array.isArray(j)) throw new Error(`${file}: expected a JSON array of approved replies`);
+  return j;
+}
+
+function writeEntries(file, entries) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(entries, null, 2), "utf-8");
+}
+
+// Spalten/Felder: reviewId, locationId, reply (alias: comment, reply_text), approved_by, approved_at
+function normalizeEntry(e) {
+  return {
+    reviewId: String(e.reviewId || e.review_id || "").trim(),
+    locationId: String(e.locationId || e.location_id || "").trim(),
+    accountId: String(e.accountId || e.account_id || (ACCOUNTS.length === 1 ? ACCOUNTS[0].accountId : "")).trim(),
+    storeCode: String(e.storeCode || e.store_code || "").trim() || null,
+    reply: String(e.reply ?? e.comment ?? e.reply_text ?? "").trim(),
+    approved_by: String(e.approved_by || e.approvedBy || "").trim(),
+    approved_at: String(e.approved_at || e.approvedAt || "").trim() || null,
+  };
+}
+
+// Account zur accountId des Eintrags; bei nur einem Account gilt dessen Token für alle (wie bisher)
+function accountFor(e) {
+  return ACCOUNTS.find((a) => a.accountId === e.accountId) || (ACCOUNTS.length === 1 ? ACCOUNTS[0] : null);
+}
+
+function validateEntry(e) {
+  if (!e.reviewId) return "missing reviewId";
+  if (!e.locationId) return "missing locationId";
+  if (!e.accountId) return "missing accountId";
+  if (!accountFor(e)) return `unknown accountId ${e.accountId}`;
+  if (!e.reply) return "missing reply text";
+  if (!e.approved_by) return "missing approved_by";
+  if (Buffer.byteLength(e.reply, "utf-8") > MAX_REPLY_BYTES) return `reply longer than ${MAX_REPLY_BYTES} bytes`;
+  return null;
+}
+
+// -------------------- Audit Log (JSONL, append-only) --------------------
+function audit(entry) {
+  fs.mkdirSync(path.dirname(path.resolve(ENV.REPLY_AUDIT_LOG)), { recursive: true });
+  fs.appendFileSync(ENV.REPLY_AUDIT_LOG, JSON.stringify(entry) + "\n", "utf-8");
+}
+
+// -------------------- MAIN --------------------
+async function main() {
+  const source = ENV.REPLY_INPUT_FILE || ENV.REPLY_QUEUE_FILE;
+  const fromQueue = !ENV.REPLY_INPUT_FILE;
+
+  console.log(`Source:    ${source}${fromQueue ? " (queue)" : ""}`);
+  console.log(`Audit log: ${ENV.REPLY_AUDIT_LOG}`);
+  console.log(`Account:   ${accountsLabel(ACCOUNTS)}`);
+  console.log(`Mode:      ${ENV.REPLY_DRY_RUN ? "DRY RUN" : "live"}${ENV.REPLY_FORCE ? " + force" : ""}`);
+
+  if (!fromQueue && !fs.existsSync(source)) throw new Error(`Input file not found: ${source}`);
+
+  const entries = readEntries(source);
+  console.log(`✓ ${entries.length} approved repl${entries.length === 1 ? "y" : "ies"}`);
+  if (!entries.length) return;
+
+  console.log("\n1) Access token …");
+  checkAccounts(ACCOUNTS);
+  for (const account of ACCOUNTS) await GBP.token(account);
+  console.log(`✓ token ok${ACCOUNTS.length > 1 ? ` (${ACCOUNTS.length} accounts)` : ""}`);
+
+  console.log("\n2) Publish replies …");
+
+  const remaining = [];
+  const skipped = [];
+  const dequeue = fromQueue && !ENV.REPLY_DRY_RUN;
+  const counts = { published: 0, dry_run: 0, skipped: 0, invalid: 0, failed: 0 };
+
+  for (const raw of entries) {
+    const e = normalizeEntry(raw);
+    const label = `${e.storeCode || e.locationId}/${e.reviewId}`;
+    const base = {
+      at: DateTime.now().setZone(TZ).toISO(),
+      reviewId: e.reviewId || null,
+      locationId: e.locationId || null,
+      accountId: e.accountId || null,
+      storeCode: e.storeCode,
+      approved_by: e.approved_by || null,
+      approved_at: e.approved_at,
+      reply: e.reply,
+      dry_run: ENV.REPLY_DRY_RUN,
+      forced: ENV.REPLY_FORCE,
+    };
+
+    const invalid = validateEntry(e);
+    if (invalid) {
+      console.warn(`  ⚠ ${label}: ${invalid}`);
+      audit({ ...base, status: "invalid", error: invalid });
+      counts.invalid++;
+      remaining.push(raw);
+      continue;
+    }
+
+    try {
+      const account = accountFor(e);
+
+      // Bestehende Antwort nie stillschweigend überschreiben
+      const review = await getReview(account, e.accountId, e.locationId, e.reviewId);
+      const existing = review?.reviewReply?.comment || "";
+
+      if (existing && !ENV.REPLY_FORCE) {
+        console.log(`  ⏭ ${label}: already has a reply (use --force to overwrite)`);
+        audit({
+          ...base,
+          status: "skipped_existing_reply",
+          existing_reply: existing,
+          moved_to: dequeue ? ENV.REPLY_SKIPPED_FILE : null,
+        });
+        counts.skipped++;
+        skipped.push({ ...raw, skipped_at: base.at, existing_reply: existing });
+        if (!dequeue) remaining.push(raw);
+        continue;
+      }
+
+      if (ENV.REPLY_DRY_RUN) {
+        console.log(`  ∅ ${label}: would post ${e.reply.length} chars (approved by ${e.approved_by})`);
+        audit({ ...base, status: "dry_run", existing_reply: existing || null });
+        counts.dry_run++;
+        remaining.push(raw);
+        continue;
+      }
+
+      const res = await putReviewReply(account, e.accountId, e.locationId, e.reviewId, e.reply);
+      audit({
+        ...base,
+        status: res.ok ? "published" : "failed",
+        existing_reply: existing || null,
+        http_status: res.status,
+        response: res.body,
+      });
+
+      if (res.ok) {
+        console.log(`  ✓ ${label}: published`);
+        counts.published++;
+      } else {
+        console.warn(`  ⚠ ${label}: HTTP ${res.status}`);
+        counts.failed++;
+        remaining.push(raw);
+      }
+    } catch (err) {
+      console.warn(`  ⚠ ${label}: ${err.message}`);
+      audit({ ...base, status: "failed", error: err.message });
+      counts.failed++;
+      remaining.push(raw);
+    }
+  }
+
+  // Queue: veröffentlichte Einträge entfernen, bereits beantwortete nach REPLY_SKIPPED_FILE,
+  // Rest bleibt für den nächsten Lauf
+  if (dequeue) {
+    if (skipped.length) writeEntries(ENV.REPLY_SKIPPED_FILE, [...readEntries(ENV.REPLY_SKIPPED_FILE), ...skipped]);
+    writeEntries(ENV.REPLY_QUEUE_FILE, remaining);
+  }
+
+  console.log(
+    `\n✓ published=${counts.published} dry_run=${counts.dry_run} skipped=${counts.skipped} ` +
+      `invalid=${counts.invalid} failed=${counts.failed}`
+  );
+
+  console.log("\nAPI requests:");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+
+  if (counts.failed) throw new Error(`${counts.failed} repl${counts.failed === 1 ? "y" : "ies"} failed`);
+
+  console.log("✓ done");
+}
+
+main().catch((e) => {
+  console.error("\nERROR:", e?.message || e);
+  process.exit(1);
+});
@@ -1,24 +1,86 @@
 import "dotenv/config";
 import { DateTime } from "luxon";
+import fs from "fs";
+import {
+  loadReviewState,
+  saveReviewState,
+  locationWatermark,
+  knownReviewIds,
+  diffLocationReviews,
+  EVENT_TYPES,
+} from "./lib/review-state.js";
+import { cleanComment, analyzeReviewText } from "./lib/review-text.js";
+import { loadSentimentLexicon, scoreSentiment, isRatingMismatch } from "./lib/sentiment.js";
+import { getBackfillRange, splitDays } from "./lib/date-range.js";
+import { loadLedger, planDelivery, findOpenRun, deliverRun, DEFAULT_LEDGER_FILE } from "./lib/delivery-ledger.js";
+import { applyPrefill, DEFAULT_RID_CACHE_FILE } from "./lib/prefill-pool.js";
+import { DEFAULT_DLQ_FILE } from "./lib/prefill-dlq.js";
+import { sinkPayloads, createSinkSender, renderReviews } from "./lib/sinks.js";
+import { loadLocationRegistry, resolveLocation } from "./lib/location-registry.js";
+import { createGbpClient, requestWithRetry, asyncPool } from "./lib/gbp-client.js";
+import { openWarehouse } from "./lib/warehouse.js";
+import { getRunOptions, filterLocations, writeDryRun } from "./lib/run-options.js";
+import {
+  loadAccounts,
+  checkAccounts,
+  accountsLabel,
+  accountEnv,
+  accountJob,
+  accountSinks,
+  listAccountLocations,
+  locationBrand,
+  groupByAccount,
+} from "./lib/accounts.js";
 
 // -------------------- ENV --------------------
 const ENV = {
-  GBP_CLIENT_ID: (process.env.GBP_CLIENT_ID || "").trim(),
-  GBP_CLIENT_SECRET: (process.env.GBP_CLIENT_SECRET || "").trim(),
-  GBP_REFRESH_TOKEN: (process.env.GBP_REFRESH_TOKEN || "").trim(),
-  GBP_ACCOUNT_ID: (process.env.GBP_ACCOUNT_ID || "").trim(),
-
   PREFILL_API_URL: (process.env.PREFILL_API_URL || "").trim(),
   PREFILL_SECRET: (process.env.PREFILL_SECRET || "").trim(),
   PUBLIC_APP_URL: (process.env.PUBLIC_APP_URL || "https://smart-reply-generator-production2.up.railway.app").trim(),
 
-  MAKE_REVIEWS_WEBHOOK_URL: (process.env.MAKE_REVIEWS_WEBHOOK_URL || "").trim(),
+  // Prefill: RID-Cache + eigener Pool (unabhängig von CONCURRENCY)
+  PREFILL_RID_CACHE_FILE: (process.env.PREFILL_RID_CACHE_FILE || DEFAULT_RID_CACHE_FILE).trim(),
+  PREFILL_CONCURRENCY: Number(process.env.PREFILL_CONCURRENCY || "3"),
+  PREFILL_MIN_INTERVAL_MS: Number(process.env.PREFILL_MIN_INTERVAL_MS || "60"),
+  PREFILL_BATCH: (process.env.PREFILL_BATCH || "auto").trim(), // "auto" | "0"
+  PREFILL_BATCH_SIZE: Number(process.env.PREFILL_BATCH_SIZE || "25"),
+  // Fehlgeschlagene Prefill-Calls → Dead-Letter-Queue für `gbp:prefill-retry`
+  PREFILL_DLQ_FILE: (process.env.PREFILL_DLQ_FILE || DEFAULT_DLQ_FILE).trim(),
 
   // optional tuning
   CONCURRENCY: Number(process.env.CONCURRENCY || "5"),
   MAKE_BATCH_SIZE: Number(process.env.MAKE_BATCH_SIZE || "200"),
+
+  // Review-State (wird zwischen den Läufen per actions/cache weitergereicht)
+  REVIEW_STATE_FILE: (process.env.REVIEW_STATE_FILE || ".gbp-state/reviews-state.json").trim(),
+  REVIEW_STATE_LOOKBACK_HOURS: Number(process.env.REVIEW_STATE_LOOKBACK_HOURS || "72"),
+  REVIEW_STATE_FULL_SYNC_DAYS: Number(process.env.REVIEW_STATE_FULL_SYNC_DAYS || "7"),
+  REVIEW_STATE_FULL_SYNC: (process.env.REVIEW_STATE_FULL_SYNC || "").trim() === "1",
+
+  // Zustell-Ledger: --resume schickt nur die Batches des letzten Laufs, die noch fehlen
+  DELIVERY_LEDGER_FILE: (process.env.DELIVERY_LEDGER_FILE || DEFAULT_LEDGER_FILE).trim(),
+  DELIVERY_RESUME: process.argv.includes("--resume") || (process.env.DELIVERY_RESUME || "").trim() === "1",
 };
 
+const JOB = "gbp-reviews-daily";
+
+// --location, --account, --dry-run (gbp-CLI)
+const RUN = getRunOptions();
+
+// Standort-Name, Region, Regionalleitung aus config/locations.json
+const REGISTRY = loadLocationRegistry();
+
+// GBP-Zugangsdaten, Marke und Webhooks je Account (config/accounts.json).
+// Make: MAKE_REVIEWS_WEBHOOK_URL_<KEY>, sonst MAKE_REVIEWS_WEBHOOK_URL
+const ACCOUNTS = loadAccounts({ only: RUN.accounts });
+
+// Slack/Teams zusätzlich zu Make: SLACK_WEBHOOK_URL_REVIEWS(_<KEY>) / TEAMS_WEBHOOK_URL_REVIEWS(_<KEY>)
+const SINK_NAME = "REVIEWS";
+const SINK_JOB = `${JOB}:sinks`;
+
+// Neuer State eines Laufs, dessen Zustellung nicht komplett war (wird nach --resume übernommen)
+const PENDING_STATE_FILE = `${ENV.REVIEW_STATE_FILE}.pending`;
+
 function mustEnv(key) {
   if (!ENV[key]) throw new Error(`Missing env: ${key}`);
   return ENV[key];
@@ -41,90 +103,26 @@ function getYesterdayRangeBerlin() {
   return { start, end };
 }
 
-// -------------------- HTTP Helpers --------------------
-async function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-async function requestWithRetry(url, options = {}, { retries = 4, baseBackoffMs = 800 } = {}) {
-  let lastErr;
-
-  for (let i = 0; i < retries; i++) {
-    try {
-      const res = await fetch(url, options);
-
-      if ([429, 500, 502, 503, 504].includes(res.status)) {
-        const txt = await res.text().catch(() => "");
-        lastErr = new Error(`HTTP ${res.status} ${res.statusText}: ${txt}`);
-        await sleep(baseBackoffMs * Math.pow(2, i));
-        continue;
-      }
-
-      return res;
-    } catch (e) {
-      lastErr = e;
-      await sleep(baseBackoffMs * Math.pow(2, i));
-    }
-  }
-
-  throw lastErr || new Error("requestWithRetry failed");
-}
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
 
-async function getJson(url, { headers = {}, params = null } = {}) {
-  const u = new URL(url);
-  if (params) {
-    for (const [k, v] of Object.entries(params)) {
-      if (v !== undefined && v !== null && String(v).length > 0) u.searchParams.set(k, String(v));
-    }
-  }
-
-  const res = await requestWithRetry(u.toString(), { headers, method: "GET" });
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`GET ${u.toString()} -> ${res.status}: ${txt}`);
-  }
-  return await res.json();
-}
-
-// -------------------- Google OAuth (Refresh Token -> Access Token) --------------------
-async function getAccessToken() {
-  mustEnv("GBP_CLIENT_ID");
-  mustEnv("GBP_CLIENT_SECRET");
-  mustEnv("GBP_REFRESH_TOKEN");
-
-  const body = new URLSearchParams({
-    client_id: ENV.GBP_CLIENT_ID,
-    client_secret: ENV.GBP_CLIENT_SECRET,
-    refresh_token: ENV.GBP_REFRESH_TOKEN,
-    grant_type: "refresh_token",
-  });
-
-  const res = await requestWithRetry("https://oauth2.googleapis.com/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body,
-  });
-
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Token error ${res.status}: ${txt}`);
-
-  const j = JSON.parse(txt);
-  if (!j.access_token) throw new Error(`No access_token in token response: ${txt}`);
-  return j.access_token;
-}
+// Reviews über das lokale SQLite-Warehouse, bei Google nur Neues/Geändertes (lib/warehouse.js);
+// Dry-Run arbeitet auf einer Kopie im Speicher. Die Events entstehen weiter aus dem Review-State.
+const WAREHOUSE = openWarehouse({ dryRun: RUN.dryRun });
 
 // -------------------- GBP APIs --------------------
 
 // Locations: Business Information API v1
-async function listLocations(accessToken, accountId) {
+async function listLocations(account) {
   const out = [];
   let pageToken = "";
 
   do {
-    const j = await getJson(
-      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${accountId}/locations`,
+    const j = await GBP.getJson(
+      account,
+      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${account.accountId}/locations`,
       {
-        headers: { Authorization: `Bearer ${accessToken}` },
         params: {
           pageSize: "100",
           // NEW: metadata.* mitziehen (mapsUri, newReviewUri, placeId)
@@ -145,9 +143,8 @@ async function listLocations(accessToken, accountId) {
 }
 
 // NEW: Fallback, falls metadata im List-Call nicht geliefert wird (oder leer ist)
-async function getLocationMetadata(accessToken, locationId) {
-  const j = await getJson(`https://mybusinessbusinessinformation.googleapis.com/v1/locations/${locationId}`, {
-    headers: { Authorization: `Bearer ${accessToken}` },
+async function getLocationMetadata(account, locationId) {
+  const j = await GBP.getJson(account, `https://mybusinessbusinessinformation.googleapis.com/v1/locations/${locationId}`, {
     params: {
       readMask: "metadata.mapsUri,metadata.newReviewUri,metadata.placeId",
     },
@@ -155,53 +152,25 @@ async function getLocationMetadata(accessToken, locationId) {
   return j?.metadata || {};
 }
 
-// Reviews: My Business API v4
-async function listReviewsForLocation(accessToken, accountId, locationId, startBerlin, endBerlin) {
-  const out = [];
-  let pageToken = "";
-  let pagesBelowCutoff = 0;
-
-  do {
-    const j = await getJson(
-      `https://mybusiness.googleapis.com/v4/accounts/${accountId}/locations/${locationId}/reviews`,
-      {
-        headers: { Authorization: `Bearer ${accessToken}` },
-        params: {
-          pageSize: "50",
-          orderBy: "updateTime desc",
-          pageToken,
-        },
-      }
-    );
-
-    const reviews = j.reviews || [];
-    if (reviews.length === 0) break;
-
-    let anyGeStart = false;
-
-    for (const r of reviews) {
-      const ct = r.createTime;
-      if (!ct) continue;
-
-      const dtBerlin = DateTime.fromISO(ct, { setZone: true }).setZone(TZ);
-
-      if (dtBerlin.toMillis() >= startBerlin.toMillis()) anyGeStart = true;
-
-      if (dtBerlin.toMillis() >= startBerlin.toMillis() && dtBerlin.toMillis() <= endBerlin.toMillis()) {
-        out.push(r);
-      }
-    }
-
-    if (!anyGeStart) pagesBelowCutoff += 1;
-    else pagesBelowCutoff = 0;
-
-    if (pagesBelowCutoff >= 2) break;
-
-    pageToken = j.nextPageToken || "";
-    if (pageToken) await sleep(120);
-  } while (pageToken);
+// Reviews: My Business API v4 → Warehouse, gelesen wird aus der DB.
+// Der Review-State braucht alle Reviews einer Location, daher ohne Startgrenze (ALL_REVIEWS).
+// full: alle Seiten; complete nur, wenn das Warehouse dabei die ganze Liste gesehen und
+// Gelöschtes entfernt hat (Grundlage für deleted-Events).
+const ALL_REVIEWS = DateTime.fromMillis(0);
+
+async function listReviewsForLocation(account, locationId, { full = false } = {}) {
+  const sync = await WAREHOUSE.syncReviews(GBP, account, locationId, ALL_REVIEWS, { full });
+  return {
+    reviews: WAREHOUSE.reviews(locationId, ALL_REVIEWS, DateTime.now()),
+    totalReviewCount: sync.totalReviewCount,
+    complete: sync.deep && sync.complete,
+  };
+}
 
-  return out;
+// Backfill: Reviews mit createTime im Zeitraum
+async function listReviewsInRange(account, locationId, start, end) {
+  await WAREHOUSE.syncReviews(GBP, account, locationId, start);
+  return WAREHOUSE.reviews(locationId, start, end);
 }
 
 function starRatingToInt(star) {
@@ -211,15 +180,25 @@ function starRatingToInt(star) {
   return map[s] ?? null;
 }
 
-// -------------------- Comment cleaning --------------------
-function cleanComment(text) {
-  let t = (text || "").trim();
-  const markers = ["(Translated by Google)", "(Übersetzt von Google)"];
-  for (const m of markers) {
-    const idx = t.indexOf(m);
-    if (idx !== -1) t = t.slice(0, idx).trimEnd();
-  }
-  return t;
+// -------------------- Comment --------------------
+// Original/Übersetzung/Sprache: siehe lib/review-text.js
+function snapshotReview(r, { storeCode, locationTitle }) {
+  const reviewerObj = r.reviewer || {};
+  const text = analyzeReviewText(r.comment || "");
+  return {
+    reviewId: (r.name || "").trim().split("/").pop() || "",
+    createTime: r.createTime || null,
+    updateTime: r.updateTime || r.createTime || null,
+    rating: starRatingToInt(r.starRating),
+    reviewer: (reviewerObj.displayName || reviewerObj.profileName || "").trim(),
+    comment: text.comment_original,
+    comment_translated: text.comment_translated,
+    language: text.language,
+    reply: cleanComment(r.reviewReply?.comment || "") || null,
+    reply_update_time: r.reviewReply?.updateTime || null,
+    storeCode,
+    locationTitle,
+  };
 }
 
 function buildCommentFull(comment, reviewer, reviewedAt) {
@@ -230,43 +209,28 @@ function buildCommentFull(comment, reviewer, reviewedAt) {
   return `${base}\n${suffix}`;
 }
 
-// -------------------- Prefill API --------------------
-async function createPrefillRid(payload) {
-  mustEnv("PREFILL_API_URL");
-  mustEnv("PREFILL_SECRET");
-
-  const res = await requestWithRetry(ENV.PREFILL_API_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Prefill-Secret": ENV.PREFILL_SECRET,
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Prefill error ${res.status}: ${txt}`);
-
-  const j = JSON.parse(txt);
-  if (!j.rid) throw new Error(`Prefill response missing rid: ${txt}`);
-  return j.rid;
-}
-
 // -------------------- Make Webhook --------------------
-async function postToMake(payload) {
-  mustEnv("MAKE_REVIEWS_WEBHOOK_URL");
+function makeWebhookUrl(account) {
+  const url = accountEnv(account, "MAKE_REVIEWS_WEBHOOK_URL");
+  if (!url) throw new Error(`Missing env: MAKE_REVIEWS_WEBHOOK_URL${account.multi ? `_${account.key}` : ""}`);
+  return url;
+}
 
-  const res = await requestWithRetry(ENV.MAKE_REVIEWS_WEBHOOK_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
+// send(payload, key) für deliverRun: Make-Webhook des Accounts
+function makeSender(account) {
+  return async (payload, idempotencyKey) => {
+    const res = await requestWithRetry(makeWebhookUrl(account), {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": idempotencyKey },
+      body: JSON.stringify(payload),
+    });
 
-  const txt = await res.text().catch(() => "");
-  console.log(`Make response: ${res.status}`);
-  if (txt) console.log(`Make body (first 500 chars): ${txt.slice(0, 500)}`);
+    const txt = await res.text().catch(() => "");
+    console.log(`Make response: ${res.status}`);
+    if (txt) console.log(`Make body (first 500 chars): ${txt.slice(0, 500)}`);
 
-  if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+    if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+  };
 }
 
 function chunkArray(arr, size) {
@@ -276,191 +240,516 @@ function chunkArray(arr, size) {
   return out;
 }
 
-// -------------------- Concurrency pool --------------------
-async function asyncPool(limit, items, iteratorFn) {
-  const ret = [];
-  const executing = [];
+// -------------------- Location-Kontext --------------------
+async function getLocationContext(loc) {
+  const locName = (loc.name || "").trim(); // e.g. "locations/123"
+  const locationId = locName.split("/").pop();
+  const storeCode = (loc.storeCode || "").toString().trim();
+  const locationTitle = (loc.title || "").trim();
+
+  if (!locationId) return null;
+
+  const place = resolveLocation(REGISTRY, { storeCode, title: locationTitle });
+
+  // NEW: Location-Metadaten (Maps-Link + Review-Link + PlaceId)
+  let maps_uri = loc?.metadata?.mapsUri || "";
+  let new_review_uri = loc?.metadata?.newReviewUri || "";
+  let place_id = loc?.metadata?.placeId || "";
+
+  // Fallback, falls im listLocations nicht befüllt
+  if (!maps_uri && !new_review_uri && !place_id) {
+    try {
+      const meta = await getLocationMetadata(loc.account, locationId);
+      maps_uri = meta?.mapsUri || "";
+      new_review_uri = meta?.newReviewUri || "";
+      place_id = meta?.placeId || "";
+    } catch {
+      // fail-soft: Metadata ist nice-to-have, Reviews sind core
+    }
+  }
+
+  // Optional: stabiler Maps-Link aus placeId (falls du lieber standardisieren willst)
+  const maps_place_url = place_id
+    ? `https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(place_id)}`
+    : null;
+
+  return {
+    account: loc.account,
+    brand: locationBrand(place, loc.account),
+    locationId,
+    storeCode,
+    locationTitle,
+    label: storeCode || locationTitle || locationId,
+    standort: place.standort,
+    region: place.region,
+    manager: place.manager,
+    maps_uri,
+    new_review_uri,
+    place_id,
+    maps_place_url,
+  };
+}
+
+// -------------------- Item (Event → Make-Datensatz) --------------------
+// Item → Account (Zustellung je Account)
+const ITEM_ACCOUNT = new WeakMap();
+
+// prefillQueue: sammelt { item, payload } für created/edited; RIDs werden danach gebündelt geholt
+function buildItem(ev, ctx, sentimentLexicon, prefillQueue) {
+  const { account, brand, locationId, storeCode, locationTitle, standort, region, manager, maps_uri, new_review_uri, place_id, maps_place_url } = ctx;
+  const snap = ev.current || ev.before;
+  const reviewId = ev.reviewId;
+  const rating = snap.rating;
+  const reviewer = snap.reviewer || "";
+
+  const reviewed_at = snap.createTime
+    ? DateTime.fromISO(snap.createTime, { setZone: true }).setZone(TZ).toFormat("dd.MM.yyyy HH:mm:ss")
+    : "";
+  const updated_at = snap.updateTime
+    ? DateTime.fromISO(snap.updateTime, { setZone: true }).setZone(TZ).toFormat("dd.MM.yyyy HH:mm:ss")
+    : "";
+
+  const commentClean = snap.comment || "";
+  const comment_full = buildCommentFull(commentClean, reviewer, reviewed_at);
+  // Analyse auf der (deutschen) Google-Übersetzung, falls vorhanden
+  const { sentiment_score, sentiment_label } = scoreSentiment(snap.comment_translated || commentClean, sentimentLexicon);
+
+  const item = {
+    event: ev.type,
+    account_id: account.accountId,
+    brand,
+    storeCode: storeCode || null,
+    locationTitle: locationTitle || null,
+    standort: standort || null,
+    region: region || null,
+    manager: manager || null,
+    locationId,
+    reviewId: reviewId || null,
+    rating: rating ?? null,
+    reviewer: reviewer || null,
+    reviewed_at,
+    updated_at: updated_at || null,
+    comment: commentClean || null,
+    comment_original: commentClean || null,
+    comment_translated: snap.comment_translated || null,
+    language: snap.language || null,
+    comment_full,
+    reply: snap.reply || null,
+    sentiment_score,
+    sentiment_label,
+    sentiment_mismatch: isRatingMismatch(rating, sentiment_label),
+
+    // Vorher-Werte (nur bei edited bzw. reply_changed)
+    rating_before: ev.type === "edited" ? ev.before.rating ?? null : null,
+    comment_before: ev.type === "edited" ? ev.before.comment || null : null,
+    reply_before: ev.type === "reply_changed" ? ev.before.reply || null : null,
+
+    // werden von applyPrefill gesetzt
+    prefill_rid: null,
+    smart_reply_url: null,
+    prefill_error: null,
+
+    // NEW: Links/IDs für Location
+    maps_uri: maps_uri || null,
+    new_review_uri: new_review_uri || null,
+    place_id: place_id || null,
+    maps_place_url: maps_place_url || null,
+  };
+  ITEM_ACCOUNT.set(item, account);
+
+  // Antwortvorschlag nur, wenn sich der Review-Inhalt geändert hat
+  if (ev.type === "created" || ev.type === "edited") {
+    prefillQueue.push({
+      item,
+      payload: {
+        review: comment_full,
+        rating: rating ? String(rating) : "",
+
+        reviewer,
+        reviewed_at,
+        language: snap.language || "",
+        review_translated: snap.comment_translated || "",
+        accountId: account.accountId,
+        locationId,
+        reviewId,
+        storeCode,
+        locationTitle,
+
+        // NEW: Links/IDs für Location
+        maps_uri: maps_uri || "",
+        new_review_uri: new_review_uri || "",
+        place_id: place_id || "",
+        maps_place_url: maps_place_url || "",
+      },
+    });
+  }
+
+  return item;
+}
+
+function countEvents(items) {
+  return Object.fromEntries(EVENT_TYPES.map((t) => [t, items.filter((i) => i.event === t).length]));
+}
+
+// Ein Zeitraum → ein oder mehrere Batches je Account (auch leer, damit Make den Tag sieht)
+function buildPayloads(account, items, meta) {
+  const chunks = chunkArray(items, ENV.MAKE_BATCH_SIZE);
+  const metaBase = {
+    source: "google_business_profile",
+    timezone: TZ,
+    ...meta,
+    generated_at: DateTime.now().setZone(TZ).toISO(),
+    account_id: account.accountId,
+    brand: account.brand,
+    count_total: items.length,
+    event_counts: countEvents(items),
+  };
+
+  if (chunks.length === 0) chunks.push([]);
+
+  return chunks.map((chunk, i) => ({
+    ...metaBase,
+    batch_index: i + 1,
+    batch_total: chunks.length,
+    count: chunk.length,
+    data: chunk,
+  }));
+}
+
+// Deterministische Reihenfolge, damit gleiche Events bei einem Rerun gleiche Batches (Keys) ergeben
+function sortItems(items) {
+  return items.sort(
+    (a, b) =>
+      (a.locationId || "").localeCompare(b.locationId || "") ||
+      (a.reviewId || "").localeCompare(b.reviewId || "") ||
+      a.event.localeCompare(b.event)
+  );
+}
+
+// Prefill-Felder ändern sich bei jedem Lauf → nicht Teil des Idempotency-Keys
+const KEY_IGNORE = ["prefill_rid", "smart_reply_url", "prefill_error"];
+
+// Slack/Teams-Nachrichten zu den Items (leer, wenn der Account keine Sinks hat oder keine relevanten Events)
+function buildSinkMessages(account, items, context) {
+  return sinkPayloads(accountSinks(account, SINK_NAME), (type) => renderReviews(type, items, { context }));
+}
+
+// Make und Slack/Teams laufen als getrennte Ledger-Jobs; ein Fehler bei Make hält die Sinks nicht auf
+async function deliver(account, scope, payloads, messages = []) {
+  const job = accountJob(JOB, account);
+  const sinkJob = accountJob(SINK_JOB, account);
+
+  if (RUN.dryRun) {
+    console.log(`dry run (Make): ${payloads.length} batch(es) → ${writeDryRun(RUN, job, scope, payloads)}`);
+    if (messages.length) console.log(`dry run (Slack/Teams): ${messages.length} message(s) → ${writeDryRun(RUN, sinkJob, scope, messages)}`);
+    return;
+  }
+
+  const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+  const sendToSink = createSinkSender(accountSinks(account, SINK_NAME), requestWithRetry);
+  const targets = [[planDelivery(ledger, { job, scope, payloads, ignore: KEY_IGNORE }), makeSender(account), "Make"]];
+  if (messages.length) targets.push([planDelivery(ledger, { job: sinkJob, scope, payloads: messages }), sendToSink, "Slack/Teams"]);
+
+  let error = null;
+  for (const [run, send, label] of targets) {
+    try {
+      const { sent, skipped } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, send);
+      console.log(`✓ delivered (${label}): ${sent} batch(es)${skipped ? `, ${skipped} already delivered` : ""}`);
+    } catch (e) {
+      error = error || e;
+    }
+  }
+  if (error) throw error;
+}
+
+// Items je Account zustellen; build(account, items) → { scope, payloads, messages }.
+// Ein fehlgeschlagener Account hält die übrigen nicht auf, der Fehler kommt am Ende.
+async function deliverByAccount(items, build) {
+  let error = null;
+  for (const [account, accountItems] of groupByAccount(ACCOUNTS, items, (i) => ITEM_ACCOUNT.get(i))) {
+    const { scope, payloads, messages } = build(account, sortItems(accountItems));
+    if (account.multi) console.log(`- ${account.key}: ${accountItems.length} item(s)`);
+    try {
+      await deliver(account, scope, payloads, messages);
+    } catch (e) {
+      error = error || e;
+    }
+  }
+  if (error) throw error;
+}
+
+// --resume: offene Batches aus dem Ledger nachsenden, danach den zurückgehaltenen State übernehmen
+async function resumeDelivery() {
+  const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+  let resumed = 0;
+  let error = null;
+
+  const jobs = ACCOUNTS.flatMap((a) => [
+    [accountJob(JOB, a), makeSender(a)],
+    [accountJob(SINK_JOB, a), createSinkSender(accountSinks(a, SINK_NAME), requestWithRetry)],
+  ]);
+
+  for (const [job, send] of jobs) {
+    const run = findOpenRun(ledger, job);
+    if (!run) continue;
+
+    resumed++;
+    const open = run.batches.filter((b) => b.status !== "delivered").length;
+    console.log(`Resume ${run.id}: ${open} of ${run.batches.length} batch(es) open`);
+    try {
+      const { sent } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, send);
+      console.log(`✓ delivered: ${sent} batch(es)`);
+    } catch (e) {
+      error = error || e;
+    }
+  }
+
+  if (!resumed) console.log(`Nothing to resume (${ENV.DELIVERY_LEDGER_FILE})`);
+  if (error) throw error;
+
+  if (fs.existsSync(PENDING_STATE_FILE)) {
+    fs.renameSync(PENDING_STATE_FILE, ENV.REVIEW_STATE_FILE);
+    console.log(`✓ state saved: ${ENV.REVIEW_STATE_FILE} (from ${PENDING_STATE_FILE})`);
+  }
+
+  console.log("✓ done (resume)");
+}
+
+// -------------------- Backfill (--from/--to) --------------------
+// Ohne State: alle im Zeitraum erstellten Reviews als "created", je Berlin-Tag ein eigener Payload.
+async function runBackfill(locations, range, sentimentLexicon) {
+  const { start, end } = range;
+  const items = [];
+  const dayOf = new Map(); // item → "yyyy-MM-dd" (Berlin, createTime)
+  const prefillQueue = [];
+
+  console.log(`\n3) Reviews (backfill ${start.toISODate()} .. ${end.toISODate()}) …`);
+
+  await asyncPool(ENV.CONCURRENCY, locations, async (loc) => {
+    const ctx = await getLocationContext(loc);
+    if (!ctx) return;
+
+    let reviews;
+    try {
+      reviews = await listReviewsInRange(ctx.account, ctx.locationId, start, end);
+    } catch (e) {
+      console.log(`- ERROR reviews ${ctx.label}: ${e.message}`);
+      return;
+    }
+
+    const inRange = reviews.map((r) => ({ r, created: DateTime.fromISO(r.createTime, { setZone: true }).setZone(TZ) }));
 
-  for (const item of items) {
-    const p = Promise.resolve().then(() => iteratorFn(item));
-    ret.push(p);
+    if (!inRange.length) return;
+    console.log(`- ${ctx.label}: ${inRange.length}`);
 
-    if (limit <= items.length) {
-      const e = p.then(() => executing.splice(executing.indexOf(e), 1));
-      executing.push(e);
-      if (executing.length >= limit) await Promise.race(executing);
+    for (const { r, created } of inRange) {
+      const current = snapshotReview(r, ctx);
+      const item = buildItem({ type: "created", reviewId: current.reviewId, current, before: null }, ctx, sentimentLexicon, prefillQueue);
+      items.push(item);
+      dayOf.set(item, created.toISODate());
     }
+  });
+
+  console.log(`\n✓ total reviews: ${items.length}`);
+
+  console.log("\nAPI requests:");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+  console.log(`warehouse: ${WAREHOUSE.summary()}`);
+  await applyPrefill(prefillQueue, { env: ENV, job: JOB, dryRun: RUN.dryRun });
+
+  console.log("\n4) Send to Make (per day) …");
+
+  const days = splitDays(start, end);
+  for (const day of days) {
+    console.log(`- ${day.start.toISODate()}: ${items.filter((i) => dayOf.get(i) === day.start.toISODate()).length}`);
   }
 
-  return Promise.all(ret);
+  await deliverByAccount(
+    items,
+    (account, accountItems) => ({
+      scope: `${account.accountId}|backfill|${start.toISODate()}..${end.toISODate()}`,
+      payloads: days.flatMap((day) =>
+        buildPayloads(
+          account,
+          accountItems.filter((i) => dayOf.get(i) === day.start.toISODate()),
+          {
+            range_start: day.start.toISO(),
+            range_end: day.end.toISO(),
+            backfill: true,
+            locations_total: locations.filter((l) => l.account === account).length,
+          }
+        )
+      ),
+    })
+  );
+
+  if (ACCOUNTS.some((a) => accountSinks(a, SINK_NAME).length)) console.log("Slack/Teams: skipped (backfill)");
+  console.log("✓ done (backfill, state unchanged)");
 }
 
 // -------------------- MAIN --------------------
 async function main() {
-  mustEnv("GBP_ACCOUNT_ID");
-  mustEnv("MAKE_REVIEWS_WEBHOOK_URL");
-  mustEnv("PREFILL_API_URL");
-  mustEnv("PREFILL_SECRET");
+  if (!RUN.dryRun) ACCOUNTS.forEach(makeWebhookUrl);
 
-  const { start, end } = getYesterdayRangeBerlin();
+  // Resume braucht weder Google noch Prefill: die Payloads liegen komplett im Ledger
+  if (ENV.DELIVERY_RESUME) return resumeDelivery();
+
+  checkAccounts(ACCOUNTS);
+  if (!RUN.dryRun) {
+    mustEnv("PREFILL_API_URL");
+    mustEnv("PREFILL_SECRET");
+  }
+
+  const backfill = getBackfillRange(TZ);
+
+  // start = Seed-Grenze beim ersten Lauf einer Location (ältere Reviews lösen kein created aus)
+  const { start } = getYesterdayRangeBerlin();
+  const runAt = DateTime.now().setZone(TZ);
+
+  const state = backfill ? null : loadReviewState(ENV.REVIEW_STATE_FILE);
+  const sentimentLexicon = loadSentimentLexicon();
+  const rangeStart = state?.updated_at
+    ? DateTime.fromISO(state.updated_at, { setZone: true }).setZone(TZ)
+    : start;
 
   console.log(`TZ: ${TZ}`);
-  console.log(`Range (yesterday Berlin): ${start.toISO()} -> ${end.toISO()}`);
-  console.log(`Account: ${ENV.GBP_ACCOUNT_ID}`);
+  if (backfill) {
+    console.log(`Backfill: ${backfill.start.toISO()} -> ${backfill.end.toISO()} (state not used)`);
+  } else {
+    console.log(`State: ${ENV.REVIEW_STATE_FILE} (${Object.keys(state.reviews).length} reviews, last run: ${state.updated_at || "never"})`);
+    console.log(`Range (since last run): ${rangeStart.toISO()} -> ${runAt.toISO()}`);
+  }
+  console.log(`Account: ${accountsLabel(ACCOUNTS)}`);
   console.log(`Prefill API: ${ENV.PREFILL_API_URL}`);
-  console.log(`Make webhook: ${mask(ENV.MAKE_REVIEWS_WEBHOOK_URL)}`);
+  console.log(`Make webhook: ${ACCOUNTS.map((a) => mask(accountEnv(a, "MAKE_REVIEWS_WEBHOOK_URL"))).join(" | ")}`);
+  console.log(`Sinks: ${ACCOUNTS.map((a) => accountSinks(a, SINK_NAME).map((s) => s.id).join(", ") || "none").join(" | ")}`);
+  if (RUN.dryRun) console.log(`Dry run: no webhooks, no prefill, state unchanged → payloads in ${RUN.out}`);
 
   console.log("\n1) Access token …");
-  const accessToken = await getAccessToken();
+  for (const account of ACCOUNTS) await GBP.token(account);
   console.log("✓ token ok");
 
   console.log("\n2) Locations …");
-  const locations = await listLocations(accessToken, ENV.GBP_ACCOUNT_ID);
-  console.log(`✓ locations: ${locations.length}`);
+  const locations = filterLocations(
+    await listAccountLocations(ACCOUNTS, listLocations, REGISTRY),
+    RUN.locations,
+    REGISTRY
+  );
+  console.log(`✓ locations: ${locations.length}${RUN.locations.length ? ` (--location ${RUN.locations.join(", ")})` : ""}`);
+  WAREHOUSE.saveLocations(locations);
+  // at least one review page per location (plus metadata where the list call had none)
+  for (const line of GBP.estimate({ REVIEWS: locations.length }, { atLeast: true })) console.log(`quota: ${line}`);
+
+  if (backfill) return runBackfill(locations, backfill, sentimentLexicon);
 
   const items = [];
+  const prefillQueue = [];
 
-  console.log("\n3) Reviews (all locations, yesterday) …");
+  console.log("\n3) Reviews (all locations, diff against state) …");
 
   await asyncPool(ENV.CONCURRENCY, locations, async (loc) => {
-    const locName = (loc.name || "").trim(); // e.g. "locations/123"
-    const locationId = locName.split("/").pop();
-    const storeCode = (loc.storeCode || "").toString().trim();
-    const locationTitle = (loc.title || "").trim();
-
-    if (!locationId) return;
-
-    // NEW: Location-Metadaten (Maps-Link + Review-Link + PlaceId)
-    let maps_uri = loc?.metadata?.mapsUri || "";
-    let new_review_uri = loc?.metadata?.newReviewUri || "";
-    let place_id = loc?.metadata?.placeId || "";
-
-    // Fallback, falls im listLocations nicht befüllt
-    if (!maps_uri && !new_review_uri && !place_id) {
-      try {
-        const meta = await getLocationMetadata(accessToken, locationId);
-        maps_uri = meta?.mapsUri || "";
-        new_review_uri = meta?.newReviewUri || "";
-        place_id = meta?.placeId || "";
-      } catch {
-        // fail-soft: Metadata ist nice-to-have, Reviews sind core
-      }
-    }
-
-    // Optional: stabiler Maps-Link aus placeId (falls du lieber standardisieren willst)
-    const maps_place_url = place_id
-      ? `https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(place_id)}`
-      : null;
-
-    let reviews;
+    const ctx = await getLocationContext(loc);
+    if (!ctx) return;
+
+    const { locationId, storeCode, locationTitle, label } = ctx;
+    const watermark = locationWatermark(state, locationId);
+    const lastFullSync = state.locations[locationId]?.full_synced_at;
+    const fullSyncDue =
+      ENV.REVIEW_STATE_FULL_SYNC ||
+      !watermark ||
+      !lastFullSync ||
+      runAt.diff(DateTime.fromISO(lastFullSync), "days").days >= ENV.REVIEW_STATE_FULL_SYNC_DAYS;
+
+    // Lookback-Fenster, damit verspätet sichtbare Reviews/Antworten nicht durchrutschen
+    const since = fullSyncDue
+      ? null
+      : DateTime.fromISO(watermark, { setZone: true }).minus({ hours: ENV.REVIEW_STATE_LOOKBACK_HOURS });
+
+    let listing;
     try {
-      reviews = await listReviewsForLocation(accessToken, ENV.GBP_ACCOUNT_ID, locationId, start, end);
+      listing = await listReviewsForLocation(ctx.account, locationId, { full: fullSyncDue });
+
+      // Löschungen sieht man nur in der kompletten Liste: mehr bekannte Reviews als Google meldet → voll nachladen
+      if (!listing.complete && listing.totalReviewCount !== null) {
+        const ids = knownReviewIds(state, locationId);
+        for (const r of listing.reviews) ids.add(r.reviewId);
+        if (ids.size > listing.totalReviewCount) {
+          listing = await listReviewsForLocation(ctx.account, locationId, { full: true });
+        }
+      }
     } catch (e) {
-      console.log(`- ERROR reviews ${storeCode || locationTitle || locationId}: ${e.message}`);
+      console.log(`- ERROR reviews ${label}: ${e.message}`);
       return;
     }
 
-    if (!reviews.length) return;
-
-    console.log(`- ${storeCode || locationTitle || locationId}: ${reviews.length} review(s)`);
-
-    for (const r of reviews) {
-      const reviewName = (r.name || "").trim();
-      const reviewId = reviewName.split("/").pop() || "";
-
-      const rating = starRatingToInt(r.starRating);
-      const reviewerObj = r.reviewer || {};
-      const reviewer = (reviewerObj.displayName || reviewerObj.profileName || "").trim();
-
-      const createdBerlin = DateTime.fromISO(r.createTime, { setZone: true }).setZone(TZ);
-      const reviewed_at = createdBerlin.toFormat("dd.MM.yyyy HH:mm:ss");
-
-      const commentClean = cleanComment(r.comment || "");
-      const comment_full = buildCommentFull(commentClean, reviewer, reviewed_at);
-
-      let rid = "";
-      let smart_reply_url = "";
-      let prefill_error = "";
-
-      try {
-        rid = await createPrefillRid({
-          review: comment_full,
-          rating: rating ? String(rating) : "",
-
-          reviewer,
-          reviewed_at,
-          accountId: ENV.GBP_ACCOUNT_ID,
-          locationId,
-          reviewId,
-          storeCode,
-          locationTitle,
-
-          // NEW: Links/IDs für Location
-          maps_uri: maps_uri || "",
-          new_review_uri: new_review_uri || "",
-          place_id: place_id || "",
-          maps_place_url: maps_place_url || "",
-        });
-        smart_reply_url = `${ENV.PUBLIC_APP_URL.replace(/\/$/, "")}/?rid=${rid}`;
-      } catch (e) {
-        prefill_error = e.message || String(e);
-      }
+    // Ohne komplette Liste nur die seit dem Watermark (minus Lookback) geänderten Reviews vergleichen
+    const reviews = listing.complete || !since
+      ? listing.reviews
+      : listing.reviews.filter((r) => r.updateTime && DateTime.fromISO(r.updateTime, { setZone: true }) >= since);
 
-      items.push({
-        storeCode: storeCode || null,
-        locationTitle: locationTitle || null,
-        locationId,
-        reviewId: reviewId || null,
-        rating: rating ?? null,
-        reviewer: reviewer || null,
-        reviewed_at,
-        comment: commentClean || null,
-        comment_full,
-        prefill_rid: rid || null,
-        smart_reply_url: smart_reply_url || null,
-        prefill_error: prefill_error || null,
+    const events = diffLocationReviews(state, locationId, reviews, {
+      complete: listing.complete,
+      seedBefore: start.toUTC().toISO(),
+      normalize: (r) => snapshotReview(r, { storeCode, locationTitle }),
+    });
 
-        // NEW: Links/IDs für Location
-        maps_uri: maps_uri || null,
-        new_review_uri: new_review_uri || null,
-        place_id: place_id || null,
-        maps_place_url: maps_place_url || null,
-      });
+    if (!events.length) return;
+
+    console.log(`- ${label}: ${events.map((ev) => ev.type).join(", ")}`);
 
-      await sleep(60);
+    for (const ev of events) {
+      items.push(buildItem(ev, ctx, sentimentLexicon, prefillQueue));
     }
   });
 
-  console.log(`\n✓ total reviews (yesterday): ${items.length}`);
+  const event_counts = countEvents(items);
+  console.log(`\n✓ total events: ${items.length} (${EVENT_TYPES.map((t) => `${t}=${event_counts[t]}`).join(", ")})`);
+
+  console.log("\nAPI requests:");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+  console.log(`warehouse: ${WAREHOUSE.summary()}`);
+  await applyPrefill(prefillQueue, { env: ENV, job: JOB, dryRun: RUN.dryRun });
 
   // 4) Send to Make (chunked)
   console.log("\n4) Send to Make …");
 
-  const chunks = chunkArray(items, ENV.MAKE_BATCH_SIZE);
-  const metaBase = {
-    source: "google_business_profile",
-    timezone: TZ,
-    range_start: start.toISO(),
-    range_end: end.toISO(),
-    generated_at: DateTime.now().setZone(TZ).toISO(),
-    account_id: ENV.GBP_ACCOUNT_ID,
-    locations_total: locations.length,
-    count_total: items.length,
-  };
-
-  if (chunks.length === 0) chunks.push([]);
+  const sendAll = () =>
+    deliverByAccount(items, (account, accountItems) => {
+      const locationsTotal = locations.filter((l) => l.account === account).length;
+      return {
+        scope: `${account.accountId}|${rangeStart.toISO()}`,
+        payloads: buildPayloads(account, accountItems, {
+          range_start: rangeStart.toISO(),
+          range_end: runAt.toISO(),
+          locations_total: locationsTotal,
+        }),
+        messages: buildSinkMessages(
+          account,
+          accountItems,
+          `${rangeStart.toFormat("dd.MM.yyyy HH:mm")} – ${runAt.toFormat("dd.MM.yyyy HH:mm")} · ${locationsTotal} Standorte`
+        ),
+      };
+    });
+
+  // State erst nach erfolgreicher Zustellung fortschreiben, sonst gehen Events verloren.
+  // Bei Teil-Fehlern liegt der neue State als .pending bereit, bis --resume den Rest zustellt.
+  if (RUN.dryRun) {
+    await sendAll();
+    console.log("✓ done (dry run, state unchanged)");
+    return;
+  }
 
-  for (let i = 0; i < chunks.length; i++) {
-    const payload = {
-      ...metaBase,
-      batch_index: i + 1,
-      batch_total: chunks.length,
-      count: chunks[i].length,
-      data: chunks[i],
-    };
-    await postToMake(payload);
+  try {
+    await sendAll();
+  } catch (e) {
+    saveReviewState(PENDING_STATE_FILE, state);
+    throw e;
   }
 
+  saveReviewState(ENV.REVIEW_STATE_FILE, state);
+  if (fs.existsSync(PENDING_STATE_FILE)) fs.unlinkSync(PENDING_STATE_FILE);
+  console.log(`✓ state saved: ${ENV.REVIEW_STATE_FILE} (${Object.keys(state.reviews).length} reviews)`);
+
   console.log("✓ done");
 }
 
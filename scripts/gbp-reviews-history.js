@@ -1,24 +1,56 @@
 import "dotenv/config";
 import { DateTime } from "luxon";
-import fs from "fs";
-import Papa from "papaparse";
+import { cleanComment, analyzeReviewText } from "./lib/review-text.js";
+import { loadSentimentLexicon, scoreSentiment, isRatingMismatch } from "./lib/sentiment.js";
+import { detectRatingAnomalies, ANOMALY_DEFAULTS } from "./lib/rating-anomaly.js";
+import { loadLedger, planDelivery, findOpenRun, deliverRun, DEFAULT_LEDGER_FILE } from "./lib/delivery-ledger.js";
+import { loadLocationRegistry, resolveLocation } from "./lib/location-registry.js";
+import { rollupReviews } from "./lib/rollups.js";
+import { getReportRange } from "./lib/date-range.js";
+import { createGbpClient, requestWithRetry, asyncPool } from "./lib/gbp-client.js";
+import { openWarehouse } from "./lib/warehouse.js";
+import { getRunOptions, filterLocations, writeReport, writeDryRun } from "./lib/run-options.js";
+import {
+  loadAccounts,
+  checkAccounts,
+  accountsLabel,
+  accountEnv,
+  accountJob,
+  listAccountLocations,
+  locationBrand,
+  groupByAccount,
+} from "./lib/accounts.js";
 
 // -------------------- ENV --------------------
+// Webhooks je Account: MAKE_REVIEWS_WEBHOOK_URL_MONTHLY(_<KEY>), MAKE_REVIEW_ALERTS_WEBHOOK_URL(_<KEY>)
 const ENV = {
-  GBP_CLIENT_ID:     (process.env.GBP_CLIENT_ID     || "").trim(),
-  GBP_CLIENT_SECRET: (process.env.GBP_CLIENT_SECRET || "").trim(),
-  GBP_REFRESH_TOKEN: (process.env.GBP_REFRESH_TOKEN || "").trim(),
-  GBP_ACCOUNT_ID:    (process.env.GBP_ACCOUNT_ID    || "").trim(),
-
-  MAKE_REVIEWS_WEBHOOK_URL_MONTHLY: (process.env.MAKE_REVIEWS_WEBHOOK_URL_MONTHLY || "").trim(),
+  // Alert-Modus (--alerts): Rating-Anomalien je Standort statt History-Export
+  REVIEW_ALERTS:                 process.argv.includes("--alerts") || (process.env.REVIEW_ALERTS || "").trim() === "1",
+  ALERT_BASELINE_DAYS:  Number(process.env.ALERT_BASELINE_DAYS || ANOMALY_DEFAULTS.baselineDays),
+  ALERT_WINDOWS_HOURS:  (process.env.ALERT_WINDOWS_HOURS || ANOMALY_DEFAULTS.windowsHours.join(",")).trim(),
+  ALERT_P_VALUE:        Number(process.env.ALERT_P_VALUE || ANOMALY_DEFAULTS.pValue),
+  ALERT_MIN_NEGATIVES:  Number(process.env.ALERT_MIN_NEGATIVES || ANOMALY_DEFAULTS.minNegatives),
+  ALERT_RATING_DROP:    Number(process.env.ALERT_RATING_DROP || ANOMALY_DEFAULTS.ratingDrop),
 
   CONCURRENCY: Number(process.env.CONCURRENCY || "5"),
+
+  MAKE_BATCH_SIZE: Number(process.env.MAKE_BATCH_SIZE || "1000"),
+
+  // Zustell-Ledger (Idempotency-Keys, --resume)
+  DELIVERY_LEDGER_FILE: (process.env.DELIVERY_LEDGER_FILE || DEFAULT_LEDGER_FILE).trim(),
+  DELIVERY_RESUME:      process.argv.includes("--resume") || (process.env.DELIVERY_RESUME || "").trim() === "1",
 };
 
-function mustEnv(key) {
-  if (!ENV[key]) throw new Error(`Missing env: ${key}`);
-  return ENV[key];
-}
+const ALERT_WINDOWS_HOURS = ENV.ALERT_WINDOWS_HOURS.split(",").map((s) => Number(s.trim())).filter((n) => n > 0);
+
+// --location, --account, --dry-run, --out, --format (gbp-CLI)
+const RUN = getRunOptions();
+
+// Standort-Name, Region, Regionalleitung aus config/locations.json
+const REGISTRY = loadLocationRegistry();
+
+// GBP-Zugangsdaten, Marke und Webhooks je Account (config/accounts.json)
+const ACCOUNTS = loadAccounts({ only: RUN.accounts });
 
 // -------------------- TIME RANGE --------------------
 // Letzte 12 Monate bis einschließlich letzten Sonntag
@@ -35,81 +67,38 @@ function getLast12MonthsRange() {
   return { start, end };
 }
 
-const { start, end } = getLast12MonthsRange();
-
-// -------------------- HTTP Helpers --------------------
-async function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-async function requestWithRetry(url, options = {}, { retries = 4, baseBackoffMs = 800 } = {}) {
-  let lastErr;
-  for (let i = 0; i < retries; i++) {
-    try {
-      const res = await fetch(url, options);
-      if ([429, 500, 502, 503, 504].includes(res.status)) {
-        lastErr = new Error(`HTTP ${res.status} ${res.statusText}`);
-        await sleep(baseBackoffMs * Math.pow(2, i));
-        continue;
-      }
-      return res;
-    } catch (e) {
-      lastErr = e;
-      await sleep(baseBackoffMs * Math.pow(2, i));
-    }
-  }
-  throw lastErr || new Error("requestWithRetry failed");
-}
-
-async function getJson(url, { headers = {}, params = null } = {}) {
-  const u = new URL(url);
-  if (params) {
-    for (const [k, v] of Object.entries(params)) {
-      if (v !== undefined && v !== null && String(v).length > 0)
-        u.searchParams.set(k, String(v));
-    }
-  }
-  const res = await requestWithRetry(u.toString(), { headers, method: "GET" });
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`GET ${u.toString()} -> ${res.status}: ${txt}`);
-  }
-  return res.json();
+// Alert-Modus: Baseline + längstes Fenster bis jetzt
+function getAlertRange() {
+  const end   = DateTime.now().setZone(TZ);
+  const start = end
+    .minus({ days: ENV.ALERT_BASELINE_DAYS, hours: Math.max(...ALERT_WINDOWS_HOURS) })
+    .startOf("day");
+  return { start, end };
 }
 
-// -------------------- Google OAuth --------------------
-async function getAccessToken() {
-  const body = new URLSearchParams({
-    client_id:     ENV.GBP_CLIENT_ID,
-    client_secret: ENV.GBP_CLIENT_SECRET,
-    refresh_token: ENV.GBP_REFRESH_TOKEN,
-    grant_type:    "refresh_token",
-  });
+// --from/--to ersetzt die 12 Monate (nicht im Alert-Modus, der braucht seine Baseline)
+const CUSTOM_RANGE = getReportRange(TZ);
 
-  const res = await requestWithRetry("https://oauth2.googleapis.com/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body,
-  });
+const { start, end } = ENV.REVIEW_ALERTS ? getAlertRange() : CUSTOM_RANGE || getLast12MonthsRange();
 
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Token error ${res.status}: ${txt}`);
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
 
-  const j = JSON.parse(txt);
-  if (!j.access_token) throw new Error(`No access_token: ${txt}`);
-  return j.access_token;
-}
+// Reviews und Antworten aus der lokalen SQLite-DB, Google nur für Neues (lib/warehouse.js);
+// im Dry-Run eine Kopie im Speicher
+const WAREHOUSE = openWarehouse({ dryRun: RUN.dryRun });
 
 // -------------------- GBP: Locations --------------------
-async function listLocations(accessToken, accountId) {
+async function listLocations(account) {
   const out = [];
   let pageToken = "";
 
   do {
-    const j = await getJson(
-      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${accountId}/locations`,
+    const j = await GBP.getJson(
+      account,
+      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${account.accountId}/locations`,
       {
-        headers: { Authorization: `Bearer ${accessToken}` },
         params: {
           pageSize:  "100",
           readMask:  "name,title,storeCode",
@@ -132,94 +121,184 @@ function starRatingToInt(star) {
   return map[String(star).toUpperCase()] ?? null;
 }
 
-function cleanComment(text) {
-  let t = (text || "").trim();
-  for (const m of ["(Translated by Google)", "(Übersetzt von Google)"]) {
-    const idx = t.indexOf(m);
-    if (idx !== -1) t = t.slice(0, idx).trimEnd();
+// Erst neue/geänderte Reviews in den Warehouse holen, dann den Zeitraum (createTime) aus der DB lesen
+async function listReviewsForLocation(account, locationId, startDt, endDt) {
+  await WAREHOUSE.syncReviews(GBP, account, locationId, startDt);
+  return WAREHOUSE.reviews(locationId, startDt, endDt);
+}
+
+// -------------------- Sentiment je Store --------------------
+function sentimentByStore(rows) {
+  const map = new Map();
+  for (const r of rows) {
+    const key = r.Store || "(ohne Store)";
+    if (!map.has(key)) map.set(key, { Store: key, reviews: 0, ratingSum: 0, ratingN: 0, scoreSum: 0, scoreN: 0, negative: 0, mismatches: 0 });
+    const a = map.get(key);
+    a.reviews++;
+    if (r.Rating) { a.ratingSum += r.Rating; a.ratingN++; }
+    if (r.sentiment_score !== null) { a.scoreSum += r.sentiment_score; a.scoreN++; }
+    if (r.sentiment_label === "negative") a.negative++;
+    if (r.sentiment_mismatch) a.mismatches++;
   }
-  return t;
+
+  return [...map.values()]
+    .map((a) => ({
+      Store:              a.Store,
+      Reviews:            a.reviews,
+      AvgRating:          a.ratingN ? Math.round((a.ratingSum / a.ratingN) * 100) / 100 : null,
+      MeanSentiment:      a.scoreN ? Math.round((a.scoreSum / a.scoreN) * 1000) / 1000 : null,
+      NegativeSentiment:  a.negative,
+      RatingMismatches:   a.mismatches,
+    }))
+    .sort((a, b) => a.Store.localeCompare(b.Store));
 }
 
-async function listReviewsForLocation(accessToken, accountId, locationId, startDt, endDt) {
-  const out = [];
-  let pageToken = "";
-  let pagesBelowCutoff = 0;
+// -------------------- Rating-Alerts --------------------
+async function sendRatingAlerts(account, reviews) {
+  const tag    = account.multi ? ` [${account.key}]` : "";
+  const alerts = detectRatingAnomalies(reviews, end.toMillis(), {
+    baselineDays: ENV.ALERT_BASELINE_DAYS,
+    windowsHours: ALERT_WINDOWS_HOURS,
+    pValue:       ENV.ALERT_P_VALUE,
+    minNegatives: ENV.ALERT_MIN_NEGATIVES,
+    ratingDrop:   ENV.ALERT_RATING_DROP,
+  });
 
-  do {
-    const j = await getJson(
-      `https://mybusiness.googleapis.com/v4/accounts/${accountId}/locations/${locationId}/reviews`,
-      {
-        headers: { Authorization: `Bearer ${accessToken}` },
-        params: {
-          pageSize: "50",
-          orderBy:  "updateTime desc",
-          pageToken,
-        },
-      }
-    );
+  console.log(`\n🔔 Alerts${tag}: ${alerts.length}`);
+  for (const a of alerts) {
+    console.log(`  ${a.storeCode || a.locationTitle}: ${a.kind} (${a.window}) observed=${a.observed} expected=${a.expected}`);
+  }
 
-    const reviews = j.reviews || [];
-    if (!reviews.length) break;
+  if (!alerts.length) return;
+
+  const payload = {
+    type:          "gbp_review_alerts",
+    generated_at:  end.toISO(),
+    account_id:    account.accountId,
+    brand:         account.brand,
+    baseline_days: ENV.ALERT_BASELINE_DAYS,
+    windows_hours: ALERT_WINDOWS_HOURS,
+    alert_count:   alerts.length,
+    alerts,
+  };
+
+  if (RUN.dryRun) {
+    console.log(`🧪 Dry-Run → ${writeDryRun(RUN, accountJob(ALERTS_JOB, account), account.accountId, [payload])}`);
+    return;
+  }
 
-    let anyGeStart = false;
+  const url = accountEnv(account, "MAKE_REVIEW_ALERTS_WEBHOOK_URL");
+  if (!url) {
+    console.log(`ℹ️  MAKE_REVIEW_ALERTS_WEBHOOK_URL${tag} nicht gesetzt – Webhook übersprungen`);
+    return;
+  }
 
-    for (const r of reviews) {
-      if (!r.createTime) continue;
-      const dt = DateTime.fromISO(r.createTime, { setZone: true }).setZone(TZ);
+  const res = await requestWithRetry(url, {
+    method:  "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const txt = await res.text().catch(() => "");
+  console.log(`🚀 Make Webhook → ${res.status} ${txt.slice(0, 100)}`);
+  if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+}
 
-      if (dt >= startDt) anyGeStart = true;
-      if (dt >= startDt && dt <= endDt) out.push(r);
-    }
+// -------------------- Make Webhook (Ledger) --------------------
+// Jeder Batch mit Idempotency-Key; Status in DELIVERY_LEDGER_FILE, --resume schickt nur Fehlendes.
+// Je Account ein eigener Ledger-Job und Webhook (accountJob / accountEnv).
+const JOB = "gbp-reviews-history";
+const ALERTS_JOB = "gbp-review-alerts";
 
-    if (!anyGeStart) pagesBelowCutoff++;
-    else pagesBelowCutoff = 0;
+function chunkArray(arr, size) {
+  if (size <= 0) return [arr];
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
 
-    if (pagesBelowCutoff >= 2) break;
+async function postToMake(url, payload, idempotencyKey) {
+  const res = await requestWithRetry(url, {
+    method:  "POST",
+    headers: { "Content-Type": "application/json", "Idempotency-Key": idempotencyKey },
+    body:    JSON.stringify(payload),
+  });
+  const txt = await res.text().catch(() => "");
+  console.log(`🚀 Make Webhook → ${res.status} ${txt.slice(0, 100)}`);
+  if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+}
 
-    pageToken = j.nextPageToken || "";
-    if (pageToken) await sleep(120);
-  } while (pageToken);
+async function deliver(account, url, scope, payloads) {
+  const job = accountJob(JOB, account);
+  if (RUN.dryRun) {
+    console.log(`🧪 Dry-Run: ${payloads.length} Batch(es) → ${writeDryRun(RUN, job, scope, payloads)}`);
+    return;
+  }
 
-  return out;
+  const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+  const run    = planDelivery(ledger, { job, scope, payloads });
+  const { sent, skipped } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, (p, key) => postToMake(url, p, key));
+  console.log(`✓ Zugestellt: ${sent} Batch(es)${skipped ? `, ${skipped} bereits zugestellt` : ""}`);
 }
 
-// -------------------- Concurrency pool --------------------
-async function asyncPool(limit, items, fn) {
-  const ret = [];
-  const executing = [];
-  for (const item of items) {
-    const p = Promise.resolve().then(() => fn(item));
-    ret.push(p);
-    if (limit <= items.length) {
-      const e = p.then(() => executing.splice(executing.indexOf(e), 1));
-      executing.push(e);
-      if (executing.length >= limit) await Promise.race(executing);
-    }
+async function resumeDelivery() {
+  const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+  let resumed  = 0;
+
+  for (const account of ACCOUNTS) {
+    const run = findOpenRun(ledger, accountJob(JOB, account));
+    if (!run) continue;
+
+    const url = accountEnv(account, "MAKE_REVIEWS_WEBHOOK_URL_MONTHLY");
+    if (!url) throw new Error(`Missing env: MAKE_REVIEWS_WEBHOOK_URL_MONTHLY${account.multi ? `_${account.key}` : ""}`);
+
+    const open = run.batches.filter((b) => b.status !== "delivered").length;
+    console.log(`↻ Resume ${run.id}: ${open} von ${run.batches.length} Batch(es) offen`);
+    const { sent } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, (p, key) => postToMake(url, p, key));
+    console.log(`✓ Zugestellt: ${sent} Batch(es)`);
+    resumed++;
   }
-  return Promise.all(ret);
+
+  if (!resumed) console.log(`ℹ️  Nichts fortzusetzen (${ENV.DELIVERY_LEDGER_FILE})`);
 }
 
 // -------------------- MAIN --------------------
 async function main() {
-  mustEnv("GBP_CLIENT_ID");
-  mustEnv("GBP_CLIENT_SECRET");
-  mustEnv("GBP_REFRESH_TOKEN");
-  mustEnv("GBP_ACCOUNT_ID");
+  if (CUSTOM_RANGE && ENV.REVIEW_ALERTS) throw new Error("--from/--to is not supported with --alerts");
+
+  // Resume braucht keine Google-Calls: die Payloads liegen komplett im Ledger
+  if (ENV.DELIVERY_RESUME && !ENV.REVIEW_ALERTS) {
+    await resumeDelivery();
+    console.log("\n✅ Fertig");
+    return;
+  }
+
+  checkAccounts(ACCOUNTS);
 
   console.log(`TZ:      ${TZ}`);
+  console.log(`Mode:    ${ENV.REVIEW_ALERTS ? "alerts" : "history"}`);
   console.log(`Range:   ${start.toISODate()} → ${end.toISODate()}`);
-  console.log(`Account: ${ENV.GBP_ACCOUNT_ID}`);
+  console.log(`Account: ${accountsLabel(ACCOUNTS)}`);
+  if (RUN.dryRun) console.log(`Dry-Run: keine Webhooks, Payloads nach ${RUN.out}`);
 
   console.log("\n1) Access token …");
-  const accessToken = await getAccessToken();
+  for (const account of ACCOUNTS) await GBP.token(account);
   console.log("✓ token ok");
 
   console.log("\n2) Locations …");
-  const locations = await listLocations(accessToken, ENV.GBP_ACCOUNT_ID);
-  console.log(`✓ ${locations.length} locations`);
+  const locations = filterLocations(
+    await listAccountLocations(ACCOUNTS, listLocations, REGISTRY),
+    RUN.locations,
+    REGISTRY
+  );
+  console.log(`✓ ${locations.length} locations${RUN.locations.length ? ` (--location ${RUN.locations.join(", ")})` : ""}`);
+  WAREHOUSE.saveLocations(locations);
+  // mindestens eine Review-Seite je Standort
+  for (const line of GBP.estimate({ REVIEWS: locations.length }, { atLeast: true })) console.log(`ℹ️  ${line}`);
 
   const rows = [];
+  const alertInput = [];
+  const accountOf = new WeakMap(); // Zeile → Account (Zustellung je Account)
+  const sentimentLexicon = loadSentimentLexicon();
 
   console.log("\n3) Reviews …");
 
@@ -230,11 +309,12 @@ async function main() {
 
     if (!locationId) return;
 
+    const place = resolveLocation(REGISTRY, { storeCode, title: locationTitle });
+    const brand = locationBrand(place, loc.account);
+
     let reviews;
     try {
-      reviews = await listReviewsForLocation(
-        accessToken, ENV.GBP_ACCOUNT_ID, locationId, start, end
-      );
+      reviews = await listReviewsForLocation(loc.account, locationId, start, end);
     } catch (e) {
       console.warn(`  ⚠ ${storeCode || locationTitle}: ${e.message}`);
       return;
@@ -247,7 +327,8 @@ async function main() {
       const dt       = DateTime.fromISO(r.createTime, { setZone: true }).setZone(TZ);
       const rating   = starRatingToInt(r.starRating);
       const reviewer = (r.reviewer?.displayName || r.reviewer?.profileName || "").trim();
-      const comment  = cleanComment(r.comment || "");
+      const { comment_original: comment, comment_translated, language } = analyzeReviewText(r.comment || "");
+      const { sentiment_score, sentiment_label } = scoreSentiment(comment_translated || comment, sentimentLexicon);
 
       const reply     = cleanComment(r.reviewReply?.comment || "");
       const repliedAt = r.reviewReply?.updateTime
@@ -256,19 +337,47 @@ async function main() {
             .toFormat("dd.MM.yyyy HH:mm")
         : null;
 
-      rows.push({
+      const row = {
         Date:      dt.toFormat("dd.MM.yyyy"),
         Time:      dt.toFormat("HH:mm:ss"),
         Rating:    rating,
         Store:     storeCode || null,
+        Standort:  place.standort,
+        Region:    place.region,
+        Manager:   place.manager,
         Comment:   comment || null,
+        comment_translated: comment_translated || null,
+        language:  language || null,
         Reviewer:  reviewer || null,
         Reply:     reply || null,
         RepliedAt: repliedAt || null,
         Channel:   "Google",
-      });
-
-      await sleep(60);
+        account_id: loc.account.accountId,
+        brand,
+        sentiment_score,
+        sentiment_label,
+        sentiment_mismatch: isRatingMismatch(rating, sentiment_label),
+      };
+      rows.push(row);
+      accountOf.set(row, loc.account);
+
+      const alertRow = {
+        account_id:    loc.account.accountId,
+        brand,
+        storeCode:     storeCode || null,
+        locationTitle: locationTitle || null,
+        standort:      place.standort,
+        locationId,
+        reviewId:      (r.name || "").split("/").pop() || null,
+        rating,
+        createTime:    r.createTime,
+        reviewed_at:   dt.toFormat("dd.MM.yyyy HH:mm"),
+        reviewer:      reviewer || null,
+        comment:       comment || null,
+        sentiment_label,
+      };
+      alertInput.push(alertRow);
+      accountOf.set(alertRow, loc.account);
     }
   });
 
@@ -280,32 +389,75 @@ async function main() {
 
   console.log(`\n✓ Total reviews: ${rows.length}`);
 
+  console.log("\n📊 API-Requests");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+  console.log(`\n🗄  Warehouse ${WAREHOUSE.summary()}`);
+
+  if (ENV.REVIEW_ALERTS) {
+    for (const [account, reviews] of groupByAccount(ACCOUNTS, alertInput, (r) => accountOf.get(r))) {
+      await sendRatingAlerts(account, reviews);
+    }
+    console.log("\n✅ Fertig");
+    return;
+  }
+
   // -------------------- CSV Export --------------------
   const dateFrom = start.toFormat("yyyy-MM-dd");
   const dateTo   = end.toFormat("yyyy-MM-dd");
-  const filename = `gbp-reviews-${dateFrom}..${dateTo}.csv`;
-
-  const csv = Papa.unparse(rows);
-  fs.writeFileSync(filename, "\uFEFF" + csv, "utf-8");
-  console.log(`\n📄 CSV gespeichert: ${filename}`);
-
-  // -------------------- Make Webhook (optional) --------------------
-  if (ENV.MAKE_REVIEWS_WEBHOOK_URL_MONTHLY) {
-    const res = await requestWithRetry(ENV.MAKE_REVIEWS_WEBHOOK_URL_MONTHLY, {
-      method:  "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        type:      "gbp_reviews_history",
-        dateFrom,
-        dateTo,
-        row_count: rows.length,
-        rows,
-      }),
-    });
-    const txt = await res.text().catch(() => "");
-    console.log(`🚀 Make Webhook → ${res.status} ${txt.slice(0, 100)}`);
-  } else {
-    console.log("ℹ️  MAKE_REVIEWS_WEBHOOK_URL_MONTHLY nicht gesetzt – Webhook übersprungen");
+  const prefix   = `gbp-reviews-${dateFrom}..${dateTo}`;
+
+  console.log(`\n📄 Gespeichert: ${writeReport(RUN, prefix, rows)}`);
+
+  const byStore = sentimentByStore(rows);
+  console.log(`📄 Gespeichert: ${writeReport(RUN, `${prefix}_sentiment_by_store`, byStore)}`);
+
+  // Region / Regionalleitung: Anzahl, Ø Rating, Antwortquote
+  const { region: byRegion, manager: byManager } = rollupReviews(
+    rows,
+    (r) => ({ region: r.Region, manager: r.Manager }),
+    { standortOf: (r) => r.Standort, ratingOf: (r) => r.Rating, repliedOf: (r) => !!r.Reply }
+  );
+  for (const [suffix, data] of [["by_region", byRegion], ["by_manager", byManager]]) {
+    console.log(`📄 Gespeichert: ${writeReport(RUN, `${prefix}_${suffix}`, data)}`);
+  }
+
+  // -------------------- Make Webhook (optional, chunked, je Account) --------------------
+  // CSV oben enthält alle Accounts; an Make geht jeder Account mit eigenen Summen an seinen Webhook
+  for (const [account, accountRows] of groupByAccount(ACCOUNTS, rows, (r) => accountOf.get(r))) {
+    const tag = account.multi ? ` [${account.key}]` : "";
+    const url = accountEnv(account, "MAKE_REVIEWS_WEBHOOK_URL_MONTHLY");
+    if (!url && !RUN.dryRun) {
+      console.log(`ℹ️  MAKE_REVIEWS_WEBHOOK_URL_MONTHLY${tag} nicht gesetzt – Webhook übersprungen`);
+      continue;
+    }
+
+    const sentiment = sentimentByStore(accountRows);
+    const rollups   = rollupReviews(
+      accountRows,
+      (r) => ({ region: r.Region, manager: r.Manager }),
+      { standortOf: (r) => r.Standort, ratingOf: (r) => r.Rating, repliedOf: (r) => !!r.Reply }
+    );
+
+    const chunks = chunkArray(accountRows, ENV.MAKE_BATCH_SIZE);
+    if (!chunks.length) chunks.push([]);
+
+    const payloads = chunks.map((chunk, i) => ({
+      type:        "gbp_reviews_history",
+      dateFrom,
+      dateTo,
+      account_id:  account.accountId,
+      brand:       account.brand,
+      row_count:   accountRows.length,
+      batch_index: i + 1,
+      batch_total: chunks.length,
+      count:       chunk.length,
+      rows:        chunk,
+      sentiment_by_store: sentiment,
+      by_region:   rollups.region,
+      by_manager:  rollups.manager,
+    }));
+    console.log(`\n📦 Make${tag}: ${accountRows.length} Zeilen`);
+    await deliver(account, url, `${account.accountId}|${dateFrom}..${dateTo}`, payloads);
   }
 
   console.log("\n✅ Fertig");
@@ -0,0 +1,318 @@
+import "dotenv/config";
+import { DateTime } from "luxon";
+import { analyzeReviewText } from "./lib/review-text.js";
+import { loadLocationRegistry, resolveLocation } from "./lib/location-registry.js";
+import {
+  loadAccounts,
+  checkAccounts,
+  accountsLabel,
+  accountEnv,
+  accountJob,
+  listAccountLocations,
+  locationBrand,
+  groupByAccount,
+} from "./lib/accounts.js";
+import { createGbpClient, requestWithRetry, asyncPool } from "./lib/gbp-client.js";
+import { openWarehouse } from "./lib/warehouse.js";
+import { getRunOptions, writeReport, writeDryRun } from "./lib/run-options.js";
+
+// -------------------- ENV --------------------
+const ENV = {
+  // SLA: Default in Stunden, optional je storeCode überschreiben (JSON: {"NTST001": 48})
+  SLA_HOURS:          Number(process.env.SLA_HOURS || "24"),
+  SLA_HOURS_BY_STORE: (process.env.SLA_HOURS_BY_STORE || "").trim(),
+  // Bucket-Grenzen in Stunden → "<24h", "24–72h", ">72h"
+  SLA_BUCKETS:        (process.env.SLA_BUCKETS || "24,72").trim(),
+  // Ältere unbeantwortete Reviews werden ignoriert
+  SLA_MAX_AGE_DAYS:   Number(process.env.SLA_MAX_AGE_DAYS || "90"),
+
+  CONCURRENCY: Number(process.env.CONCURRENCY || "5"),
+};
+
+// --account, --dry-run, --out, --format (gbp-CLI)
+const RUN = getRunOptions();
+
+// Standort-Name, Region, Regionalleitung aus config/locations.json
+const REGISTRY = loadLocationRegistry();
+
+// GBP-Zugangsdaten, Marke und Webhook je Account (config/accounts.json, --account)
+const ACCOUNTS = loadAccounts({ only: RUN.accounts });
+
+const TZ = "Europe/Berlin";
+
+// Job-Name der Dry-Run-Datei, je Account über accountJob
+const JOB = "gbp-reviews-sla";
+
+// -------------------- SLA Config --------------------
+function parseSlaByStore(raw) {
+  if (!raw) return {};
+  let j;
+  try {
+    j = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid SLA_HOURS_BY_STORE (expected JSON object): ${e.message}`);
+  }
+  const out = {};
+  for (const [store, hours] of Object.entries(j)) {
+    const h = Number(hours);
+    if (!Number.isFinite(h) || h <= 0) throw new Error(`Invalid SLA hours for ${store}: ${hours}`);
+    out[store.trim()] = h;
+  }
+  return out;
+}
+
+function parseBuckets(raw) {
+  const bounds = raw.split(",").map((s) => Number(s.trim())).filter((n) => Number.isFinite(n) && n > 0);
+  if (!bounds.length) throw new Error(`Invalid SLA_BUCKETS: ${raw}`);
+  bounds.sort((a, b) => a - b);
+
+  const labels = [`<${bounds[0]}h`];
+  for (let i = 1; i < bounds.length; i++) labels.push(`${bounds[i - 1]}–${bounds[i]}h`);
+  labels.push(`>${bounds[bounds.length - 1]}h`);
+  return { bounds, labels };
+}
+
+const SLA_BY_STORE = parseSlaByStore(ENV.SLA_HOURS_BY_STORE);
+const BUCKETS      = parseBuckets(ENV.SLA_BUCKETS);
+
+function slaHoursFor(storeCode) {
+  return SLA_BY_STORE[storeCode] ?? ENV.SLA_HOURS;
+}
+
+function bucketFor(ageHours) {
+  const i = BUCKETS.bounds.findIndex((b) => ageHours < b);
+  return BUCKETS.labels[i === -1 ? BUCKETS.labels.length - 1 : i];
+}
+
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
+
+// Reviews und Antworten aus der lokalen SQLite-DB (lib/warehouse.js); im Dry-Run eine Kopie im Speicher
+const WAREHOUSE = openWarehouse({ dryRun: RUN.dryRun });
+
+// -------------------- GBP: Locations --------------------
+async function listLocations(account) {
+  const out = [];
+  let pageToken = "";
+
+  do {
+    const j = await GBP.getJson(
+      account,
+      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${account.accountId}/locations`,
+      {
+        params: {
+          pageSize:  "100",
+          readMask:  "name,title,storeCode",
+          orderBy:   "storeCode",
+          pageToken,
+        },
+      }
+    );
+    out.push(...(j.locations || []));
+    pageToken = j.nextPageToken || "";
+  } while (pageToken);
+
+  return out;
+}
+
+// -------------------- GBP: Reviews --------------------
+function starRatingToInt(star) {
+  if (!star) return null;
+  const map = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+  return map[String(star).toUpperCase()] ?? null;
+}
+
+// Alle Reviews ohne reviewReply, die nach startDt erstellt wurden.
+// Das SLA-Fenster ist kurz und hängt am Antwort-Status: immer alle Seiten bis startDt neu holen (full),
+// auch Antworten ohne neue updateTime der Review kommen so an
+async function listUnansweredReviews(account, locationId, startDt) {
+  await WAREHOUSE.syncReviews(GBP, account, locationId, startDt, { full: true });
+  return WAREHOUSE.reviews(locationId, startDt, DateTime.now()).filter((r) => !r.reviewReply?.comment);
+}
+
+// -------------------- MAIN --------------------
+async function main() {
+  checkAccounts(ACCOUNTS);
+
+  const now   = DateTime.now().setZone(TZ);
+  const start = now.minus({ days: ENV.SLA_MAX_AGE_DAYS }).startOf("day");
+
+  console.log(`TZ:      ${TZ}`);
+  console.log(`Window:  ${start.toISODate()} → ${now.toISODate()} (${ENV.SLA_MAX_AGE_DAYS} Tage)`);
+  console.log(`SLA:     ${ENV.SLA_HOURS}h default, ${Object.keys(SLA_BY_STORE).length} Store-Override(s)`);
+  console.log(`Buckets: ${BUCKETS.labels.join(" | ")}`);
+  console.log(`Account: ${accountsLabel(ACCOUNTS)}`);
+  if (RUN.dryRun) console.log(`Dry-Run: keine Webhooks, Payloads nach ${RUN.out}`);
+
+  console.log("\n1) Access token …");
+  for (const account of ACCOUNTS) await GBP.token(account);
+  console.log("✓ token ok");
+
+  console.log("\n2) Locations …");
+  const locations = await listAccountLocations(ACCOUNTS, listLocations, REGISTRY);
+  const accountOf = new Map(locations.map((l) => [(l.name || "").split("/").pop(), l.account]));
+  console.log(`✓ ${locations.length} locations`);
+  WAREHOUSE.saveLocations(locations);
+  // mindestens eine Review-Seite je Standort
+  for (const line of GBP.estimate({ REVIEWS: locations.length }, { atLeast: true })) console.log(`ℹ️  ${line}`);
+
+  const reviewsOut = [];
+  const byLocation = [];
+  const skipped    = [];
+  const skippedAccount = new Map(); // übersprungener Standort → Account (Zustellung je Account)
+
+  console.log("\n3) Unbeantwortete Reviews …");
+
+  await asyncPool(ENV.CONCURRENCY, locations, async (loc) => {
+    const locationId    = (loc.name || "").split("/").pop();
+    const storeCode     = (loc.storeCode || "").toString().trim();
+    const locationTitle = (loc.title || "").trim();
+
+    if (!locationId) return;
+
+    const place = resolveLocation(REGISTRY, { storeCode, title: locationTitle });
+    const brand = locationBrand(place, loc.account);
+
+    let reviews;
+    try {
+      reviews = await listUnansweredReviews(loc.account, locationId, start);
+    } catch (e) {
+      console.warn(`  ⚠ ${storeCode || locationTitle}: ${e.message}`);
+      skipped.push(storeCode || locationTitle || locationId);
+      skippedAccount.set(storeCode || locationTitle || locationId, loc.account);
+      return;
+    }
+
+    if (!reviews.length) return;
+
+    const slaHours = slaHoursFor(storeCode);
+    const buckets  = Object.fromEntries(BUCKETS.labels.map((l) => [l, 0]));
+    let overdue    = 0;
+    let oldest     = 0;
+
+    for (const r of reviews) {
+      const dt       = DateTime.fromISO(r.createTime, { setZone: true }).setZone(TZ);
+      const ageHours = Math.floor(now.diff(dt, "hours").hours);
+      const bucket   = bucketFor(ageHours);
+      const isOverdue = ageHours >= slaHours;
+      const text      = analyzeReviewText(r.comment || "");
+
+      buckets[bucket]++;
+      if (isOverdue) overdue++;
+      oldest = Math.max(oldest, ageHours);
+
+      reviewsOut.push({
+        account_id:    loc.account.accountId,
+        brand,
+        storeCode:     storeCode || null,
+        locationTitle: locationTitle || null,
+        standort:      place.standort,
+        locationId,
+        reviewId:      (r.name || "").split("/").pop() || null,
+        rating:        starRatingToInt(r.starRating),
+        reviewer:      (r.reviewer?.displayName || r.reviewer?.profileName || "").trim() || null,
+        reviewed_at:   dt.toFormat("dd.MM.yyyy HH:mm"),
+        comment:       text.comment_original || null,
+        language:      text.language,
+        age_hours:     ageHours,
+        sla_hours:     slaHours,
+        sla_bucket:    bucket,
+        overdue:       isOverdue,
+      });
+    }
+
+    console.log(`  ${storeCode || locationTitle}: ${reviews.length} offen, ${overdue} über SLA (${slaHours}h)`);
+
+    byLocation.push({
+      account_id:    loc.account.accountId,
+      brand,
+      storeCode:     storeCode || null,
+      locationTitle: locationTitle || null,
+      standort:      place.standort,
+      region:        place.region,
+      manager:       place.manager,
+      manager_email: place.manager_email,
+      locationId,
+      sla_hours:     slaHours,
+      unanswered:    reviews.length,
+      overdue,
+      oldest_hours:  oldest,
+      buckets,
+    });
+  });
+
+  reviewsOut.sort((a, b) => b.age_hours - a.age_hours);
+  byLocation.sort((a, b) => b.overdue - a.overdue || b.oldest_hours - a.oldest_hours);
+
+  const bucketTotals = Object.fromEntries(BUCKETS.labels.map((l) => [l, 0]));
+  for (const r of reviewsOut) bucketTotals[r.sla_bucket]++;
+  const overdueTotal = reviewsOut.filter((r) => r.overdue).length;
+
+  console.log(`\n✓ Unbeantwortet: ${reviewsOut.length} | über SLA: ${overdueTotal}`);
+  console.log(`  ${BUCKETS.labels.map((l) => `${l}: ${bucketTotals[l]}`).join(" | ")}`);
+  if (skipped.length) console.log(`⚠ Übersprungen: ${skipped.join(", ")}`);
+
+  // -------------------- Report (--out, --format) --------------------
+  console.log(`\n📄 Gespeichert: ${writeReport(RUN, `gbp-reviews-sla-${now.toISODate()}`, reviewsOut)}`);
+
+  // -------------------- Make Webhook (Eskalation, je Account) --------------------
+  // Jeder Account geht an seinen Webhook (MAKE_REVIEWS_SLA_WEBHOOK_URL_<KEY>, sonst den gemeinsamen)
+  const locationsByAccount = new Map(groupByAccount(ACCOUNTS, byLocation, (l) => accountOf.get(l.locationId)));
+
+  for (const [account, reviews] of groupByAccount(ACCOUNTS, reviewsOut, (r) => accountOf.get(r.locationId))) {
+    const tag = account.multi ? ` [${account.key}]` : "";
+    const url = accountEnv(account, "MAKE_REVIEWS_SLA_WEBHOOK_URL");
+    if (!url && !RUN.dryRun) {
+      console.log(`ℹ️  MAKE_REVIEWS_SLA_WEBHOOK_URL${tag} nicht gesetzt – Webhook übersprungen`);
+      continue;
+    }
+
+    const totals  = Object.fromEntries(BUCKETS.labels.map((l) => [l, 0]));
+    for (const r of reviews) totals[r.sla_bucket]++;
+    const overdue = reviews.filter((r) => r.overdue).length;
+
+    const payload = {
+      type:              "gbp_reviews_sla",
+      generated_at:      now.toISO(),
+      timezone:          TZ,
+      account_id:        account.accountId,
+      brand:             account.brand,
+      escalate:          overdue > 0,
+      sla_hours_default: ENV.SLA_HOURS,
+      sla_hours_by_store: SLA_BY_STORE,
+      buckets:           BUCKETS.labels,
+      unanswered_total:  reviews.length,
+      overdue_total:     overdue,
+      bucket_totals:     totals,
+      locations:         locationsByAccount.get(account),
+      reviews,
+      skipped:           skipped.filter((s) => skippedAccount.get(s) === account),
+    };
+
+    if (RUN.dryRun) {
+      console.log(`🧪 Dry-Run${tag} → ${writeDryRun(RUN, accountJob(JOB, account), account.accountId, [payload])}`);
+      continue;
+    }
+
+    const res = await requestWithRetry(url, {
+      method:  "POST",
+      headers: { "Content-Type": "application/json" },
+      body:    JSON.stringify(payload),
+    });
+    const txt = await res.text().catch(() => "");
+    console.log(`🚀 Make Webhook${tag} → ${res.status} ${txt.slice(0, 100)}`);
+    if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+  }
+
+  console.log("\n📊 API-Requests");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+  console.log(`\n🗄  Warehouse ${WAREHOUSE.summary()}`);
+
+  console.log("\n✅ Fertig");
+}
+
+main().catch((e) => {
+  console.error("\n❌ ERROR:", e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,270 @@
+import "dotenv/config";
+import { DateTime } from "luxon";
+import { analyzeReviewText } from "./lib/review-text.js";
+import { scoreSuspicion, SPAM_DEFAULTS } from "./lib/review-spam.js";
+import { loadLocationRegistry, resolveLocation } from "./lib/location-registry.js";
+import {
+  loadAccounts,
+  checkAccounts,
+  accountsLabel,
+  accountEnv,
+  accountJob,
+  listAccountLocations,
+  locationBrand,
+  groupByAccount,
+} from "./lib/accounts.js";
+import { createGbpClient, requestWithRetry, asyncPool } from "./lib/gbp-client.js";
+import { openWarehouse } from "./lib/warehouse.js";
+import { getRunOptions, writeReport, writeDryRun } from "./lib/run-options.js";
+
+// -------------------- ENV --------------------
+const ENV = {
+  SPAM_WINDOW_DAYS:         Number(process.env.SPAM_WINDOW_DAYS || "90"),
+  SPAM_BURST_MIN:           Number(process.env.SPAM_BURST_MIN || SPAM_DEFAULTS.burstMin),
+  SPAM_BURST_HOURS:         Number(process.env.SPAM_BURST_HOURS || SPAM_DEFAULTS.burstHours),
+  SPAM_CROSS_LOCATIONS_MIN: Number(process.env.SPAM_CROSS_LOCATIONS_MIN || SPAM_DEFAULTS.crossMin),
+  SPAM_DUPLICATE_SIMILARITY: Number(process.env.SPAM_DUPLICATE_SIMILARITY || SPAM_DEFAULTS.duplicateSimilarity),
+  // nur Reviews ab diesem Score landen im Report
+  SPAM_MIN_SCORE:           Number(process.env.SPAM_MIN_SCORE || "30"),
+
+  CONCURRENCY: Number(process.env.CONCURRENCY || "5"),
+};
+
+// --account, --dry-run, --out, --format (gbp-CLI)
+const RUN = getRunOptions();
+
+// Standort-Name, Region, Regionalleitung aus config/locations.json
+const REGISTRY = loadLocationRegistry();
+
+// GBP-Zugangsdaten, Marke und Webhook je Account (config/accounts.json, --account)
+const ACCOUNTS = loadAccounts({ only: RUN.accounts });
+
+// -------------------- TIME RANGE --------------------
+const TZ = "Europe/Berlin";
+
+// Job-Name der Dry-Run-Datei, je Account über accountJob
+const JOB = "gbp-reviews-spam";
+
+function getWindowRange() {
+  const end   = DateTime.now().setZone(TZ).endOf("day");
+  const start = end.minus({ days: ENV.SPAM_WINDOW_DAYS }).plus({ days: 1 }).startOf("day");
+  return { start, end };
+}
+
+const { start, end } = getWindowRange();
+
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
+
+// Reviews aus der lokalen SQLite-DB, Google nur für Neues (lib/warehouse.js); im Dry-Run eine Kopie im Speicher
+const WAREHOUSE = openWarehouse({ dryRun: RUN.dryRun });
+
+// -------------------- GBP: Locations --------------------
+async function listLocations(account) {
+  const out = [];
+  let pageToken = "";
+
+  do {
+    const j = await GBP.getJson(
+      account,
+      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${account.accountId}/locations`,
+      {
+        params: {
+          pageSize:  "100",
+          readMask:  "name,title,storeCode",
+          orderBy:   "storeCode",
+          pageToken,
+        },
+      }
+    );
+    out.push(...(j.locations || []));
+    pageToken = j.nextPageToken || "";
+  } while (pageToken);
+
+  return out;
+}
+
+// -------------------- GBP: Reviews --------------------
+function starRatingToInt(star) {
+  if (!star) return null;
+  const map = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+  return map[String(star).toUpperCase()] ?? null;
+}
+
+// Erst neue/geänderte Reviews in den Warehouse holen, dann den Zeitraum (createTime) aus der DB lesen
+async function listReviewsForLocation(account, locationId, startDt, endDt) {
+  await WAREHOUSE.syncReviews(GBP, account, locationId, startDt);
+  return WAREHOUSE.reviews(locationId, startDt, endDt);
+}
+
+// -------------------- MAIN --------------------
+async function main() {
+  checkAccounts(ACCOUNTS);
+
+  console.log(`TZ:      ${TZ}`);
+  console.log(`Range:   ${start.toISODate()} → ${end.toISODate()}`);
+  console.log(`Account: ${accountsLabel(ACCOUNTS)}`);
+  if (RUN.dryRun) console.log(`Dry-Run: keine Webhooks, Payloads nach ${RUN.out}`);
+
+  console.log("\n1) Access token …");
+  for (const account of ACCOUNTS) await GBP.token(account);
+  console.log("✓ token ok");
+
+  // Verdachtsbewertung über alle Accounts zusammen: Bursts/Duplikate über Marken hinweg fallen so auch auf
+  console.log("\n2) Locations …");
+  const locations = await listAccountLocations(ACCOUNTS, listLocations, REGISTRY);
+  const accountOf = new Map(locations.map((l) => [(l.name || "").split("/").pop(), l.account]));
+  console.log(`✓ ${locations.length} locations`);
+  WAREHOUSE.saveLocations(locations);
+  // mindestens eine Review-Seite je Standort
+  for (const line of GBP.estimate({ REVIEWS: locations.length }, { atLeast: true })) console.log(`ℹ️  ${line}`);
+
+  const all = [];
+
+  console.log("\n3) Reviews (alle Standorte) …");
+
+  await asyncPool(ENV.CONCURRENCY, locations, async (loc) => {
+    const locationId    = (loc.name || "").split("/").pop();
+    const storeCode     = (loc.storeCode || "").toString().trim();
+    const locationTitle = (loc.title || "").trim();
+
+    if (!locationId) return;
+
+    const place = resolveLocation(REGISTRY, { storeCode, title: locationTitle });
+
+    let reviews;
+    try {
+      reviews = await listReviewsForLocation(loc.account, locationId, start, end);
+    } catch (e) {
+      console.warn(`  ⚠ ${storeCode || locationTitle}: ${e.message}`);
+      return;
+    }
+
+    if (!reviews.length) return;
+    console.log(`  ${storeCode || locationTitle}: ${reviews.length} review(s)`);
+
+    for (const r of reviews) {
+      const text = analyzeReviewText(r.comment || "");
+      all.push({
+        reviewId:      (r.name || "").split("/").pop(),
+        reviewName:    r.name || null,
+        locationId,
+        account_id:    loc.account.accountId,
+        brand:         locationBrand(place, loc.account),
+        storeCode:     storeCode || null,
+        locationTitle: locationTitle || null,
+        standort:      place.standort,
+        reviewer:      (r.reviewer?.displayName || r.reviewer?.profileName || "").trim() || null,
+        isAnonymous:   Boolean(r.reviewer?.isAnonymous),
+        rating:        starRatingToInt(r.starRating),
+        comment:       text.comment_original || null,
+        language:      text.language,
+        createTime:    r.createTime,
+      });
+    }
+  });
+
+  console.log(`\n✓ Reviews gesamt: ${all.length}`);
+
+  console.log("\n4) Verdachtsbewertung …");
+  const scored = scoreSuspicion(all, {
+    burstMin:            ENV.SPAM_BURST_MIN,
+    burstHours:          ENV.SPAM_BURST_HOURS,
+    crossMin:            ENV.SPAM_CROSS_LOCATIONS_MIN,
+    duplicateSimilarity: ENV.SPAM_DUPLICATE_SIMILARITY,
+  });
+
+  const suspicious = scored
+    .filter((r) => r.suspicion_score >= ENV.SPAM_MIN_SCORE)
+    .sort((a, b) => b.suspicion_score - a.suspicion_score || a.createTime.localeCompare(b.createTime));
+
+  const signalCounts = {};
+  for (const r of suspicious) for (const s of r.signals) signalCounts[s.signal] = (signalCounts[s.signal] || 0) + 1;
+
+  console.log(`✓ Verdächtig (Score ≥ ${ENV.SPAM_MIN_SCORE}): ${suspicious.length}`);
+  for (const [s, n] of Object.entries(signalCounts)) console.log(`  ${s}: ${n}`);
+
+  // -------------------- Report (JSON mit Belegen + Übersicht, --out/--format) --------------------
+  const prefix = `gbp-reviews-spam-${end.toISODate()}`;
+
+  const report = {
+    type:          "gbp_reviews_spam",
+    generated_at:  DateTime.now().setZone(TZ).toISO(),
+    dateFrom:      start.toISODate(),
+    dateTo:        end.toISODate(),
+    reviews_total: all.length,
+    suspicious_count: suspicious.length,
+    min_score:     ENV.SPAM_MIN_SCORE,
+    signal_counts: signalCounts,
+    suspicious,
+  };
+  // der Report mit Belegen ist immer JSON; die Übersicht folgt --format (bei json: <prefix>_overview.json)
+  console.log(`\n📄 Report gespeichert: ${writeReport({ ...RUN, format: "json" }, prefix, report)}`);
+
+  const csvRows = suspicious.map((r) => ({
+    Date:       DateTime.fromISO(r.createTime, { setZone: true }).setZone(TZ).toFormat("dd.MM.yyyy HH:mm"),
+    Account:    r.account_id,
+    Brand:      r.brand,
+    Store:      r.storeCode,
+    Standort:   r.standort,
+    Location:   r.locationTitle,
+    Rating:     r.rating,
+    Reviewer:   r.reviewer,
+    Comment:    r.comment,
+    Score:      r.suspicion_score,
+    Level:      r.suspicion_level,
+    Signals:    r.signals.map((s) => s.signal).join(", "),
+    ReviewName: r.reviewName,
+  }));
+  const overview = RUN.format === "json" ? `${prefix}_overview` : prefix;
+  console.log(`📄 Übersicht gespeichert: ${writeReport(RUN, overview, csvRows)}`);
+
+  // -------------------- Make Webhook (optional, je Account) --------------------
+  // Jeder Account bekommt seine verdächtigen Reviews (MAKE_REVIEWS_SPAM_WEBHOOK_URL_<KEY>, sonst den gemeinsamen)
+  for (const [account, rows] of groupByAccount(ACCOUNTS, suspicious, (r) => accountOf.get(r.locationId))) {
+    const tag = account.multi ? ` [${account.key}]` : "";
+    const url = accountEnv(account, "MAKE_REVIEWS_SPAM_WEBHOOK_URL");
+    if (!url && !RUN.dryRun) {
+      console.log(`ℹ️  MAKE_REVIEWS_SPAM_WEBHOOK_URL${tag} nicht gesetzt – Webhook übersprungen`);
+      continue;
+    }
+
+    const counts = {};
+    for (const r of rows) for (const sig of r.signals) counts[sig.signal] = (counts[sig.signal] || 0) + 1;
+
+    const payload = {
+      ...report,
+      account_id:       account.accountId,
+      brand:            account.brand,
+      reviews_total:    all.filter((r) => accountOf.get(r.locationId) === account).length,
+      suspicious_count: rows.length,
+      signal_counts:    counts,
+      suspicious:       rows,
+    };
+
+    if (RUN.dryRun) {
+      console.log(`🧪 Dry-Run${tag} → ${writeDryRun(RUN, accountJob(JOB, account), account.accountId, [payload])}`);
+      continue;
+    }
+
+    const res = await requestWithRetry(url, {
+      method:  "POST",
+      headers: { "Content-Type": "application/json" },
+      body:    JSON.stringify(payload),
+    });
+    const txt = await res.text().catch(() => "");
+    console.log(`🚀 Make Webhook${tag} → ${res.status} ${txt.slice(0, 100)}`);
+  }
+
+  console.log("\n📊 API-Requests");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+  console.log(`\n🗄  Warehouse ${WAREHOUSE.summary()}`);
+
+  console.log("\n✅ Fertig");
+}
+
+main().catch((e) => {
+  console.error("\n❌ ERROR:", e?.message || e);
+  process.exit(1);
+});
@@ -1,29 +1,67 @@
 import "dotenv/config";
 import { DateTime } from "luxon";
+import { analyzeReviewText } from "./lib/review-text.js";
+import { loadTagRules, tagComment } from "./lib/review-tags.js";
+import { getBackfillRange, splitDays } from "./lib/date-range.js";
+import { loadLedger, planDelivery, findOpenRun, deliverRun, DEFAULT_LEDGER_FILE } from "./lib/delivery-ledger.js";
+import { applyPrefill, DEFAULT_RID_CACHE_FILE } from "./lib/prefill-pool.js";
+import { DEFAULT_DLQ_FILE } from "./lib/prefill-dlq.js";
+import { loadLocationRegistry, resolveLocation } from "./lib/location-registry.js";
+import { createGbpClient, requestWithRetry, asyncPool } from "./lib/gbp-client.js";
+import { openWarehouse } from "./lib/warehouse.js";
+import { getRunOptions, filterLocations, writeDryRun } from "./lib/run-options.js";
+import {
+  loadAccounts,
+  checkAccounts,
+  accountsLabel,
+  accountEnv,
+  accountJob,
+  listAccountLocations,
+  locationBrand,
+  groupByAccount,
+} from "./lib/accounts.js";
 
 // -------------------- ENV --------------------
 const ENV = {
-  GBP_CLIENT_ID: (process.env.GBP_CLIENT_ID || "").trim(),
-  GBP_CLIENT_SECRET: (process.env.GBP_CLIENT_SECRET || "").trim(),
-  GBP_REFRESH_TOKEN: (process.env.GBP_REFRESH_TOKEN || "").trim(),
-  GBP_ACCOUNT_ID: (process.env.GBP_ACCOUNT_ID || "").trim(),
-
   PREFILL_API_URL: (process.env.PREFILL_API_URL || "").trim(),
   PREFILL_SECRET: (process.env.PREFILL_SECRET || "").trim(),
   PUBLIC_APP_URL: (process.env.PUBLIC_APP_URL || "https://smart-reply-generator-production2.up.railway.app").trim(),
 
- MAKE_TAG_REVIEWS_WEBHOOK_URL: (process.env.MAKE_TAG_REVIEWS_WEBHOOK_URL || "").trim(),
+  // Prefill: RID-Cache + eigener Pool (unabhängig von CONCURRENCY)
+  PREFILL_RID_CACHE_FILE: (process.env.PREFILL_RID_CACHE_FILE || DEFAULT_RID_CACHE_FILE).trim(),
+  PREFILL_CONCURRENCY: Number(process.env.PREFILL_CONCURRENCY || "3"),
+  PREFILL_MIN_INTERVAL_MS: Number(process.env.PREFILL_MIN_INTERVAL_MS || "60"),
+  PREFILL_BATCH: (process.env.PREFILL_BATCH || "auto").trim(), // "auto" | "0"
+  PREFILL_BATCH_SIZE: Number(process.env.PREFILL_BATCH_SIZE || "25"),
+  // Fehlgeschlagene Prefill-Calls → Dead-Letter-Queue für `gbp:prefill-retry`
+  PREFILL_DLQ_FILE: (process.env.PREFILL_DLQ_FILE || DEFAULT_DLQ_FILE).trim(),
 
   // optional tuning
   CONCURRENCY: Number(process.env.CONCURRENCY || "5"),
   MAKE_BATCH_SIZE: Number(process.env.MAKE_BATCH_SIZE || "200"),
+
+  // Zustell-Ledger: --resume schickt nur die Batches des letzten Laufs, die noch fehlen
+  DELIVERY_LEDGER_FILE: (process.env.DELIVERY_LEDGER_FILE || DEFAULT_LEDGER_FILE).trim(),
+  DELIVERY_RESUME: process.argv.includes("--resume") || (process.env.DELIVERY_RESUME || "").trim() === "1",
 };
 
+const JOB = "gbp-tag-reviews";
+
+// --location, --account, --dry-run (gbp-CLI)
+const RUN = getRunOptions();
+
 function mustEnv(key) {
   if (!ENV[key]) throw new Error(`Missing env: ${key}`);
   return ENV[key];
 }
 
+// Standort-Name, Region, Regionalleitung aus config/locations.json
+const REGISTRY = loadLocationRegistry();
+
+// GBP-Zugangsdaten, Marke und Webhook je Account (config/accounts.json).
+// Make: MAKE_TAG_REVIEWS_WEBHOOK_URL_<KEY>, sonst MAKE_TAG_REVIEWS_WEBHOOK_URL
+const ACCOUNTS = loadAccounts({ only: RUN.accounts });
+
 function mask(s) {
   if (!s) return "";
   if (s.length <= 8) return "***";
@@ -33,6 +71,11 @@ function mask(s) {
 // -------------------- TIME RANGE (Yesterday in Europe/Berlin) --------------------
 const TZ = "Europe/Berlin";
 
+// --from/--to (BACKFILL_FROM/BACKFILL_TO) vor DATE_OVERRIDE vor gestern
+function getRangeBerlin() {
+  return getBackfillRange(TZ) || getYesterdayRangeBerlin();
+}
+
 function getYesterdayRangeBerlin() {
   const override = (process.env.DATE_OVERRIDE || "").trim();
   let target;
@@ -45,90 +88,26 @@ function getYesterdayRangeBerlin() {
   return { start: target.startOf("day"), end: target.endOf("day") };
 }
 
-// -------------------- HTTP Helpers --------------------
-async function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+// -------------------- Google API --------------------
+// Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+const GBP = createGbpClient();
 
-async function requestWithRetry(url, options = {}, { retries = 4, baseBackoffMs = 800 } = {}) {
-  let lastErr;
-
-  for (let i = 0; i < retries; i++) {
-    try {
-      const res = await fetch(url, options);
-
-      if ([429, 500, 502, 503, 504].includes(res.status)) {
-        const txt = await res.text().catch(() => "");
-        lastErr = new Error(`HTTP ${res.status} ${res.statusText}: ${txt}`);
-        await sleep(baseBackoffMs * Math.pow(2, i));
-        continue;
-      }
-
-      return res;
-    } catch (e) {
-      lastErr = e;
-      await sleep(baseBackoffMs * Math.pow(2, i));
-    }
-  }
-
-  throw lastErr || new Error("requestWithRetry failed");
-}
-
-async function getJson(url, { headers = {}, params = null } = {}) {
-  const u = new URL(url);
-  if (params) {
-    for (const [k, v] of Object.entries(params)) {
-      if (v !== undefined && v !== null && String(v).length > 0) u.searchParams.set(k, String(v));
-    }
-  }
-
-  const res = await requestWithRetry(u.toString(), { headers, method: "GET" });
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`GET ${u.toString()} -> ${res.status}: ${txt}`);
-  }
-  return await res.json();
-}
-
-// -------------------- Google OAuth (Refresh Token -> Access Token) --------------------
-async function getAccessToken() {
-  mustEnv("GBP_CLIENT_ID");
-  mustEnv("GBP_CLIENT_SECRET");
-  mustEnv("GBP_REFRESH_TOKEN");
-
-  const body = new URLSearchParams({
-    client_id: ENV.GBP_CLIENT_ID,
-    client_secret: ENV.GBP_CLIENT_SECRET,
-    refresh_token: ENV.GBP_REFRESH_TOKEN,
-    grant_type: "refresh_token",
-  });
-
-  const res = await requestWithRetry("https://oauth2.googleapis.com/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body,
-  });
-
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Token error ${res.status}: ${txt}`);
-
-  const j = JSON.parse(txt);
-  if (!j.access_token) throw new Error(`No access_token in token response: ${txt}`);
-  return j.access_token;
-}
+// Reviews from the local SQLite warehouse, Google only for what is new (lib/warehouse.js);
+// dry run works on an in-memory copy
+const WAREHOUSE = openWarehouse({ dryRun: RUN.dryRun });
 
 // -------------------- GBP APIs --------------------
 
 // Locations: Business Information API v1
-async function listLocations(accessToken, accountId) {
+async function listLocations(account) {
   const out = [];
   let pageToken = "";
 
   do {
-    const j = await getJson(
-      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${accountId}/locations`,
+    const j = await GBP.getJson(
+      account,
+      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${account.accountId}/locations`,
       {
-        headers: { Authorization: `Bearer ${accessToken}` },
         params: {
           pageSize: "100",
           // NEW: metadata.* mitziehen (mapsUri, newReviewUri, placeId)
@@ -149,9 +128,8 @@ async function listLocations(accessToken, accountId) {
 }
 
 // NEW: Fallback, falls metadata im List-Call nicht geliefert wird (oder leer ist)
-async function getLocationMetadata(accessToken, locationId) {
-  const j = await getJson(`https://mybusinessbusinessinformation.googleapis.com/v1/locations/${locationId}`, {
-    headers: { Authorization: `Bearer ${accessToken}` },
+async function getLocationMetadata(account, locationId) {
+  const j = await GBP.getJson(account, `https://mybusinessbusinessinformation.googleapis.com/v1/locations/${locationId}`, {
     params: {
       readMask: "metadata.mapsUri,metadata.newReviewUri,metadata.placeId",
     },
@@ -159,53 +137,10 @@ async function getLocationMetadata(accessToken, locationId) {
   return j?.metadata || {};
 }
 
-// Reviews: My Business API v4
-async function listReviewsForLocation(accessToken, accountId, locationId, startBerlin, endBerlin) {
-  const out = [];
-  let pageToken = "";
-  let pagesBelowCutoff = 0;
-
-  do {
-    const j = await getJson(
-      `https://mybusiness.googleapis.com/v4/accounts/${accountId}/locations/${locationId}/reviews`,
-      {
-        headers: { Authorization: `Bearer ${accessToken}` },
-        params: {
-          pageSize: "50",
-          orderBy: "updateTime desc",
-          pageToken,
-        },
-      }
-    );
-
-    const reviews = j.reviews || [];
-    if (reviews.length === 0) break;
-
-    let anyGeStart = false;
-
-    for (const r of reviews) {
-      const ct = r.createTime;
-      if (!ct) continue;
-
-      const dtBerlin = DateTime.fromISO(ct, { setZone: true }).setZone(TZ);
-
-      if (dtBerlin.toMillis() >= startBerlin.toMillis()) anyGeStart = true;
-
-      if (dtBerlin.toMillis() >= startBerlin.toMillis() && dtBerlin.toMillis() <= endBerlin.toMillis()) {
-        out.push(r);
-      }
-    }
-
-    if (!anyGeStart) pagesBelowCutoff += 1;
-    else pagesBelowCutoff = 0;
-
-    if (pagesBelowCutoff >= 2) break;
-
-    pageToken = j.nextPageToken || "";
-    if (pageToken) await sleep(120);
-  } while (pageToken);
-
-  return out;
+// Reviews: My Business API v4 → warehouse (new/changed only), then the range (createTime) from the DB
+async function listReviewsForLocation(account, locationId, startBerlin, endBerlin) {
+  await WAREHOUSE.syncReviews(GBP, account, locationId, startBerlin);
+  return WAREHOUSE.reviews(locationId, startBerlin, endBerlin);
 }
 
 function starRatingToInt(star) {
@@ -215,17 +150,8 @@ function starRatingToInt(star) {
   return map[s] ?? null;
 }
 
-// -------------------- Comment cleaning --------------------
-function cleanComment(text) {
-  let t = (text || "").trim();
-  const markers = ["(Translated by Google)", "(Übersetzt von Google)"];
-  for (const m of markers) {
-    const idx = t.indexOf(m);
-    if (idx !== -1) t = t.slice(0, idx).trimEnd();
-  }
-  return t;
-}
-
+// -------------------- Comment --------------------
+// Original/Übersetzung/Sprache: siehe lib/review-text.js
 function buildCommentFull(comment, reviewer, reviewedAt) {
   const base = (comment || "").trim() || "(kein Kommentar)";
   const name = (reviewer || "").trim() || "Unbekannt";
@@ -234,43 +160,41 @@ function buildCommentFull(comment, reviewer, reviewedAt) {
   return `${base}\n${suffix}`;
 }
 
-// -------------------- Prefill API --------------------
-async function createPrefillRid(payload) {
-  mustEnv("PREFILL_API_URL");
-  mustEnv("PREFILL_SECRET");
-
-  const res = await requestWithRetry(ENV.PREFILL_API_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Prefill-Secret": ENV.PREFILL_SECRET,
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Prefill error ${res.status}: ${txt}`);
-
-  const j = JSON.parse(txt);
-  if (!j.rid) throw new Error(`Prefill response missing rid: ${txt}`);
-  return j.rid;
+// -------------------- Make Webhook --------------------
+function makeWebhookUrl(account) {
+  const url = accountEnv(account, "MAKE_TAG_REVIEWS_WEBHOOK_URL");
+  if (!url) throw new Error(`Missing env: MAKE_TAG_REVIEWS_WEBHOOK_URL${account.multi ? `_${account.key}` : ""}`);
+  return url;
 }
 
-// -------------------- Make Webhook --------------------
-async function postToMake(payload) {
-  mustEnv("MAKE_TAG_REVIEWS_WEBHOOK_URL");
+// send(payload, key) für deliverRun: Make-Webhook des Accounts
+function makeSender(account) {
+  return async (payload, idempotencyKey) => {
+    const res = await requestWithRetry(makeWebhookUrl(account), {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": idempotencyKey },
+      body: JSON.stringify(payload),
+    });
 
-  const res = await requestWithRetry(ENV.MAKE_TAG_REVIEWS_WEBHOOK_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
+    const txt = await res.text().catch(() => "");
+    console.log(`Make response: ${res.status}`);
+    if (txt) console.log(`Make body (first 500 chars): ${txt.slice(0, 500)}`);
 
-  const txt = await res.text().catch(() => "");
-  console.log(`Make response: ${res.status}`);
-  if (txt) console.log(`Make body (first 500 chars): ${txt.slice(0, 500)}`);
+    if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+  };
+}
 
-  if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+// Tag → { total, negated } über alle Items (für Zählungen in Make)
+function countTags(items) {
+  const out = {};
+  for (const it of items) {
+    for (const t of it.tags || []) {
+      out[t.tag] ??= { total: 0, negated: 0 };
+      out[t.tag].total++;
+      if (t.negated) out[t.tag].negated++;
+    }
+  }
+  return out;
 }
 
 function chunkArray(arr, size) {
@@ -280,51 +204,81 @@ function chunkArray(arr, size) {
   return out;
 }
 
-// -------------------- Concurrency pool --------------------
-async function asyncPool(limit, items, iteratorFn) {
-  const ret = [];
-  const executing = [];
+// -------------------- Zustellung (Ledger) --------------------
+// Prefill-Felder ändern sich bei jedem Lauf → nicht Teil des Idempotency-Keys
+const KEY_IGNORE = ["prefill_rid", "smart_reply_url", "prefill_error"];
+
+async function resumeDelivery() {
+  const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+  let resumed = 0;
+  let error = null;
 
-  for (const item of items) {
-    const p = Promise.resolve().then(() => iteratorFn(item));
-    ret.push(p);
+  for (const account of ACCOUNTS) {
+    const run = findOpenRun(ledger, accountJob(JOB, account));
+    if (!run) continue;
 
-    if (limit <= items.length) {
-      const e = p.then(() => executing.splice(executing.indexOf(e), 1));
-      executing.push(e);
-      if (executing.length >= limit) await Promise.race(executing);
+    resumed++;
+    const open = run.batches.filter((b) => b.status !== "delivered").length;
+    console.log(`Resume ${run.id}: ${open} of ${run.batches.length} batch(es) open`);
+    try {
+      const { sent } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, makeSender(account));
+      console.log(`✓ delivered: ${sent} batch(es)`);
+    } catch (e) {
+      error = error || e;
     }
   }
 
-  return Promise.all(ret);
+  if (!resumed) console.log(`Nothing to resume (${ENV.DELIVERY_LEDGER_FILE})`);
+  if (error) throw error;
+  console.log("✓ done (resume)");
 }
 
 // -------------------- MAIN --------------------
 async function main() {
-  mustEnv("GBP_ACCOUNT_ID");
-  mustEnv("MAKE_TAG_REVIEWS_WEBHOOK_URL");
-  mustEnv("PREFILL_API_URL");
-  mustEnv("PREFILL_SECRET");
+  if (!RUN.dryRun) ACCOUNTS.forEach(makeWebhookUrl);
+
+  // Resume braucht weder Google noch Prefill: die Payloads liegen komplett im Ledger
+  if (ENV.DELIVERY_RESUME) return resumeDelivery();
+
+  checkAccounts(ACCOUNTS);
+  if (!RUN.dryRun) {
+    mustEnv("PREFILL_API_URL");
+    mustEnv("PREFILL_SECRET");
+  }
 
-  const { start, end } = getYesterdayRangeBerlin();
+  const tagRules = loadTagRules();
+  const { start, end } = getRangeBerlin();
+  const days = splitDays(start, end);
 
   console.log(`TZ: ${TZ}`);
-  console.log(`Range (yesterday Berlin): ${start.toISO()} -> ${end.toISO()}`);
-  console.log(`Account: ${ENV.GBP_ACCOUNT_ID}`);
+  console.log(`Range (Berlin): ${start.toISO()} -> ${end.toISO()} (${days.length} day(s))`);
+  console.log(`Account: ${accountsLabel(ACCOUNTS)}`);
   console.log(`Prefill API: ${ENV.PREFILL_API_URL}`);
-  console.log(`Make webhook: ${mask(ENV.MAKE_TAG_REVIEWS_WEBHOOK_URL)}`);
+  console.log(`Make webhook: ${ACCOUNTS.map((a) => mask(accountEnv(a, "MAKE_TAG_REVIEWS_WEBHOOK_URL"))).join(" | ")}`);
+  console.log(`Tag rules: ${tagRules.tags.map((t) => t.tag).join(", ")}`);
+  if (RUN.dryRun) console.log(`Dry run: no webhook, no prefill → payloads in ${RUN.out}`);
 
   console.log("\n1) Access token …");
-  const accessToken = await getAccessToken();
+  for (const account of ACCOUNTS) await GBP.token(account);
   console.log("✓ token ok");
 
   console.log("\n2) Locations …");
-  const locations = await listLocations(accessToken, ENV.GBP_ACCOUNT_ID);
-  console.log(`✓ locations: ${locations.length}`);
+  const locations = filterLocations(
+    await listAccountLocations(ACCOUNTS, listLocations, REGISTRY),
+    RUN.locations,
+    REGISTRY
+  );
+  console.log(`✓ locations: ${locations.length}${RUN.locations.length ? ` (--location ${RUN.locations.join(", ")})` : ""}`);
+  WAREHOUSE.saveLocations(locations);
+  // at least one review page per location (plus metadata where the list call had none)
+  for (const line of GBP.estimate({ REVIEWS: locations.length }, { atLeast: true })) console.log(`quota: ${line}`);
 
   const items = [];
+  const byDay = new Map(); // "yyyy-MM-dd" (Berlin, createTime) → items
+  const accountOf = new WeakMap(); // item → Account (Zustellung je Account)
+  const prefillQueue = [];
 
-  console.log("\n3) Reviews (all locations, yesterday) …");
+  console.log("\n3) Reviews (all locations, range) …");
 
   await asyncPool(ENV.CONCURRENCY, locations, async (loc) => {
     const locName = (loc.name || "").trim(); // e.g. "locations/123"
@@ -334,6 +288,9 @@ async function main() {
 
     if (!locationId) return;
 
+    const place = resolveLocation(REGISTRY, { storeCode, title: locationTitle });
+    const brand = locationBrand(place, loc.account);
+
     // NEW: Location-Metadaten (Maps-Link + Review-Link + PlaceId)
     let maps_uri = loc?.metadata?.mapsUri || "";
     let new_review_uri = loc?.metadata?.newReviewUri || "";
@@ -342,7 +299,7 @@ async function main() {
     // Fallback, falls im listLocations nicht befüllt
     if (!maps_uri && !new_review_uri && !place_id) {
       try {
-        const meta = await getLocationMetadata(accessToken, locationId);
+        const meta = await getLocationMetadata(loc.account, locationId);
         maps_uri = meta?.mapsUri || "";
         new_review_uri = meta?.newReviewUri || "";
         place_id = meta?.placeId || "";
@@ -358,7 +315,7 @@ async function main() {
 
     let reviews;
     try {
-      reviews = await listReviewsForLocation(accessToken, ENV.GBP_ACCOUNT_ID, locationId, start, end);
+      reviews = await listReviewsForLocation(loc.account, locationId, start, end);
     } catch (e) {
       console.log(`- ERROR reviews ${storeCode || locationTitle || locationId}: ${e.message}`);
       return;
@@ -379,21 +336,54 @@ async function main() {
       const createdBerlin = DateTime.fromISO(r.createTime, { setZone: true }).setZone(TZ);
       const reviewed_at = createdBerlin.toFormat("dd.MM.yyyy HH:mm:ss");
 
-      const commentClean = cleanComment(r.comment || "");
+      const { comment_original: commentClean, comment_translated, language } = analyzeReviewText(r.comment || "");
       const comment_full = buildCommentFull(commentClean, reviewer, reviewed_at);
+      // Regeln sind deutsch → auf der Google-Übersetzung taggen, falls vorhanden
+      const tags = tagComment(comment_translated || commentClean, tagRules);
 
-      let rid = "";
-      let smart_reply_url = "";
-      let prefill_error = "";
+      const item = {
+        account_id: loc.account.accountId,
+        brand,
+        storeCode: storeCode || null,
+        locationTitle: locationTitle || null,
+        standort: place.standort,
+        region: place.region,
+        manager: place.manager,
+        locationId,
+        reviewId: reviewId || null,
+        rating: rating ?? null,
+        reviewer: reviewer || null,
+        reviewed_at,
+        comment: commentClean || null,
+        comment_original: commentClean || null,
+        comment_translated: comment_translated || null,
+        language: language || null,
+        comment_full,
+        tags,
+        tag_names: tags.map((t) => t.tag).join(", ") || null,
+        // werden von applyPrefill gesetzt
+        prefill_rid: null,
+        smart_reply_url: null,
+        prefill_error: null,
 
-      try {
-        rid = await createPrefillRid({
+        // NEW: Links/IDs für Location
+        maps_uri: maps_uri || null,
+        new_review_uri: new_review_uri || null,
+        place_id: place_id || null,
+        maps_place_url: maps_place_url || null,
+      };
+
+      prefillQueue.push({
+        item,
+        payload: {
           review: comment_full,
           rating: rating ? String(rating) : "",
 
           reviewer,
           reviewed_at,
-          accountId: ENV.GBP_ACCOUNT_ID,
+          language: language || "",
+          review_translated: comment_translated || "",
+          accountId: loc.account.accountId,
           locationId,
           reviewId,
           storeCode,
@@ -404,68 +394,89 @@ async function main() {
           new_review_uri: new_review_uri || "",
           place_id: place_id || "",
           maps_place_url: maps_place_url || "",
-        });
-        smart_reply_url = `${ENV.PUBLIC_APP_URL.replace(/\/$/, "")}/?rid=${rid}`;
-      } catch (e) {
-        prefill_error = e.message || String(e);
-      }
-
-      items.push({
-        storeCode: storeCode || null,
-        locationTitle: locationTitle || null,
-        locationId,
-        reviewId: reviewId || null,
-        rating: rating ?? null,
-        reviewer: reviewer || null,
-        reviewed_at,
-        comment: commentClean || null,
-        comment_full,
-        prefill_rid: rid || null,
-        smart_reply_url: smart_reply_url || null,
-        prefill_error: prefill_error || null,
-
-        // NEW: Links/IDs für Location
-        maps_uri: maps_uri || null,
-        new_review_uri: new_review_uri || null,
-        place_id: place_id || null,
-        maps_place_url: maps_place_url || null,
+        },
       });
 
-      await sleep(60);
+      items.push(item);
+      accountOf.set(item, loc.account);
+      const day = createdBerlin.toISODate();
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(item);
     }
   });
 
-  console.log(`\n✓ total reviews (yesterday): ${items.length}`);
+  console.log(`\n✓ total reviews: ${items.length}`);
+
+  console.log("\nAPI requests:");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+  console.log(`warehouse: ${WAREHOUSE.summary()}`);
+  await applyPrefill(prefillQueue, { env: ENV, job: JOB, dryRun: RUN.dryRun });
 
-  // 4) Send to Make (chunked)
+  // 4) Send to Make (chunked, ein Payload-Satz pro Tag und Account)
   console.log("\n4) Send to Make …");
 
-  const chunks = chunkArray(items, ENV.MAKE_BATCH_SIZE);
-  const metaBase = {
-    source: "google_business_profile",
-    timezone: TZ,
-    range_start: start.toISO(),
-    range_end: end.toISO(),
-    generated_at: DateTime.now().setZone(TZ).toISO(),
-    account_id: ENV.GBP_ACCOUNT_ID,
-    locations_total: locations.length,
-    count_total: items.length,
-  };
+  let error = null;
+
+  for (const [account, accountItems] of groupByAccount(ACCOUNTS, items, (i) => accountOf.get(i))) {
+    const own = new Set(accountItems);
+    const payloads = [];
+    if (account.multi) console.log(`- ${account.key}: ${accountItems.length} review(s)`);
+
+    for (const day of days) {
+      // Deterministische Reihenfolge, damit ein Rerun dieselben Batches (Keys) ergibt
+      const dayItems = (byDay.get(day.start.toISODate()) || []).filter((i) => own.has(i)).sort(
+        (a, b) => a.locationId.localeCompare(b.locationId) || (a.reviewId || "").localeCompare(b.reviewId || "")
+      );
+      if (days.length > 1) console.log(`- ${day.start.toISODate()}: ${dayItems.length}`);
+
+      const chunks = chunkArray(dayItems, ENV.MAKE_BATCH_SIZE);
+      const metaBase = {
+        source: "google_business_profile",
+        timezone: TZ,
+        range_start: day.start.toISO(),
+        range_end: day.end.toISO(),
+        generated_at: DateTime.now().setZone(TZ).toISO(),
+        account_id: account.accountId,
+        brand: account.brand,
+        locations_total: locations.filter((l) => l.account === account).length,
+        count_total: dayItems.length,
+        tag_counts: countTags(dayItems),
+      };
+
+      if (chunks.length === 0) chunks.push([]);
+
+      for (let i = 0; i < chunks.length; i++) {
+        payloads.push({
+          ...metaBase,
+          batch_index: i + 1,
+          batch_total: chunks.length,
+          count: chunks[i].length,
+          data: chunks[i],
+        });
+      }
+    }
+
+    const job = accountJob(JOB, account);
+    const scope = `${account.accountId}|${start.toISODate()}..${end.toISODate()}`;
+
+    if (RUN.dryRun) {
+      console.log(`dry run: ${payloads.length} batch(es) → ${writeDryRun(RUN, job, scope, payloads)}`);
+      continue;
+    }
 
-  if (chunks.length === 0) chunks.push([]);
-
-  for (let i = 0; i < chunks.length; i++) {
-    const payload = {
-      ...metaBase,
-      batch_index: i + 1,
-      batch_total: chunks.length,
-      count: chunks[i].length,
-      data: chunks[i],
-    };
-    await postToMake(payload);
+    // Ein fehlgeschlagener Account hält die übrigen nicht auf, der Fehler kommt am Ende
+    try {
+      const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+      const run = planDelivery(ledger, { job, scope, payloads, ignore: KEY_IGNORE });
+      const { sent, skipped } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, makeSender(account));
+      console.log(`✓ delivered: ${sent} batch(es)${skipped ? `, ${skipped} already delivered` : ""}`);
+    } catch (e) {
+      error = error || e;
+    }
   }
 
-  console.log("✓ done");
+  if (error) throw error;
+  console.log(RUN.dryRun ? "✓ done (dry run)" : "✓ done");
 }
 
 main().catch((e) => {
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+import { FORMATS, VALUE_FLAGS } from "./lib/run-options.js";
+
+// -------------------- gbp CLI --------------------
+// Ein Einstieg für die Jobs: gbp <gruppe> <befehl> [flags]
+// Prüft Befehl und Flags und startet dann das jeweilige Skript im selben Prozess;
+// die Skripte lesen die Flags selbst (lib/run-options.js, lib/date-range.js),
+// `node scripts/gbp-….js --dry-run` funktioniert also genauso.
+
+// Vergleichszeitraum der Insights-Jobs (lib/period-compare.js, auch INSIGHTS_COMPARE)
+const COMPARE_FLAG = "MODUS       previous (Standard), yoy (Vorjahr, wochentaggleich) oder YYYY-MM-DD..YYYY-MM-DD";
+
+const COMMANDS = {
+  reviews: {
+    daily: {
+      script:  "gbp-reviews-daily.js",
+      summary: "Neue, geänderte und gelöschte Reviews seit dem letzten Lauf (State-Diff)",
+      period:  "seit dem letzten Lauf; --from/--to = Backfill je Tag, ohne State (max. 92 Tage)",
+      flags:   { resume: "offene Batches des letzten Laufs aus dem Ledger nachsenden" },
+    },
+    history: {
+      script:  "gbp-reviews-history.js",
+      summary: "Review-Export mit Sentiment und Rollups (CSV + Make)",
+      period:  "letzte 12 Monate bis letzten Sonntag",
+      flags:   {
+        alerts: "Rating-Anomalien statt Export (eigener Zeitraum, ohne --from/--to)",
+        resume: "offene Batches des letzten Laufs aus dem Ledger nachsenden",
+      },
+    },
+    tag: {
+      script:  "gbp-tag-reviews.js",
+      summary: "Reviews mit Themen-Tags an Make",
+      period:  "gestern (bzw. DATE_OVERRIDE); --from/--to = je Tag ein Payload-Satz (max. 92 Tage)",
+      flags:   { resume: "offene Batches des letzten Laufs aus dem Ledger nachsenden" },
+    },
+  },
+  insights: {
+    daily: {
+      script:  "gbp-insights-daily.js",
+      summary: "Performance-Tageswerte je Standort mit Vergleichszeitraum",
+      period:  "7 Wochen (Mo–So) bis Sonntag vor 2 Wochen; Vergleich = gleich lang direkt davor (--compare)",
+      flags:   { compare: COMPARE_FLAG, resume: "offene Batches des letzten Laufs aus dem Ledger nachsenden" },
+    },
+    weekly: {
+      script:  "gbp-insights-weekly.js",
+      summary: "Performance einer Woche je Standort mit Vergleichszeitraum",
+      period:  "Woche (Mo–So) vor 2 Wochen; Vergleich = Vorwoche (--compare)",
+      flags:   { compare: COMPARE_FLAG, resume: "offene Batches des letzten Laufs aus dem Ledger nachsenden" },
+    },
+    monthly: {
+      script:  "gbp-insights-monthly.js",
+      summary: "Performance-Summen je Standort mit Vergleichszeitraum",
+      period:  "Vormonat; Vergleich = Monat davor (--compare)",
+      flags:   { compare: COMPARE_FLAG, resume: "offene Batches des letzten Laufs aus dem Ledger nachsenden" },
+    },
+    keywords: {
+      script:  "gbp-insights-keywords.js",
+      summary: "Suchbegriffe mit Impressionen je Standort und Monat, Top-Liste",
+      period:  "Vormonat; --from/--to = alle berührten Monate (die API kennt nur ganze Monate)",
+      flags:   { resume: "offene Batches des letzten Laufs aus dem Ledger nachsenden" },
+    },
+  },
+};
+
+const SHARED_FLAGS = {
+  "from":     "YYYY-MM-DD  Beginn des Zeitraums (statt Standard-Zeitraum)",
+  "to":       "YYYY-MM-DD  Ende des Zeitraums (ohne --to: nur der Tag von --from)",
+  "location": "X           nur diese Standorte: storeCode, Location-ID, Titel oder Registry-Name (mehrfach/komma-getrennt)",
+  "account":  "KEY         nur diese Accounts aus config/accounts.json (mehrfach/komma-getrennt)",
+  "dry-run":  "            keine Webhooks, kein Prefill, kein State; Payloads als <job>.dry-run.json in --out",
+  "out":      "DIR         Ordner für Reports und Dry-Run-Payloads (Standard: .)",
+  "format":   `${FORMATS.join("|")}    Format der Report-Dateien (Standard: csv)`,
+  "help":     "            diese Hilfe",
+};
+
+function usage() {
+  const lines = ["Usage: gbp <gruppe> <befehl> [flags]", "", "Befehle:"];
+  for (const [group, cmds] of Object.entries(COMMANDS)) {
+    for (const [name, c] of Object.entries(cmds)) lines.push(`  ${`${group} ${name}`.padEnd(18)}${c.summary}`);
+  }
+  lines.push("", "Flags:");
+  for (const [flag, text] of Object.entries(SHARED_FLAGS)) lines.push(`  --${flag.padEnd(10)}${text}`);
+  lines.push("", "Hilfe zu einem Befehl: gbp <gruppe> <befehl> --help");
+  return lines.join("\n");
+}
+
+function commandUsage(group, name, c) {
+  const lines = [`Usage: gbp ${group} ${name} [flags]`, "", c.summary, `Zeitraum: ${c.period}`, "", "Flags:"];
+  for (const [flag, text] of Object.entries(SHARED_FLAGS)) lines.push(`  --${flag.padEnd(10)}${text}`);
+  for (const [flag, text] of Object.entries(c.flags)) {
+    lines.push(`  --${flag.padEnd(10)}${VALUE_FLAGS.includes(flag) ? "" : "            "}${text}`);
+  }
+  return lines.join("\n");
+}
+
+// Unbekannte Flags und fehlende Werte früh abfangen, bevor ein Job Google oder Webhooks anfasst
+function checkFlags(argv, known) {
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) throw new Error(`Unexpected argument: ${a}`);
+
+    const name = a.slice(2).split("=")[0];
+    if (!known.includes(name)) throw new Error(`Unknown flag: --${name}`);
+    if (!VALUE_FLAGS.includes(name)) {
+      if (a.includes("=")) throw new Error(`--${name} takes no value`);
+      continue;
+    }
+    const value = a.includes("=") ? a.slice(a.indexOf("=") + 1) : argv[i + 1];
+    if (!a.includes("=")) {
+      if (!value || value.startsWith("--")) throw new Error(`--${name} requires a value`);
+      i++;
+    }
+    if ((name === "from" || name === "to") && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new Error(`Invalid --${name}: ${value} (use YYYY-MM-DD)`);
+    }
+    if (name === "format" && !FORMATS.includes(value)) throw new Error(`Invalid --format: ${value} (use ${FORMATS.join(" or ")})`);
+  }
+
+  // --resume stellt aus dem Ledger zu, ein Dry-Run ohne Zustellung ergibt dort keinen Sinn
+  if (argv.includes("--dry-run") && argv.includes("--resume")) throw new Error("--dry-run cannot be combined with --resume");
+}
+
+async function main() {
+  const [group, name, ...rest] = process.argv.slice(2);
+
+  if (!group || group === "--help" || group === "help") {
+    console.log(usage());
+    return;
+  }
+
+  const c = COMMANDS[group]?.[name];
+  if (!c) {
+    console.error(`Unknown command: gbp ${[group, name].filter(Boolean).join(" ")}\n\n${usage()}`);
+    process.exit(1);
+  }
+
+  if (rest.includes("--help")) {
+    console.log(commandUsage(group, name, c));
+    return;
+  }
+
+  try {
+    checkFlags(rest, [...Object.keys(SHARED_FLAGS), ...Object.keys(c.flags)]);
+  } catch (e) {
+    console.error(`${e.message}\n\n${commandUsage(group, name, c)}`);
+    process.exit(1);
+  }
+
+  // Fehler beim Laden des Skripts (z. B. ungültiges Datum in --from) ohne Stacktrace melden
+  await import(`./${c.script}`).catch((e) => {
+    console.error("\nERROR:", e?.message || e);
+    process.exit(1);
+  });
+}
+
+main();
@@ -0,0 +1,145 @@
+import fs from "fs";
+import { getSinks } from "./sinks.js";
+import { resolveLocation } from "./location-registry.js";
+
+// -------------------- Accounts, Marken, Standort-Gruppen --------------------
+// config/accounts.json (oder ACCOUNTS_FILE):
+//   { version: 1, accounts: [{ key, brand, accountId, brands }] }
+//
+//   key        Name (A–Z, 0–9, _) und Suffix für ENV: GBP_ACCOUNT_ID_<KEY>, GBP_CLIENT_ID_<KEY>,
+//              GBP_CLIENT_SECRET_<KEY>, GBP_REFRESH_TOKEN_<KEY> und die Webhooks, z. B.
+//              MAKE_REVIEWS_WEBHOOK_URL_<KEY>, SLACK_WEBHOOK_URL_REVIEWS_<KEY>.
+//              Ohne Variable mit Suffix gilt die ohne (bisheriges Setup).
+//   brand      Marke der Standorte (das Registry-Feld brand eines Standorts geht vor)
+//   accountId  optional fest statt GBP_ACCOUNT_ID_<KEY>
+//   brands     optional: Standort-Gruppe, nur Standorte mit dieser Marke in der Registry. Mehrere
+//              Einträge dürfen denselben GBP-Account nutzen; ein Standort gehört zum ersten
+//              passenden Eintrag (Gruppen also vor den Account ohne brands).
+//
+// Ohne Datei (oder ohne Einträge) gibt es einen Account aus GBP_ACCOUNT_ID & Co., wie bisher.
+// Mit mehr als einem Eintrag bekommt jeder Account eigene Ledger-Jobs ("<job>:<key>").
+
+export const DEFAULT_ACCOUNTS_FILE = new URL("../../config/accounts.json", import.meta.url);
+
+const ACCOUNTS_VERSION = 1;
+
+function str(v) {
+  const s = (v ?? "").toString().trim();
+  return s || null;
+}
+
+// ENV mit Account-Suffix, sonst ohne
+export function accountEnv(account, name, env = process.env) {
+  return ((account.key && env[`${name}_${account.key}`]) || env[name] || "").trim();
+}
+
+function readEntries(file) {
+  if (!fs.existsSync(file)) return [];
+  const j = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (j?.version !== ACCOUNTS_VERSION) throw new Error(`unsupported version: ${j?.version}`);
+  if (!Array.isArray(j.accounts)) throw new Error(`missing "accounts" array`);
+  return j.accounts;
+}
+
+// only: Keys aus --account (leer = alle)
+export function loadAccounts({ file = process.env.ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE, env = process.env, only = [] } = {}) {
+  let rows;
+  try {
+    rows = readEntries(file);
+  } catch (e) {
+    throw new Error(`Accounts ${file}: ${e.message}`);
+  }
+  if (!rows.length) rows = [{ key: null }];
+
+  const multi = rows.length > 1;
+  const accounts = rows.map((r) => {
+    const key = str(r.key);
+    if (multi && !key) throw new Error(`Accounts ${file}: every account needs a key`);
+    if (key && !/^[A-Z0-9_]+$/.test(key)) throw new Error(`Accounts ${file}: invalid key "${key}" (use A-Z, 0-9, _)`);
+
+    const account = { key, multi };
+    return {
+      ...account,
+      label:        key || "default",
+      brand:        str(r.brand),
+      brands:       (r.brands || []).map(str).filter(Boolean),
+      accountId:    str(r.accountId) || accountEnv(account, "GBP_ACCOUNT_ID", env) || null,
+      clientId:     accountEnv(account, "GBP_CLIENT_ID", env),
+      clientSecret: accountEnv(account, "GBP_CLIENT_SECRET", env),
+      refreshToken: accountEnv(account, "GBP_REFRESH_TOKEN", env),
+    };
+  });
+
+  const keys = accounts.map((a) => a.key);
+  const dup = keys.find((k, i) => k && keys.indexOf(k) !== i);
+  if (dup) throw new Error(`Accounts ${file}: duplicate key ${dup}`);
+
+  if (!only.length) return accounts;
+  const unknown = only.filter((k) => !keys.includes(k.toUpperCase()));
+  if (unknown.length) throw new Error(`Unknown --account: ${unknown.join(", ")} (known: ${keys.filter(Boolean).join(", ") || "none"})`);
+  return accounts.filter((a) => only.some((k) => k.toUpperCase() === a.key));
+}
+
+// Log: "123" bzw. "NOVOTERGUM=123, BERG=456"
+export function accountsLabel(accounts) {
+  return accounts.map((a) => (a.multi ? `${a.key}=${a.accountId}` : a.accountId)).join(", ");
+}
+
+// Zugangsdaten erst prüfen, wenn Google wirklich gebraucht wird (nicht bei --resume)
+export function checkAccounts(accounts) {
+  for (const a of accounts) {
+    for (const [field, name] of [
+      ["clientId", "GBP_CLIENT_ID"],
+      ["clientSecret", "GBP_CLIENT_SECRET"],
+      ["refreshToken", "GBP_REFRESH_TOKEN"],
+      ["accountId", "GBP_ACCOUNT_ID"],
+    ]) {
+      if (!a[field]) throw new Error(`Missing env: ${a.key ? `${name}_${a.key} (or ${name})` : name}`);
+    }
+  }
+}
+
+// Ledger-Job je Account (bei nur einem Account unverändert)
+export function accountJob(job, account) {
+  return account.multi ? `${job}:${account.key.toLowerCase()}` : job;
+}
+
+// Slack/Teams: eigene Sinks des Accounts (SLACK_WEBHOOK_URL_<NAME>_<KEY>), sonst die gemeinsamen
+export function accountSinks(account, name, env = process.env) {
+  const own = account.key ? getSinks(`${name}_${account.key}`, env) : [];
+  return own.length ? own : getSinks(name, env);
+}
+
+// Marke eines Standorts: Registry vor Account
+export function locationBrand(place, account) {
+  return place.brand || account.brand || null;
+}
+
+// Locations aller Accounts, jede mit loc.account. listLocations(account) wird je accountId
+// nur einmal aufgerufen; Standort-Gruppen (brands) filtern über das Registry-Feld brand.
+export async function listAccountLocations(accounts, listLocations, registry) {
+  const byAccountId = new Map();
+  const seen = new Set();
+  const out = [];
+
+  for (const account of accounts) {
+    if (!byAccountId.has(account.accountId)) byAccountId.set(account.accountId, await listLocations(account));
+
+    for (const loc of byAccountId.get(account.accountId)) {
+      if (seen.has(loc.name)) continue;
+      if (account.brands.length) {
+        const place = resolveLocation(registry, { storeCode: (loc.storeCode || "").toString().trim(), title: (loc.title || "").trim() });
+        if (!account.brands.includes(place.brand)) continue;
+      }
+      seen.add(loc.name);
+      out.push({ ...loc, account });
+    }
+  }
+
+  return out;
+}
+
+// [[account, rows]] je Account (auch ohne Zeilen, damit Make leere Läufe weiter sieht); accountOf(row) → account
+export function groupByAccount(accounts, rows, accountOf) {
+  return accounts.map((a) => [a, rows.filter((r) => accountOf(r) === a)]);
+}
@@ -0,0 +1,64 @@
+import { DateTime } from "luxon";
+
+// -------------------- Backfill-Zeitraum (--from/--to) --------------------
+// CLI: --from=YYYY-MM-DD --to=YYYY-MM-DD (oder "--from YYYY-MM-DD")
+// ENV: BACKFILL_FROM / BACKFILL_TO (Workflow-Inputs)
+// Ohne --to gilt from = to (ein Tag), ohne beides → null (normaler Lauf).
+// getReportRange: dieselben Flags für Reports (history, insights), ohne ENV und ohne Limit.
+
+const MAX_BACKFILL_DAYS = 92;
+
+function argValue(argv, name) {
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith(`--${name}=`)) return a.slice(name.length + 3);
+    if (a === `--${name}` && argv[i + 1] && !argv[i + 1].startsWith("--")) return argv[i + 1];
+  }
+  return null;
+}
+
+function parseDay(value, label, zone) {
+  const dt = DateTime.fromISO(value, { zone });
+  if (!dt.isValid || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error(`Invalid ${label}: ${value} (use YYYY-MM-DD)`);
+  }
+  return dt.startOf("day");
+}
+
+function parseRange(fromRaw, toRaw, zone, maxDays, what) {
+  if (!fromRaw && !toRaw) return null;
+  if (!fromRaw) throw new Error("--to requires --from");
+
+  const start = parseDay(fromRaw, "--from", zone);
+  const end   = parseDay(toRaw || fromRaw, "--to", zone).endOf("day");
+
+  if (end < start) throw new Error(`--to (${toRaw}) is before --from (${fromRaw})`);
+  if (start > DateTime.now().setZone(zone)) throw new Error(`--from (${fromRaw}) is in the future`);
+
+  const days = Math.round(end.diff(start, "days").days);
+  if (maxDays && days > maxDays) throw new Error(`${what} too long: ${days} days (max ${maxDays})`);
+
+  return { start, end };
+}
+
+export function getBackfillRange(zone, { argv = process.argv.slice(2), env = process.env } = {}) {
+  const fromRaw = (argValue(argv, "from") || env.BACKFILL_FROM || "").trim();
+  const toRaw   = (argValue(argv, "to") || env.BACKFILL_TO || "").trim();
+  return parseRange(fromRaw, toRaw, zone, MAX_BACKFILL_DAYS, "Backfill range");
+}
+
+// Report-Zeitraum (history, insights): nur --from/--to, ohne Längenlimit; null → Standard-Zeitraum des Jobs
+export function getReportRange(zone, { argv = process.argv.slice(2) } = {}) {
+  const fromRaw = (argValue(argv, "from") || "").trim();
+  const toRaw   = (argValue(argv, "to") || "").trim();
+  return parseRange(fromRaw, toRaw, zone, null, "Range");
+}
+
+// [{ start, end }] je Kalendertag im Zeitraum
+export function splitDays(start, end) {
+  const out = [];
+  for (let d = start.startOf("day"); d <= end; d = d.plus({ days: 1 })) {
+    out.push({ start: d, end: d.endOf("day") });
+  }
+  return out;
+}
@@ -0,0 +1,169 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// -------------------- Delivery Ledger (Make-Webhooks) --------------------
+// Jeder Batch bekommt einen deterministischen Idempotency-Key (Header + Payload-Feld
+// `idempotency_key`); der Zustellstatus wird je Key in einer JSON-Datei festgehalten.
+// Schlägt ein Batch fehl, bleibt der Payload im Ledger und `--resume` schickt genau
+// die fehlenden Batches nach – ohne Google-API-Calls und ohne neue Prefill-RIDs.
+//
+// {
+//   version: 1,
+//   runs: [{ id, job, scope, created_at, status: "open"|"done"|"superseded",
+//            batches: [{ key, index, total, status: "pending"|"delivered"|"failed",
+//                        attempts, delivered_at, error, payload }] }],
+// }
+
+const LEDGER_VERSION = 1;
+
+export const DEFAULT_LEDGER_FILE = ".gbp-state/delivery-ledger.json";
+
+// Abgeschlossene Runs so lange behalten, damit identische Batches erkannt werden
+const KEEP_DAYS = 35;
+
+// Felder, die sich bei jedem Lauf ändern und nicht in den Key eingehen
+const VOLATILE_KEYS = ["generated_at", "idempotency_key"];
+
+function emptyLedger() {
+  return { version: LEDGER_VERSION, runs: [] };
+}
+
+export function loadLedger(file = DEFAULT_LEDGER_FILE) {
+  if (!file || !fs.existsSync(file)) return emptyLedger();
+
+  let j;
+  try {
+    j = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`Delivery ledger ${file} is not valid JSON: ${e.message}`);
+  }
+  if (j?.version !== LEDGER_VERSION) {
+    throw new Error(`Delivery ledger ${file} has unsupported version: ${j?.version}`);
+  }
+  return { ...emptyLedger(), ...j };
+}
+
+// Atomar schreiben (tmp + rename); alte abgeschlossene Runs fliegen raus
+export function saveLedger(file, ledger) {
+  const cutoff = Date.now() - KEEP_DAYS * 24 * 3600 * 1000;
+  const runs = ledger.runs.filter((r) => r.status === "open" || Date.parse(r.created_at) >= cutoff);
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...ledger, runs }), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+function stableStringify(value, ignore) {
+  if (Array.isArray(value)) return `[${value.map((v) => stableStringify(v, ignore)).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => !ignore.has(k)).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k], ignore)}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Gleicher Job + Scope + Inhalt → gleicher Key (unabhängig von Key-Reihenfolge und volatilen Feldern)
+export function idempotencyKey(job, scope, payload, { ignore = [] } = {}) {
+  const skip = new Set([...VOLATILE_KEYS, ...ignore]);
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${job}\n${scope}\n${stableStringify(payload, skip)}`)
+    .digest("hex");
+  return `${job}:${hash.slice(0, 32)}`;
+}
+
+function deliveredKeys(ledger) {
+  const out = new Set();
+  for (const run of ledger.runs) {
+    for (const b of run.batches) if (b.status === "delivered") out.add(b.key);
+  }
+  return out;
+}
+
+// Legt einen neuen Run an. Offene Runs desselben Jobs sind damit überholt
+// (ein neuer Lauf hat die Daten frisch berechnet). Bereits zugestellte Keys
+// werden direkt als delivered übernommen.
+//
+// payloads: fertige Batch-Payloads (inkl. batch_index/batch_total)
+// ignore:   zusätzliche volatile Felder für den Key (z. B. prefill_rid)
+export function planDelivery(ledger, { job, scope, payloads, ignore = [] }) {
+  for (const run of ledger.runs) {
+    if (run.job === job && run.status === "open") run.status = "superseded";
+  }
+
+  const done = deliveredKeys(ledger);
+  const createdAt = new Date().toISOString();
+
+  const run = {
+    id: `${job}@${createdAt}`,
+    job,
+    scope,
+    created_at: createdAt,
+    status: "open",
+    batches: payloads.map((p, i) => {
+      const key = idempotencyKey(job, scope, p, { ignore });
+      const delivered = done.has(key);
+      return {
+        key,
+        index: i + 1,
+        total: payloads.length,
+        status: delivered ? "delivered" : "pending",
+        attempts: 0,
+        delivered_at: null,
+        error: null,
+        payload: delivered ? null : { ...p, idempotency_key: key },
+      };
+    }),
+  };
+
+  ledger.runs.push(run);
+  return run;
+}
+
+// Letzter offener Run des Jobs (für --resume)
+export function findOpenRun(ledger, job) {
+  const open = ledger.runs.filter((r) => r.job === job && r.status === "open");
+  return open.length ? open[open.length - 1] : null;
+}
+
+// Schickt alle nicht zugestellten Batches über send(payload, key) und speichert den
+// Ledger nach jedem Batch. Fehlgeschlagene Batches halten die übrigen nicht auf;
+// am Ende wird geworfen, falls etwas offen geblieben ist.
+export async function deliverRun(file, ledger, run, send, { log = console.log } = {}) {
+  let sent = 0;
+  let skipped = 0;
+
+  for (const b of run.batches) {
+    if (b.status === "delivered") {
+      skipped++;
+      log(`  batch ${b.index}/${b.total} already delivered (${b.key})`);
+      continue;
+    }
+
+    b.attempts += 1;
+    try {
+      await send(b.payload, b.key);
+      b.status = "delivered";
+      b.delivered_at = new Date().toISOString();
+      b.error = null;
+      b.payload = null;
+      sent++;
+    } catch (e) {
+      b.status = "failed";
+      b.error = e?.message || String(e);
+      log(`  batch ${b.index}/${b.total} failed: ${b.error}`);
+    }
+    saveLedger(file, ledger);
+  }
+
+  const failed = run.batches.filter((b) => b.status !== "delivered").length;
+  if (!failed) run.status = "done";
+  saveLedger(file, ledger);
+
+  if (failed) {
+    throw new Error(`${failed} of ${run.batches.length} batch(es) not delivered – rerun with --resume (${file})`);
+  }
+  return { sent, skipped };
+}
@@ -0,0 +1,332 @@
+// -------------------- GBP API-Client --------------------
+// Ein HTTP-Client für alle Skripte statt einer Kopie je Skript:
+//   requestWithRetry  Retries bei 429/5xx und Netzwerkfehlern, Retry-After geht vor dem Backoff
+//                     (für Make, Prefill, Slack/Teams und den Token-Endpoint)
+//   createGbpClient   Google-Requests je Account: Access-Token (einmal je Lauf, bei 401 neu),
+//                     Token-Bucket je API, der bei 429 bremst und danach langsam wieder hochgeht,
+//                     Zähler je Endpoint für die Zusammenfassung am Ende und eine Quota-Schätzung
+//
+// Limits je API in Requests/Minute (Standard-Kontingent von Google), je Projekt anpassbar über
+// GBP_QPM_<API>, z. B. GBP_QPM_PERFORMANCE=120. Ein Lauf teilt sich das Limit über alle Accounts,
+// weil die Quota am Google-Cloud-Projekt hängt, nicht am Account. Performance API: 100/min wie die
+// frühere feste Pause (600 ms je Request); mehr nur, wenn das Projekt-Kontingent es hergibt.
+
+export const APIS = {
+  BUSINESSINFORMATION: { host: "mybusinessbusinessinformation.googleapis.com", label: "Business Information API", qpm: 300 },
+  PERFORMANCE:         { host: "businessprofileperformance.googleapis.com",    label: "Performance API",          qpm: 100 },
+  REVIEWS:             { host: "mybusiness.googleapis.com",                    label: "My Business API v4",       qpm: 300 },
+};
+
+const TOKEN_URL = "https://oauth2.googleapis.com/token";
+
+const RETRY_STATUS = [429, 500, 502, 503, 504];
+
+// Retry-After über diesem Wert: lieber abbrechen (und --resume/nächster Lauf) als minutenlang warten
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// nach so vielen Erfolgen in Folge geht die Rate wieder um 25 % hoch (bis zum Limit)
+const RAMP_UP_AFTER = 20;
+
+export async function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Retry-After: Sekunden oder HTTP-Datum → ms (null = kein Header)
+export function retryAfterMs(res) {
+  const v = (res.headers?.get?.("retry-after") || "").trim();
+  if (!v) return null;
+  if (/^\d+(\.\d+)?$/.test(v)) return Math.round(Number(v) * 1000);
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffMs(res, attempt, baseBackoffMs) {
+  const hint = res ? retryAfterMs(res) : null;
+  if (hint !== null && hint > MAX_RETRY_AFTER_MS) {
+    throw new Error(`HTTP ${res.status}: Retry-After ${Math.round(hint / 1000)}s exceeds ${MAX_RETRY_AFTER_MS / 1000}s`);
+  }
+  return Math.max(hint ?? 0, baseBackoffMs * Math.pow(2, attempt));
+}
+
+export async function requestWithRetry(url, options = {}, { retries = 4, baseBackoffMs = 800 } = {}) {
+  let lastErr;
+
+  for (let i = 0; i < retries; i++) {
+    let res;
+    try {
+      res = await fetch(url, options);
+    } catch (e) {
+      lastErr = e;
+      if (i < retries - 1) await sleep(baseBackoffMs * Math.pow(2, i));
+      continue;
+    }
+
+    if (!RETRY_STATUS.includes(res.status)) return res;
+
+    const txt = await res.text().catch(() => "");
+    lastErr = new Error(`HTTP ${res.status} ${res.statusText}: ${txt}`);
+    if (i < retries - 1) await sleep(backoffMs(res, i, baseBackoffMs));
+  }
+
+  throw lastErr || new Error("requestWithRetry failed");
+}
+
+// Arrays → Parameter mehrfach (z. B. dailyMetrics=A&dailyMetrics=B)
+function withParams(url, params) {
+  const u = new URL(url);
+  for (const [k, v] of Object.entries(params || {})) {
+    if (Array.isArray(v)) v.forEach((x) => u.searchParams.append(k, String(x)));
+    else if (v !== undefined && v !== null && String(v).length > 0) u.searchParams.set(k, String(v));
+  }
+  return u.toString();
+}
+
+// GET ohne Google-Token (z. B. Prefill-Capabilities); Fehler mit Status im Text und als err.status
+export async function getJson(url, { headers = {}, params = null } = {}) {
+  const u = withParams(url, params);
+  const res = await requestWithRetry(u, { headers, method: "GET" });
+  if (!res.ok) {
+    const txt = await res.text().catch(() => "");
+    throw Object.assign(new Error(`GET ${u} -> ${res.status}: ${txt}`), { status: res.status });
+  }
+  return res.json();
+}
+
+// Ergebnisse in Reihenfolge der items, max. `limit` gleichzeitig
+export async function asyncPool(limit, items, fn) {
+  const ret = [];
+  const executing = [];
+  for (const item of items) {
+    const p = Promise.resolve().then(() => fn(item));
+    ret.push(p);
+    if (limit <= items.length) {
+      const e = p.then(() => executing.splice(executing.indexOf(e), 1));
+      executing.push(e);
+      if (executing.length >= limit) await Promise.race(executing);
+    }
+  }
+  return Promise.all(ret);
+}
+
+// -------------------- Rate Limiter (Token-Bucket je API) --------------------
+// Füllt sich mit `rate` Requests/Minute, fasst eine Sekunde Burst. 429 halbiert die Rate
+// (nicht unter 1/20 des Limits) und hält den Bucket bis Retry-After an.
+function createRateLimiter(qpm) {
+  const burst = Math.max(1, Math.round(qpm / 60));
+  const floor = Math.max(1, Math.round(qpm / 20));
+
+  let rate = qpm;
+  let tokens = burst;
+  let last = Date.now();
+  let pausedUntil = 0;
+  let streak = 0;
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 60000) * rate);
+    last = now;
+  }
+
+  async function wait() {
+    for (;;) {
+      const pause = pausedUntil - Date.now();
+      if (pause > 0) {
+        await sleep(pause);
+        continue;
+      }
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / rate) * 60000));
+    }
+  }
+
+  return {
+    get rate() {
+      return rate;
+    },
+
+    // Wartet auf einen freien Slot; Aufrufe kommen der Reihe nach dran
+    take() {
+      queue = queue.then(wait);
+      return queue;
+    },
+
+    throttled(pauseMs) {
+      rate = Math.max(floor, Math.round(rate / 2));
+      tokens = 0;
+      streak = 0;
+      pausedUntil = Math.max(pausedUntil, Date.now() + pauseMs);
+    },
+
+    succeeded() {
+      if (rate >= qpm || ++streak < RAMP_UP_AFTER) return;
+      rate = Math.min(qpm, Math.round(rate * 1.25));
+      streak = 0;
+    },
+  };
+}
+
+// -------------------- Google-Client --------------------
+// /v1/accounts/123/locations/456:x → /v1/accounts/*/locations/*:x (Zähler je Endpoint, nicht je Standort)
+function endpointOf(method, url) {
+  const u = new URL(url);
+  return `${method} ${u.host}${u.pathname.replace(/\/(accounts|locations|reviews)\/[^/:]+/g, "/$1/*")}`;
+}
+
+function apiOf(url) {
+  const host = new URL(url).host;
+  return Object.keys(APIS).find((k) => APIS[k].host === host) || null;
+}
+
+export function createGbpClient({ env = process.env, retries = 5, baseBackoffMs = 1000, log = console.warn } = {}) {
+  const limits = Object.fromEntries(
+    Object.entries(APIS).map(([k, api]) => [k, Number(env[`GBP_QPM_${k}`] || "") || api.qpm])
+  );
+  const limiters = new Map(Object.keys(APIS).map((k) => [k, createRateLimiter(limits[k])]));
+  const tokens = new Map();
+  const stats = new Map();
+
+  function statsOf(endpoint) {
+    if (!stats.has(endpoint)) stats.set(endpoint, { endpoint, requests: 0, retries: 0, throttled: 0, refreshed: 0, failed: 0 });
+    return stats.get(endpoint);
+  }
+
+  async function requestToken(account) {
+    const st = statsOf(endpointOf("POST", TOKEN_URL));
+    st.requests++;
+
+    const res = await requestWithRetry(TOKEN_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        client_id:     account.clientId,
+        client_secret: account.clientSecret,
+        refresh_token: account.refreshToken,
+        grant_type:    "refresh_token",
+      }),
+    });
+
+    const txt = await res.text();
+    if (!res.ok) {
+      st.failed++;
+      throw new Error(`Token error ${res.status}${account.multi ? ` (${account.key})` : ""}: ${txt}`);
+    }
+    const j = JSON.parse(txt);
+    if (!j.access_token) throw new Error(`No access_token in token response: ${txt}`);
+    return j.access_token;
+  }
+
+  // ein Token je Account; ein fehlgeschlagener Abruf wird nicht gemerkt
+  function token(account) {
+    if (!tokens.has(account)) {
+      const p = requestToken(account);
+      p.catch(() => tokens.get(account) === p && tokens.delete(account));
+      tokens.set(account, p);
+    }
+    return tokens.get(account);
+  }
+
+  // fetch mit Token des Accounts; gibt die Response zurück (auch bei 4xx), wirft nach ausgeschöpften Retries
+  async function request(account, url, options = {}) {
+    const method = (options.method || "GET").toUpperCase();
+    const api = apiOf(url);
+    const limiter = api ? limiters.get(api) : null;
+    const st = statsOf(endpointOf(method, url));
+
+    let refreshed = false;
+    let lastErr;
+
+    for (let i = 0; i < retries; ) {
+      const pending = token(account);
+      const accessToken = await pending;
+      if (limiter) await limiter.take();
+      st.requests++;
+
+      let res;
+      try {
+        res = await fetch(url, { ...options, method, headers: { ...options.headers, Authorization: `Bearer ${accessToken}` } });
+      } catch (e) {
+        lastErr = e;
+        if (++i < retries) {
+          st.retries++;
+          await sleep(baseBackoffMs * Math.pow(2, i - 1));
+        }
+        continue;
+      }
+
+      // abgelaufenes Token (lange Läufe): einmal neu holen, das zählt nicht als Retry
+      if (res.status === 401 && !refreshed) {
+        refreshed = true;
+        st.refreshed++;
+        await res.text().catch(() => "");
+        if (tokens.get(account) === pending) tokens.delete(account);
+        continue;
+      }
+
+      if (RETRY_STATUS.includes(res.status)) {
+        const txt = await res.text().catch(() => "");
+        lastErr = Object.assign(new Error(`${method} ${url} -> ${res.status}: ${txt}`), { status: res.status });
+        const wait = backoffMs(res, i, baseBackoffMs);
+        if (res.status === 429) {
+          st.throttled++;
+          limiter?.throttled(wait);
+          log(`    429 ${api ? APIS[api].label : new URL(url).host} – warte ${wait}ms, Rate jetzt ${limiter?.rate ?? "-"}/min`);
+        }
+        if (++i < retries) {
+          st.retries++;
+          if (res.status !== 429 || !limiter) await sleep(wait);
+        }
+        continue;
+      }
+
+      if (res.ok) limiter?.succeeded();
+      else st.failed++;
+      return res;
+    }
+
+    st.failed++;
+    throw lastErr || new Error(`${method} ${url} failed`);
+  }
+
+  async function getJson(account, url, { params = null } = {}) {
+    const u = withParams(url, params);
+    const res = await request(account, u);
+    if (!res.ok) {
+      const txt = await res.text().catch(() => "");
+      throw Object.assign(new Error(`GET ${u} -> ${res.status}: ${txt}`), { status: res.status });
+    }
+    return res.json();
+  }
+
+  // planned: { PERFORMANCE: 1120, … } → Zeilen "Performance API: ~1120 Requests (Limit 100/min) ≈ 11.2 min"
+  // atLeast: Untergrenze (z. B. eine Review-Seite je Standort, weitere Seiten je nach Datenlage)
+  function estimate(planned, { atLeast = false } = {}) {
+    return Object.entries(planned)
+      .filter(([, n]) => n > 0)
+      .map(([k, n]) => {
+        const minutes = n / limits[k];
+        return `${APIS[k].label}: ${atLeast ? "≥" : "~"}${n} Requests (Limit ${limits[k]}/min) ≈ ${minutes < 1 ? "< 1" : minutes.toFixed(1)} min`;
+      });
+  }
+
+  // Zähler je Endpoint, meiste Requests zuerst
+  function summary() {
+    return [...stats.values()]
+      .sort((a, b) => b.requests - a.requests || a.endpoint.localeCompare(b.endpoint))
+      .map((s) => {
+        const extra = [
+          s.retries && `${s.retries} retries`,
+          s.throttled && `${s.throttled}× 429`,
+          s.refreshed && `${s.refreshed}× 401 → neues Token`,
+          s.failed && `${s.failed} failed`,
+        ].filter(Boolean);
+        return `${String(s.requests).padStart(6)}  ${s.endpoint}${extra.length ? `  (${extra.join(", ")})` : ""}`;
+      });
+  }
+
+  return { token, request, getJson, estimate, summary, limits };
+}
@@ -0,0 +1,160 @@
+// -------------------- Insights-Anomalien und Datenlücken --------------------
+// Fehlende Tage und Metriken (403, leere Zeitreihe) landen nicht im Warehouse – in den Summen
+// zählen sie wie 0. Diese Auswertung trennt "keine Daten" von "0" und meldet je Standort:
+//   no_data      Tage ohne einen einzigen Wert (Profil gesperrt/gelöscht, API-Ausfall)
+//   metric_gap   eine Metrik ohne Werte an Tagen, an denen die übrigen welche haben (z. B. 403)
+//   views_drop   Ø Views/Tag im Zeitraum mehr als drop unter dem Median der baselineDays davor
+//   actions_drop dasselbe für actions
+// und für die ganze Kette (Standort leer):
+//   not_final    Tage, die Google vermutlich noch nicht fertig hat: jünger als finalLagDays oder
+//                am Periodenende bei allen Standorten 0 Views, obwohl vorher Views da waren
+// Nicht fertige Tage zählen weder als Lücke noch zum Ø für den Drop-Vergleich. Lücken gibt es nur an
+// Tagen, die für die Metrik tatsächlich bei Google angefragt wurden – nie geholte Tage sind keine Lücke.
+
+export const INSIGHTS_ANOMALY_DEFAULTS = {
+  drop: 0.3,
+  baselineDays: 28,
+  finalLagDays: 7,
+  minBaselineDays: 7, // weniger Baseline-Tage mit Daten → kein Drop-Urteil
+  minExpected: 5,     // Median unter 5/Tag → zu wenig für ein Urteil
+};
+
+function round(n, d = 1) {
+  const f = Math.pow(10, d);
+  return Math.round(n * f) / f;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function envNumber(env, name, fallback, valid) {
+  const raw = (env[name] || "").trim();
+  if (!raw) return fallback;
+  const n = Number(raw.replace(/%$/, ""));
+  if (!Number.isFinite(n) || !valid(n)) throw new Error(`Invalid ${name}: ${raw}`);
+  return n;
+}
+
+// INSIGHTS_ANOMALY_DROP (0.3, "30" oder "30%"), INSIGHTS_ANOMALY_BASELINE_DAYS, INSIGHTS_FINAL_LAG_DAYS
+export function getAnomalyOptions(env = process.env) {
+  const drop = envNumber(env, "INSIGHTS_ANOMALY_DROP", INSIGHTS_ANOMALY_DEFAULTS.drop, (n) => n > 0 && n < 100);
+  return {
+    ...INSIGHTS_ANOMALY_DEFAULTS,
+    drop:         drop >= 1 ? drop / 100 : drop,
+    baselineDays: envNumber(env, "INSIGHTS_ANOMALY_BASELINE_DAYS", INSIGHTS_ANOMALY_DEFAULTS.baselineDays, (n) => Number.isInteger(n) && n > 0),
+    finalLagDays: envNumber(env, "INSIGHTS_FINAL_LAG_DAYS", INSIGHTS_ANOMALY_DEFAULTS.finalLagDays, (n) => Number.isInteger(n) && n >= 0),
+  };
+}
+
+// byMetric: { [metric]: { "YYYY-MM-DD": Zahl } } aus dem Warehouse, dates: alle Tage des Zeitraums,
+// fetched:  { [metric]: [[from, to], …] } angefragte Tage je Metrik (WAREHOUSE.fetchedRanges)
+// → [{ kind: "no_data" | "metric_gap", metric, dates, checked }], checked = die geprüften Tage
+export function findDataGaps(byMetric, dates, fetched) {
+  const metrics    = Object.keys(byMetric);
+  const wasFetched = (m, d) => (fetched[m] || []).some(([from, to]) => d >= from && d <= to);
+
+  const checked = dates.filter((d) => metrics.every((m) => wasFetched(m, d)));
+  const noData  = checked.filter((d) => metrics.every((m) => byMetric[m][d] == null));
+  const gaps    = noData.length ? [{ kind: "no_data", metric: null, dates: noData, checked }] : [];
+
+  const empty = new Set(noData);
+  for (const m of metrics) {
+    const days    = dates.filter((d) => !empty.has(d) && wasFetched(m, d));
+    const missing = days.filter((d) => byMetric[m][d] == null);
+    if (missing.length) gaps.push({ kind: "metric_gap", metric: m, dates: missing, checked: days });
+  }
+  return gaps;
+}
+
+// Tage, die Google vermutlich noch nachliefert: jünger als finalLagDays oder Null-Ende der Kette
+function notFinalDates(series, dates, today, o) {
+  const lagFrom = today.minus({ days: o.finalLagDays }).toISODate();
+  const recent  = dates.filter((d) => d > lagFrom);
+
+  const chainViews = (d) => series.reduce((s, x) => s + (x.cur[d]?.views || 0), 0);
+  const tail = [];
+  for (let i = dates.length - 1; i >= 0 && chainViews(dates[i]) === 0; i--) tail.unshift(dates[i]);
+  const zeroTail = tail.length < dates.length ? tail : [];
+
+  return {
+    dates: [...new Set([...recent, ...zeroTail])].sort(),
+    reason: [
+      recent.length   ? `jünger als ${o.finalLagDays} Tage` : "",
+      zeroTail.length ? "alle Standorte 0 Views am Periodenende" : "",
+    ].filter(Boolean).join(", "),
+  };
+}
+
+// series: [{ Standort, account_id, brand, gaps, cur: { date: { views, actions } }, base: { date: { views, actions } } }]
+// dates:  alle Tage des Zeitraums (ISO), today: DateTime
+// → [{ anomaly_id, kind, Standort, account_id, brand, metric, dates, observed, expected, change_pct, detail }]
+export function detectInsightsAnomalies(series, dates, today, opts = {}) {
+  const o   = { ...INSIGHTS_ANOMALY_DEFAULTS, ...opts };
+  const out = [];
+  const add = (a) => out.push({
+    anomaly_id: `${a.Standort || "*"}|${a.kind}|${a.metric || ""}|${a.dates[0] || dates[0]}`,
+    kind:       a.kind,
+    Standort:   a.Standort || "",
+    account_id: a.account_id || "",
+    brand:      a.brand || "",
+    metric:     a.metric || "",
+    dates:      a.dates,
+    observed:   a.observed ?? null,
+    expected:   a.expected ?? null,
+    change_pct: a.change_pct ?? null,
+    detail:     a.detail,
+  });
+
+  const notFinal = notFinalDates(series, dates, today, o);
+  const pending  = new Set(notFinal.dates);
+  if (notFinal.dates.length) add({ kind: "not_final", dates: notFinal.dates, detail: notFinal.reason });
+
+  for (const s of series) {
+    const loc = { Standort: s.Standort, account_id: s.account_id, brand: s.brand };
+
+    for (const gap of s.gaps) {
+      // Tage, an denen Werte möglich waren: geprüfte, fertige Tage
+      const gapDates = gap.dates.filter((d) => !pending.has(d));
+      if (!gapDates.length) continue;
+      const possible = gap.checked.filter((d) => !pending.has(d)).length;
+      const all      = gapDates.length === possible;
+      add({
+        ...loc, kind: gap.kind, metric: gap.metric, dates: gapDates,
+        observed: possible - gapDates.length,
+        expected: possible,
+        detail: gap.kind === "no_data"
+          ? `${all ? "im ganzen Zeitraum" : `an ${gapDates.length} Tag(en)`} keine Werte von Google – Profil/API prüfen`
+          : `${gap.metric} ${all ? "im ganzen Zeitraum" : `an ${gapDates.length} Tag(en)`} ohne Werte (403/keine Berechtigung?)`,
+      });
+    }
+
+    for (const metric of ["views", "actions"]) {
+      const baseValues = Object.values(s.base).map((v) => v[metric] || 0);
+      const curValues  = Object.entries(s.cur).filter(([d]) => !pending.has(d)).map(([, v]) => v[metric] || 0);
+      if (baseValues.length < o.minBaselineDays || !curValues.length) continue;
+
+      const expected = median(baseValues);
+      const observed = curValues.reduce((sum, v) => sum + v, 0) / curValues.length;
+      if (expected < o.minExpected || observed >= expected * (1 - o.drop)) continue;
+
+      add({
+        ...loc, kind: `${metric}_drop`, metric, dates: [],
+        observed:   round(observed),
+        expected:   round(expected),
+        change_pct: round(((observed - expected) / expected) * 100),
+        detail:     `Ø ${round(observed)}/Tag vs. Median ${round(expected)}/Tag der ${o.baselineDays} Tage davor`,
+      });
+    }
+  }
+
+  const order = ["not_final", "no_data", "metric_gap", "views_drop", "actions_drop"];
+  return out.sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind) || a.Standort.localeCompare(b.Standort));
+}
+
+// Zeilen für CSV: dates als "YYYY-MM-DD YYYY-MM-DD …"
+export function anomalyRows(anomalies) {
+  return anomalies.map((a) => ({ ...a, dates: a.dates.join(" ") }));
+}
@@ -0,0 +1,523 @@
+import { DateTime } from "luxon";
+import path from "path";
+import { loadLedger, planDelivery, findOpenRun, deliverRun, DEFAULT_LEDGER_FILE } from "./delivery-ledger.js";
+import { sinkPayloads, createSinkSender, renderInsights } from "./sinks.js";
+import { loadLocationRegistry, resolveLocation } from "./location-registry.js";
+import { rollupMetrics } from "./rollups.js";
+import { getReportRange, splitDays } from "./date-range.js";
+import { createGbpClient, requestWithRetry, asyncPool } from "./gbp-client.js";
+import { getOptionalMetrics } from "./performance-api.js";
+import { getCompareRange, compareDate, compareFields, sumCompare } from "./period-compare.js";
+import { addKpis, kpiGroup, kpiValues } from "./insights-kpis.js";
+import { getAnomalyOptions, findDataGaps, detectInsightsAnomalies, anomalyRows } from "./insights-anomalies.js";
+import { openWarehouse } from "./warehouse.js";
+import { getRunOptions, filterLocations, writeReport, writeDryRun } from "./run-options.js";
+import {
+  loadAccounts,
+  checkAccounts,
+  accountEnv,
+  accountJob,
+  accountSinks,
+  listAccountLocations,
+  locationBrand,
+} from "./accounts.js";
+
+// -------------------- Insights Daily/Weekly (gemeinsamer Ablauf) --------------------
+// Performance-Tageswerte je Standort für Zeitraum, Vergleich und Anomalie-Baseline über den Warehouse,
+// daraus Summen, Tageszeilen, Rollups, Kennzahlen und Anomalien; CSV/JSON und Zustellung je Account
+// an Make (Ledger, --resume) und Slack/Teams. Die Skripte geben nur Standard-Zeitraum und Namen vor:
+//   job           Ledger-Job, z. B. "gbp-insights-weekly"
+//   type          type im Make-Payload
+//   webhookEnv    Make-Webhook je Account: <webhookEnv>(_<KEY>)
+//   sinkName      Slack/Teams: SLACK_WEBHOOK_URL_<sinkName>(_<KEY>) / TEAMS_WEBHOOK_URL_<sinkName>(_<KEY>)
+//   defaultRange  (today) → { curStart, curEnd } ohne --from/--to
+// Locations, Chunking und Zustellung (createInsightsDelivery) nutzt auch gbp-insights-monthly.js.
+
+const TZ = "Europe/Berlin";
+
+// -------------------- ENV --------------------
+const ENV = {
+  // Standorte nacheinander wie bisher; das Tempo gegenüber Google regelt das Rate-Limit des Clients
+  CONCURRENCY: Number(process.env.CONCURRENCY || "1"),
+
+  MAKE_BATCH_LOCATIONS: Number(process.env.MAKE_BATCH_LOCATIONS || "20"),
+
+  // Zustell-Ledger (Idempotency-Keys, --resume)
+  DELIVERY_LEDGER_FILE: (process.env.DELIVERY_LEDGER_FILE || DEFAULT_LEDGER_FILE).trim(),
+  DELIVERY_RESUME:      process.argv.includes("--resume") || (process.env.DELIVERY_RESUME || "").trim() === "1",
+};
+
+// -------------------- Metrics --------------------
+// Buchungen, Nachrichten, Food: nur mit INSIGHTS_EXTRA_METRICS (eigene Spalten, zählen zu actions)
+const EXTRA_METRICS = getOptionalMetrics();
+
+const METRICS = [
+  "BUSINESS_IMPRESSIONS_DESKTOP_SEARCH",
+  "BUSINESS_IMPRESSIONS_MOBILE_SEARCH",
+  "BUSINESS_IMPRESSIONS_DESKTOP_MAPS",
+  "BUSINESS_IMPRESSIONS_MOBILE_MAPS",
+  "WEBSITE_CLICKS",
+  "CALL_CLICKS",
+  "BUSINESS_DIRECTION_REQUESTS",
+  ...EXTRA_METRICS.map((m) => m.metric),
+];
+
+// -------------------- Aggregate helper --------------------
+const ZERO = () => ({ views: 0, actions: 0, views_search: 0, views_maps: 0, views_mobile: 0,
+                       actions_website: 0, actions_phone: 0, actions_driving_directions: 0,
+                       ...Object.fromEntries(EXTRA_METRICS.map((m) => [m.field, 0])) });
+
+function addTo(acc, r) {
+  acc.views               += r.views               || 0;
+  acc.actions             += r.actions             || 0;
+  acc.views_search        += r.views_search        || 0;
+  acc.views_maps          += r.views_maps          || 0;
+  acc.views_mobile        += r.views_mobile        || 0;
+  acc.actions_website     += r.actions_website     || 0;
+  acc.actions_phone       += r.actions_phone       || 0;
+  acc.actions_driving_directions += r.actions_driving_directions || 0;
+  for (const m of EXTRA_METRICS) acc[m.field] += r[m.field] || 0;
+}
+
+// Kennzahlen in ZERO-Reihenfolge; Vergleichsspalten je Kennzahl (prev_*, delta_*, delta_pct_*)
+const FIELDS = Object.keys(ZERO());
+
+// Summe über locationTotals (lowercase)
+function sumTotal(rows) {
+  const acc = ZERO();
+  for (const r of rows) addTo(acc, r);
+  return acc;
+}
+
+// Gesamt-Tagessumme (kapitalisiert) aus locationByDates
+const BY_DATE_FIELDS = ["Views", "Actions", "Views Search", "Views Maps", "Views Mobile", "Actions Website", "Actions Phone", "Actions Directions",
+                        ...EXTRA_METRICS.map((m) => m.column)];
+
+function sumByDate(rows) {
+  const map = new Map();
+  for (const r of rows) {
+    if (!map.has(r.Datum)) map.set(r.Datum, { Datum: r.Datum, ...Object.fromEntries(BY_DATE_FIELDS.map((f) => [f, 0])) });
+    const row = map.get(r.Datum);
+    for (const f of BY_DATE_FIELDS) row[f] += r[f] || 0;
+  }
+  return [...map.values()].sort((a, b) => a.Datum.localeCompare(b.Datum));
+}
+
+// -------------------- Gemeinsame Bausteine (auch gbp-insights-monthly.js) --------------------
+export function chunkArray(arr, size) {
+  if (size <= 0) return [arr];
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+// Alle Locations eines Accounts (Business Information API, seitenweise)
+export async function listLocations(gbp, account) {
+  const out = [];
+  let pageToken = "";
+  do {
+    const j = await gbp.getJson(
+      account,
+      `https://mybusinessbusinessinformation.googleapis.com/v1/accounts/${account.accountId}/locations`,
+      {
+        params: { pageSize: "100", readMask: "name,title,storeCode", orderBy: "storeCode", pageToken },
+      }
+    );
+    out.push(...(j.locations || []));
+    pageToken = j.nextPageToken || "";
+  } while (pageToken);
+  return out;
+}
+
+// Zustellung an Make und Slack/Teams: jeder Batch mit Idempotency-Key, Status in DELIVERY_LEDGER_FILE,
+// --resume schickt nur Fehlendes. Je Account eigene Ledger-Jobs (accountJob) und Webhooks:
+//   Make <webhookEnv>(_<KEY>), Slack/Teams SLACK_WEBHOOK_URL_<sinkName>(_<KEY>) / TEAMS_WEBHOOK_URL_<sinkName>(_<KEY>)
+// → { makeSender, deliver, notify, resumeDelivery }
+export function createInsightsDelivery({ job: JOB, webhookEnv, sinkName: SINK_NAME, run: RUN, accounts: ACCOUNTS }) {
+  const SINK_JOB = `${JOB}:sinks`;
+
+  // send(payload, key) für deliverRun: Make-Webhook des Accounts
+  function makeSender(account) {
+    const url = accountEnv(account, webhookEnv);
+
+    return async (payload, idempotencyKey) => {
+      if (!url) throw new Error(`Missing env: ${webhookEnv}${account.multi ? `_${account.key}` : ""}`);
+
+      const res = await requestWithRetry(url, {
+        method:  "POST",
+        headers: { "Content-Type": "application/json", "Idempotency-Key": idempotencyKey },
+        body:    JSON.stringify(payload),
+      });
+      const txt = await res.text().catch(() => "");
+      console.log(`🚀 Make Webhook → ${res.status} ${txt.slice(0, 100)}`);
+      if (!res.ok) throw new Error(`Make webhook error ${res.status}: ${txt}`);
+    };
+  }
+
+  async function deliver(account, scope, payloads) {
+    const job = accountJob(JOB, account);
+    if (RUN.dryRun) {
+      console.log(`🧪 Dry-Run: ${payloads.length} Batch(es) → ${writeDryRun(RUN, job, scope, payloads)}`);
+      return;
+    }
+
+    const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+    const run    = planDelivery(ledger, { job, scope, payloads });
+    const { sent, skipped } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, makeSender(account));
+    console.log(`✓ Zugestellt: ${sent} Batch(es)${skipped ? `, ${skipped} bereits zugestellt` : ""}`);
+  }
+
+  // Zusammenfassung an alle Slack/Teams-Sinks des Accounts (eigener Ledger-Job)
+  async function notify(account, sinks, scope, summary) {
+    const job      = accountJob(SINK_JOB, account);
+    const ledger   = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+    const messages = sinkPayloads(sinks, (type) => renderInsights(type, summary));
+    if (RUN.dryRun) {
+      console.log(`🧪 Dry-Run: ${messages.length} Nachricht(en) → ${writeDryRun(RUN, job, scope, messages)}`);
+      return;
+    }
+
+    const run      = planDelivery(ledger, { job, scope, payloads: messages });
+    const { sent, skipped } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, createSinkSender(sinks, requestWithRetry));
+    console.log(`✓ Slack/Teams: ${sent} Nachricht(en)${skipped ? `, ${skipped} bereits zugestellt` : ""}`);
+  }
+
+  // Resume braucht keine Google-Calls: die Payloads liegen komplett im Ledger
+  async function resumeDelivery() {
+    const ledger = loadLedger(ENV.DELIVERY_LEDGER_FILE);
+    let resumed  = 0;
+    let error    = null;
+
+    const jobs = ACCOUNTS.flatMap((a) => [
+      [accountJob(JOB, a), makeSender(a)],
+      [accountJob(SINK_JOB, a), createSinkSender(accountSinks(a, SINK_NAME), requestWithRetry)],
+    ]);
+
+    for (const [job, send] of jobs) {
+      const run = findOpenRun(ledger, job);
+      if (!run) continue;
+
+      resumed++;
+      const open = run.batches.filter((b) => b.status !== "delivered").length;
+      console.log(`↻ Resume ${run.id}: ${open} von ${run.batches.length} Batch(es) offen`);
+      try {
+        const { sent } = await deliverRun(ENV.DELIVERY_LEDGER_FILE, ledger, run, send);
+        console.log(`✓ Zugestellt: ${sent} Batch(es)`);
+      } catch (e) {
+        error = error || e;
+      }
+    }
+
+    if (!resumed) console.log(`ℹ️  Nichts fortzusetzen (${ENV.DELIVERY_LEDGER_FILE})`);
+    if (error) throw error;
+  }
+
+  return { makeSender, deliver, notify, resumeDelivery };
+}
+
+// -------------------- Lauf --------------------
+export async function runInsightsJob({ job: JOB, type, webhookEnv, sinkName: SINK_NAME, defaultRange }) {
+  // --location, --account, --dry-run, --out, --format (gbp-CLI)
+  const RUN = getRunOptions();
+
+  // GBP-Zugangsdaten, Marke und Webhooks je Account (config/accounts.json)
+  const ACCOUNTS = loadAccounts({ only: RUN.accounts });
+
+  // -------------------- TIME RANGE --------------------
+  // --from/--to: beliebiger Zeitraum, sonst der Standard des Skripts
+  // Vergleich (prev_*, delta_*): --compare bzw. INSIGHTS_COMPARE, Standard = gleich lang direkt davor
+  const custom = getReportRange(TZ);
+  const { curStart, curEnd } = custom
+    ? { curStart: custom.start, curEnd: custom.end.startOf("day") }
+    : defaultRange(DateTime.now().setZone(TZ).startOf("day"));
+  const dateFrom = curStart.toISODate();
+  const dateTo   = curEnd.toISODate();
+
+  // Vergleichszeitraum: previous | yoy (wochentaggleich) | YYYY-MM-DD..YYYY-MM-DD (lib/period-compare.js)
+  const CMP      = getCompareRange(curStart, curEnd, TZ);
+  const cmpRange = { cmp_from: CMP.start.toISODate(), cmp_to: CMP.end.toISODate() };
+
+  // Anomalien und Datenlücken (lib/insights-anomalies.js): Baseline = baselineDays direkt vor dem Zeitraum
+  const ANOMALY = getAnomalyOptions();
+  const BASE    = { start: curStart.minus({ days: ANOMALY.baselineDays }), end: curStart.minus({ days: 1 }) };
+  const DAYS    = splitDays(curStart, curEnd).map((d) => d.start.toISODate());
+
+  // Kette für Median/Perzentilrang der Kennzahlen: alle Standorte, INSIGHTS_KPI_GROUP=brand je Marke
+  const KPI_GROUP         = kpiGroup();
+  const KPI_GROUP_BY_DATE = kpiGroup({ byDate: true });
+
+  // Standorte (config/locations.json bzw. LOCATION_REGISTRY_FILE)
+  const REGISTRY = loadLocationRegistry();
+
+  // Token je Account (bei 401 neu), Rate-Limit je API mit Retry-After, Request-Zähler (lib/gbp-client.js)
+  const GBP = createGbpClient();
+
+  // Tageswerte aus der lokalen SQLite-DB, Google nur für fehlende Tage und das Nachlauf-Fenster
+  // (lib/warehouse.js); im Dry-Run eine Kopie im Speicher
+  const WAREHOUSE = openWarehouse({ dryRun: RUN.dryRun });
+
+  // -------------------- GBP: Performance API --------------------
+  // Holt fehlende Tage in den Warehouse (ein Request, Fallback einzeln), liest den Zeitraum aus der DB
+  // → Map: date → { views, actions, views_search, … }
+  async function fetchPeriodByDate(account, locationId, startDt, endDt) {
+    await WAREHOUSE.syncDailyMetrics(GBP, account, locationId, METRICS, startDt, endDt);
+    const mm = WAREHOUSE.dailyMetrics(locationId, METRICS, startDt, endDt);
+
+    const dates = new Set();
+    for (const m of Object.values(mm)) for (const d of Object.keys(m)) dates.add(d);
+
+    const byDate = {};
+    for (const date of dates) {
+      const vs  = (mm["BUSINESS_IMPRESSIONS_DESKTOP_SEARCH"][date] || 0) + (mm["BUSINESS_IMPRESSIONS_MOBILE_SEARCH"][date] || 0);
+      const vm  = (mm["BUSINESS_IMPRESSIONS_DESKTOP_MAPS"][date]   || 0) + (mm["BUSINESS_IMPRESSIONS_MOBILE_MAPS"][date]   || 0);
+      const vmo = (mm["BUSINESS_IMPRESSIONS_MOBILE_SEARCH"][date]  || 0) + (mm["BUSINESS_IMPRESSIONS_MOBILE_MAPS"][date]   || 0);
+      const aw  = mm["WEBSITE_CLICKS"][date]              || 0;
+      const ap  = mm["CALL_CLICKS"][date]                 || 0;
+      const ad  = mm["BUSINESS_DIRECTION_REQUESTS"][date] || 0;
+      // optionale Metriken → { actions_bookings, … }
+      const ax  = Object.fromEntries(EXTRA_METRICS.map((m) => [m.field, mm[m.metric][date] || 0]));
+      const axSum = Object.values(ax).reduce((s, v) => s + v, 0);
+      byDate[date] = { views: vs + vm, actions: aw + ap + ad + axSum, views_search: vs, views_maps: vm, views_mobile: vmo,
+                       actions_website: aw, actions_phone: ap, actions_driving_directions: ad, ...ax };
+    }
+    return byDate;
+  }
+
+  // Make/Slack/Teams über den Ledger (je Account eigene Ledger-Jobs und Webhooks)
+  const { deliver, notify, resumeDelivery } = createInsightsDelivery({ job: JOB, webhookEnv, sinkName: SINK_NAME, run: RUN, accounts: ACCOUNTS });
+
+  // -------------------- MAIN --------------------
+  // Resume braucht keine Google-Calls: die Payloads liegen komplett im Ledger
+  if (ENV.DELIVERY_RESUME) {
+    await resumeDelivery();
+    console.log("\n✅ Fertig");
+    return;
+  }
+
+  checkAccounts(ACCOUNTS);
+
+  console.log(`Zeitraum (Mo–So): ${dateFrom} bis ${dateTo}`);
+  console.log(`${`${CMP.name}:`.padEnd(17)} ${CMP.start.toISODate()} bis ${CMP.end.toISODate()} (${CMP.mode})`);
+  if (RUN.dryRun) console.log(`Dry-Run:          keine Webhooks, Payloads nach ${RUN.out}`);
+
+  console.log("\n1) Access token …");
+  for (const account of ACCOUNTS) await GBP.token(account);
+  console.log("✓ token ok");
+
+  console.log("\n2) Locations …");
+  const locations = filterLocations(
+    await listAccountLocations(ACCOUNTS, (account) => listLocations(GBP, account), REGISTRY),
+    RUN.locations,
+    REGISTRY
+  );
+  console.log(`✓ ${locations.length} locations${RUN.locations.length ? ` (--location ${RUN.locations.join(", ")})` : ""}`);
+  WAREHOUSE.saveLocations(locations);
+  // höchstens je Standort eine Anfrage pro Zeitraum (aktuell, Vergleich, Baseline); schon im Warehouse → weniger
+  for (const line of GBP.estimate({ PERFORMANCE: locations.length * 3 })) console.log(`ℹ️  ${line}`);
+
+  // Ausgabe-Arrays – exakt wie omlocal
+  const locationTotals        = [];  // Summe je Standort (lowercase)
+  const locationByDates       = [];  // Tageswerte je Standort (kapitalisiert)
+  const combinedInsightsByDate = []; // Tageswerte + cmp_date, prev_*, delta_*, delta_pct_* (lowercase)
+  const placeByStandort       = new Map(); // Standort → Registry-Eintrag (Region, Regionalleitung)
+  const accountByStandort     = new Map(); // Standort → Account (Zustellung je Account)
+
+  const skipped = [];
+  const series  = [];  // Tageswerte, Baseline und Lücken je Standort → detectInsightsAnomalies
+
+  console.log("\n3) Weekly Insights …");
+
+  await asyncPool(ENV.CONCURRENCY, locations, async (loc) => {
+    const locationId    = (loc.name || "").split("/").pop();
+    const storeCode     = (loc.storeCode || "").toString().trim();
+    const locationTitle = (loc.title || "").trim();
+
+    if (!locationId) return;
+    const place = resolveLocation(REGISTRY, { storeCode, title: locationTitle });
+    if (place.skip) { console.log(`  ⏭ ${locationTitle}`); return; }
+
+    const standort = place.standort;
+    const accountCols = { account_id: loc.account.accountId, brand: locationBrand(place, loc.account) };
+    placeByStandort.set(standort, place);
+    accountByStandort.set(standort, loc.account);
+
+    let curByDate, prevByDate, baseByDate;
+    try {
+      curByDate  = await fetchPeriodByDate(loc.account, locationId, curStart,  curEnd);
+      prevByDate = await fetchPeriodByDate(loc.account, locationId, CMP.start, CMP.end);
+      baseByDate = await fetchPeriodByDate(loc.account, locationId, BASE.start, BASE.end);
+    } catch (e) {
+      console.warn(`  ⚠ ${standort}: ${e.message}`);
+      skipped.push(standort);
+      return;
+    }
+
+    // vor dem Abbruch ohne Tage: ein Standort ganz ohne Werte ist genau eine Lücke
+    const byMetric = WAREHOUSE.dailyMetrics(locationId, METRICS, curStart, curEnd);
+    const gaps     = findDataGaps(byMetric, DAYS, WAREHOUSE.fetchedRanges(locationId, METRICS));
+    series.push({ Standort: standort, ...accountCols, gaps, cur: curByDate, base: baseByDate });
+
+    const curDates = [...new Set([...Object.keys(curByDate)])].sort();
+    if (!curDates.length) return;
+    console.log(`  ✓ ${standort}: ${curDates.length} Tage`);
+
+    // --- locationTotals (lowercase, Summe des Zeitraums) + Vergleich über den ganzen Vergleichszeitraum ---
+    const locTotal = { Standort: standort, ...accountCols, ...ZERO() };
+    for (const d of curDates) addTo(locTotal, curByDate[d] || ZERO());
+    const prevDates = Object.keys(prevByDate);
+    const prevTotal = prevDates.length ? ZERO() : null;
+    for (const d of prevDates) addTo(prevTotal, prevByDate[d]);
+    locationTotals.push({ ...locTotal, ...cmpRange, ...compareFields(locTotal, prevTotal, FIELDS) });
+
+    // --- Für jeden Tag des Zeitraums ---
+    for (const date of curDates) {
+      const cur     = curByDate[date]  || ZERO();
+
+      // Vergleichstag über den Abstand zum Periodenbeginn (nicht die Position: fehlende Tage verschieben nichts)
+      const cmpDate = compareDate(CMP, date);
+      const prev    = (cmpDate && prevByDate[cmpDate]) || null;
+
+      // --- locationByDates (kapitalisiert, Leerzeichen) ---
+      locationByDates.push({
+        Standort:           standort,
+        ...accountCols,
+        Datum:              date,
+        Views:              cur.views,
+        Actions:            cur.actions,
+        "Views Search":     cur.views_search,
+        "Views Maps":       cur.views_maps,
+        "Views Mobile":     cur.views_mobile,
+        "Actions Website":  cur.actions_website,
+        "Actions Phone":    cur.actions_phone,
+        "Actions Directions": cur.actions_driving_directions,
+        ...Object.fromEntries(EXTRA_METRICS.map((m) => [m.column, cur[m.field]])),
+      });
+
+      // --- combinedInsightsByDate (lowercase + Vergleich) ---
+      combinedInsightsByDate.push({
+        Standort:                       standort,
+        ...accountCols,
+        views:                          cur.views,
+        actions:                        cur.actions,
+        views_search:                   cur.views_search,
+        views_maps:                     cur.views_maps,
+        views_mobile:                   cur.views_mobile,
+        actions_website:                cur.actions_website,
+        actions_phone:                  cur.actions_phone,
+        actions_driving_directions:     cur.actions_driving_directions,
+        ...Object.fromEntries(EXTRA_METRICS.map((m) => [m.field, cur[m.field]])),
+        date,
+        cmp_date:                       cmpDate,
+        ...compareFields(cur, prev, FIELDS),
+      });
+    }
+  });
+
+  // Quoten (Actions je 1.000 Views, Anteile) mit Median und Perzentilrang in der Kette bzw. je Tag
+  addKpis(locationTotals, KPI_GROUP);
+  addKpis(combinedInsightsByDate, KPI_GROUP_BY_DATE);
+
+  const anomalies = detectInsightsAnomalies(series, DAYS, DateTime.now().setZone(TZ), ANOMALY);
+
+  const totalSum = sumTotal(locationTotals);
+  const totalRow = { ...totalSum, ...kpiValues(totalSum), ...cmpRange, ...compareFields(totalSum, sumCompare(locationTotals, FIELDS), FIELDS) };
+  const byDate   = sumByDate(locationByDates);
+
+  locationTotals.sort((a, b)         => a.Standort.localeCompare(b.Standort));
+  locationByDates.sort((a, b)        => a.Standort.localeCompare(b.Standort) || a.Datum.localeCompare(b.Datum));
+  combinedInsightsByDate.sort((a, b) => a.Standort.localeCompare(b.Standort) || a.date.localeCompare(b.date));
+
+  // Region / Regionalleitung: Summen über locationTotals
+  const { region: regionTotals, manager: managerTotals } =
+    rollupMetrics(locationTotals, (r) => placeByStandort.get(r.Standort), FIELDS);
+
+  console.log(`\n✓ Standorte: ${locationTotals.length} | Tageszeilen: ${locationByDates.length}`);
+  console.log(`✓ Regionen: ${regionTotals.length} | Regionalleitungen: ${managerTotals.length}`);
+  if (skipped.length) console.log(`⚠ Übersprungen: ${skipped.join(", ")}`);
+  if (anomalies.length) console.log(`⚠ Anomalien: ${anomalies.length} (${[...new Set(anomalies.map((a) => a.kind))].join(", ")})`);
+
+  // -------------------- CSV Export (exakt wie omlocal; --out, --format) --------------------
+  const prefix = `gbp-weekly-${dateFrom}_bis_${dateTo}`;
+  writeReport(RUN, `${prefix}_location_total`,  locationTotals);
+  writeReport(RUN, `${prefix}_location_bydate`, locationByDates);
+  writeReport(RUN, `${prefix}_total`,           [totalRow]);
+  writeReport(RUN, `${prefix}_bydate`,          byDate);
+  writeReport(RUN, `${prefix}_combined_bydate`, combinedInsightsByDate);
+  writeReport(RUN, `${prefix}_region_total`,    regionTotals);
+  writeReport(RUN, `${prefix}_manager_total`,   managerTotals);
+  writeReport(RUN, `${prefix}_anomalies`,       anomalyRows(anomalies));
+  console.log(`\n📄 ${RUN.format.toUpperCase()} gespeichert (${path.join(RUN.out, prefix)}_*.${RUN.format})`);
+
+  // -------------------- Make / Slack / Teams je Account --------------------
+  // Die Dateien oben enthalten alle Accounts; jeder Account geht mit eigenen Summen an seine Webhooks
+  let makeError = null;
+
+  for (const account of ACCOUNTS) {
+    const tag     = account.multi ? ` [${account.key}]` : "";
+    const scope   = `${account.accountId}|${dateFrom}..${dateTo}`;
+    const own     = (r) => accountByStandort.get(r.Standort) === account;
+    const totals  = locationTotals.filter(own);
+    const byDates = locationByDates.filter(own);
+    const combined = combinedInsightsByDate.filter(own);
+    const missing = skipped.filter((s) => accountByStandort.get(s) === account);
+    const flagged = anomalies.filter((a) => !a.Standort || accountByStandort.get(a.Standort) === account);
+    const total   = sumTotal(totals);
+    const rollups = rollupMetrics(totals, (r) => placeByStandort.get(r.Standort), FIELDS);
+
+    // -------------------- Make Webhook (chunked nach Standort) --------------------
+    // Standort-Listen werden aufgeteilt, total/byDate/Regionen/skipped/anomalies gehen mit jedem Batch
+    if (accountEnv(account, webhookEnv) || RUN.dryRun) {
+      const groups = chunkArray(totals.map((r) => r.Standort), ENV.MAKE_BATCH_LOCATIONS);
+      if (!groups.length) groups.push([]);
+
+      const payloads = groups.map((group, i) => {
+        const inGroup = new Set(group);
+        return {
+          type,
+          dateFrom,
+          dateTo,
+          compare:                { mode: CMP.mode, dateFrom: CMP.start.toISODate(), dateTo: CMP.end.toISODate() },
+          account_id:             account.accountId,
+          brand:                  account.brand,
+          batch_index:            i + 1,
+          batch_total:            groups.length,
+          locationTotals:         totals.filter((r) => inGroup.has(r.Standort)),
+          locationByDates:        byDates.filter((r) => inGroup.has(r.Standort)),
+          total,
+          byDate:                 sumByDate(byDates),
+          regionTotals:           rollups.region,
+          managerTotals:          rollups.manager,
+          combinedInsightsByDate: combined.filter((r) => inGroup.has(r.Standort)),
+          skipped:                missing,
+          anomalies:              flagged,
+        };
+      });
+      // Fehler erst nach Slack/Teams werfen, die offenen Batches holt --resume nach
+      await deliver(account, scope, payloads).catch((e) => { makeError = makeError || e; });
+    } else {
+      console.log(`ℹ️  ${webhookEnv}${tag} nicht gesetzt – Webhook übersprungen`);
+    }
+
+    // -------------------- Slack / Teams (Zusammenfassung) --------------------
+    const sinks = accountSinks(account, SINK_NAME);
+    if (sinks.length) {
+      await notify(account, sinks, scope, {
+        title:     `Google-Profil Insights ${dateFrom} – ${dateTo}${account.multi && account.brand ? ` · ${account.brand}` : ""}`,
+        context:   `${totals.length} Standorte · ${CMP.name} ${CMP.label}${flagged.length ? ` · ⚠ ${flagged.length} Anomalien` : ""}`,
+        total,
+        prevTotal: sumCompare(totals, FIELDS),
+        extra:     EXTRA_METRICS,
+        locations: totals,
+        skipped:   missing,
+      });
+    }
+  }
+
+  console.log("\n📊 API-Requests");
+  for (const line of GBP.summary()) console.log(`  ${line}`);
+  console.log(`\n🗄  Warehouse ${WAREHOUSE.summary()}`);
+
+  if (makeError) throw makeError;
+
+  console.log("\n✅ Fertig");
+}
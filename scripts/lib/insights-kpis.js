@@ -0,0 +1,89 @@
+// -------------------- Abgeleitete Kennzahlen (Insights) --------------------
+// Die Quoten, die sonst jeder in Excel nachrechnet, je Zeile aus den Summen der Zeile:
+//   kpi_actions_per_1000_views  Actions je 1.000 Views
+//   kpi_website_share           Anteil Website-Klicks an actions (0–1), ebenso kpi_phone_share, kpi_directions_share
+//   kpi_search_share            Anteil Suche an den Views (Rest = Maps)
+//   kpi_mobile_share            Anteil Mobil an den Views (Rest = Desktop)
+// Je Kennzahl außerdem der Median der Kette (<kpi>_median) und der Perzentilrang des Standorts darin
+// (<kpi>_prank, 0–100). Kette = alle Zeilen mit gleichem groupOf (Standard: alle zusammen, bei
+// Tageszeilen je Datum); INSIGHTS_KPI_GROUP=brand vergleicht nur innerhalb der Marke. Ohne Nenner
+// (0 Views bzw. 0 Actions) bleibt die Kennzahl leer und zählt nicht zum Median.
+
+export const KPIS = [
+  { field: "kpi_actions_per_1000_views", num: "actions",                    den: "views",   scale: 1000, digits: 1 },
+  { field: "kpi_website_share",          num: "actions_website",            den: "actions", scale: 1,    digits: 3 },
+  { field: "kpi_phone_share",            num: "actions_phone",              den: "actions", scale: 1,    digits: 3 },
+  { field: "kpi_directions_share",       num: "actions_driving_directions", den: "actions", scale: 1,    digits: 3 },
+  { field: "kpi_search_share",           num: "views_search",               den: "views",   scale: 1,    digits: 3 },
+  { field: "kpi_mobile_share",           num: "views_mobile",               den: "views",   scale: 1,    digits: 3 },
+];
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+function rawValue(kpi, row) {
+  const den = row[kpi.den] || 0;
+  return den ? ((row[kpi.num] || 0) / den) * kpi.scale : null;
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Anteil der Werte darunter, Gleichstände zur Hälfte → 0–100
+function percentileRank(sorted, v) {
+  let below = 0;
+  let equal = 0;
+  for (const x of sorted) {
+    if (x < v) below++;
+    else if (x === v) equal++;
+  }
+  return Math.round(((below + equal / 2) / sorted.length) * 100);
+}
+
+// nur die Kennzahlen einer Zeile (Summen, Rollups) → { kpi_…: Zahl | null }
+export function kpiValues(row) {
+  return Object.fromEntries(KPIS.map((k) => {
+    const v = rawValue(k, row);
+    return [k.field, v == null ? null : round(v, k.digits)];
+  }));
+}
+
+export const KPI_GROUPS = ["chain", "brand"];
+
+// groupOf für addKpis aus INSIGHTS_KPI_GROUP (chain | brand); byDate: Tageszeilen nur mit demselben Tag
+export function kpiGroup({ byDate = false, env = process.env } = {}) {
+  const mode = (env.INSIGHTS_KPI_GROUP || "").trim().toLowerCase() || "chain";
+  if (!KPI_GROUPS.includes(mode)) throw new Error(`Invalid INSIGHTS_KPI_GROUP: ${mode} (use ${KPI_GROUPS.join(", ")})`);
+  return (r) => `${mode === "brand" ? r.brand : ""}|${byDate ? r.date : ""}`;
+}
+
+// Kennzahlen + Median + Perzentilrang an jede Zeile hängen (in place, Spalten je Kennzahl zusammen)
+export function addKpis(rows, groupOf = () => "") {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = groupOf(r) ?? "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  for (const group of groups.values()) {
+    const cols = group.map(() => ({}));
+    for (const k of KPIS) {
+      const values = group.map((r) => rawValue(k, r));
+      const sorted = values.filter((v) => v != null).sort((a, b) => a - b);
+      const med    = sorted.length ? round(median(sorted), k.digits) : null;
+
+      values.forEach((v, i) => {
+        cols[i][k.field]             = v == null ? null : round(v, k.digits);
+        cols[i][`${k.field}_median`] = med;
+        cols[i][`${k.field}_prank`]  = v == null ? null : percentileRank(sorted, v);
+      });
+    }
+    group.forEach((r, i) => Object.assign(r, cols[i]));
+  }
+  return rows;
+}
@@ -0,0 +1,149 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import Papa from "papaparse";
+
+// -------------------- Standort-Registry --------------------
+// Eine Datei für alle Skripte: config/locations.json (oder LOCATION_REGISTRY_FILE, auch .csv)
+//
+// JSON: { version: 1, locations: [{ storeCode, name, brand, titles: [...], region, manager, email, skip, opened }] }
+// CSV:  Kopfzeile storeCode,name,brand,titles,region,manager,email,skip,opened (titles mit "|" getrennt)
+//
+// Zuordnung einer GBP-Location: zuerst storeCode, sonst exakter Titel (titles = Aliase,
+// für Locations ohne NTST-Code). skip: true → in Insights-Reports übersprungen.
+// `npm run gbp:locations:check` vergleicht die Registry mit dem Account.
+
+export const DEFAULT_LOCATION_REGISTRY_FILE = new URL("../../config/locations.json", import.meta.url);
+
+const REGISTRY_VERSION = 1;
+
+function str(v) {
+  const s = (v ?? "").toString().trim();
+  return s || null;
+}
+
+function readEntries(file) {
+  const raw = fs.readFileSync(file, "utf-8").replace(/^\uFEFF/, "");
+
+  if (String(file).toLowerCase().endsWith(".csv")) {
+    const parsed = Papa.parse(raw, { header: true, skipEmptyLines: true });
+    if (parsed.errors.length) throw new Error(parsed.errors[0].message);
+    return parsed.data.map((r) => ({
+      ...r,
+      titles: (r.titles || "").split("|"),
+      skip: ["1", "true", "ja", "x"].includes((r.skip || "").trim().toLowerCase()),
+    }));
+  }
+
+  const j = JSON.parse(raw);
+  if (j?.version !== REGISTRY_VERSION) throw new Error(`unsupported version: ${j?.version}`);
+  if (!Array.isArray(j.locations)) throw new Error(`missing "locations" array`);
+  return j.locations;
+}
+
+export function loadLocationRegistry(file = process.env.LOCATION_REGISTRY_FILE || DEFAULT_LOCATION_REGISTRY_FILE) {
+  let rows;
+  try {
+    rows = readEntries(file);
+  } catch (e) {
+    throw new Error(`Location registry ${file}: ${e.message}`);
+  }
+
+  const entries = rows.map((r) => ({
+    storeCode: str(r.storeCode),
+    name: str(r.name),
+    brand: str(r.brand),
+    titles: (r.titles || []).map(str).filter(Boolean),
+    region: str(r.region),
+    manager: str(r.manager),
+    email: str(r.email),
+    skip: r.skip === true,
+    opened: str(r.opened),
+  }));
+
+  const byStoreCode = new Map();
+  const byTitle = new Map();
+  for (const e of entries) {
+    if (!e.storeCode && !e.titles.length) throw new Error(`Location registry ${file}: entry without storeCode and titles`);
+    if (e.storeCode) {
+      if (byStoreCode.has(e.storeCode)) throw new Error(`Location registry ${file}: duplicate storeCode ${e.storeCode}`);
+      byStoreCode.set(e.storeCode, e);
+    }
+    for (const t of e.titles) {
+      if (byTitle.has(t)) throw new Error(`Location registry ${file}: duplicate title "${t}"`);
+      byTitle.set(t, e);
+    }
+  }
+
+  return { file: String(file), entries, byStoreCode, byTitle };
+}
+
+// → { entry, standort, brand, region, manager, manager_email, opened, skip }
+// brand: null → Marke des Accounts (lib/accounts.js)
+// standort fällt auf Titel bzw. storeCode zurück, wenn die Location (noch) nicht in der Registry steht
+export function resolveLocation(registry, { storeCode, title }) {
+  const byCode = storeCode ? registry.byStoreCode.get(storeCode) : null;
+  const byTitle = title ? registry.byTitle.get(title) : null;
+  const entry = byCode || byTitle || null;
+
+  return {
+    entry,
+    standort: entry?.name || title || storeCode || null,
+    brand: entry?.brand || null,
+    region: entry?.region || null,
+    manager: entry?.manager || null,
+    manager_email: entry?.email || null,
+    opened: entry?.opened || null,
+    skip: !!(entry?.skip || byTitle?.skip),
+  };
+}
+
+// Abgleich mit listLocations:
+//   unmapped → Location im Account ohne Registry-Eintrag
+//   renamed  → per storeCode gefunden, aber der Titel steht nicht in titles (nur wenn titles gepflegt)
+//   untitled → per storeCode gefunden, titles leer (Titel kann mit --write übernommen werden)
+//   missing  → Registry-Eintrag ohne Location im Account
+export function checkLocationRegistry(registry, locations) {
+  const seen = new Set();
+  const unmapped = [];
+  const renamed = [];
+  const untitled = [];
+
+  for (const loc of locations) {
+    const locationId = (loc.name || "").split("/").pop();
+    const storeCode = str(loc.storeCode);
+    const title = str(loc.title);
+
+    const byCode = storeCode ? registry.byStoreCode.get(storeCode) : null;
+    const byTitle = title ? registry.byTitle.get(title) : null;
+    const entry = byCode || byTitle;
+
+    if (!entry) {
+      unmapped.push({ locationId, storeCode, title });
+      continue;
+    }
+    seen.add(entry);
+    if (byTitle) seen.add(byTitle);
+
+    if (byCode && title && !byCode.titles.includes(title)) {
+      if (byCode.titles.length) renamed.push({ locationId, storeCode, name: byCode.name, title, known: byCode.titles });
+      else untitled.push({ locationId, storeCode, name: byCode.name, title });
+    }
+  }
+
+  const missing = registry.entries.filter((e) => !seen.has(e));
+  return { unmapped, renamed, untitled, missing };
+}
+
+// Schreibt die Registry zurück (nur JSON; Reihenfolge und Felder bleiben erhalten, ein Eintrag je Zeile)
+export function saveLocationRegistry(file, registry) {
+  if (String(file).toLowerCase().endsWith(".csv")) throw new Error(`Location registry ${file}: --write supports JSON only`);
+
+  const value = (v) => (Array.isArray(v) ? `[${v.map((x) => JSON.stringify(x)).join(", ")}]` : JSON.stringify(v));
+  const line = (e) => `    {${Object.entries(e).map(([k, v]) => `${JSON.stringify(k)}: ${value(v)}`).join(", ")}}`;
+  const body = `{\n  "version": ${REGISTRY_VERSION},\n  "locations": [\n${registry.entries.map(line).join(",\n")}\n  ]\n}\n`;
+
+  const target = file instanceof URL ? fileURLToPath(file) : file;
+  const tmp = `${target}.tmp`;
+  fs.writeFileSync(tmp, body, "utf-8");
+  fs.renameSync(tmp, target);
+}
@@ -0,0 +1,125 @@
+// -------------------- Performance API (Tageswerte je Metrik) --------------------
+// Alle Metriken eines Standorts und Zeitraums in einem Request (fetchMultiDailyMetricsTimeSeries).
+// Schlägt der fehl, kommen die Metriken einzeln (getDailyMetricsTimeSeries); dort ist eine
+// Metrik ohne Berechtigung (403) kein Fehler für den ganzen Standort.
+//
+// Ergebnis: { [metric]: { "YYYY-MM-DD": Zahl } | null } – null = Google hat die Metrik nicht geliefert
+// (403, fehlt in der Antwort); anders als {} heißt das nicht "keine Werte im Zeitraum".
+
+const BASE_URL = "https://businessprofileperformance.googleapis.com/v1/locations";
+
+function rangeParams(startDt, endDt) {
+  return {
+    "dailyRange.startDate.year":  String(startDt.year),
+    "dailyRange.startDate.month": String(startDt.month),
+    "dailyRange.startDate.day":   String(startDt.day),
+    "dailyRange.endDate.year":    String(endDt.year),
+    "dailyRange.endDate.month":   String(endDt.month),
+    "dailyRange.endDate.day":     String(endDt.day),
+  };
+}
+
+function toDateMap(datedValues) {
+  const map = {};
+  for (const d of datedValues || []) {
+    const { year, month, day } = d.date;
+    map[`${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`] = Number(d.value) || 0;
+  }
+  return map;
+}
+
+async function fetchMulti(gbp, account, locationId, metrics, startDt, endDt) {
+  const j = await gbp.getJson(account, `${BASE_URL}/${locationId}:fetchMultiDailyMetricsTimeSeries`, {
+    params: { dailyMetrics: metrics, ...rangeParams(startDt, endDt) },
+  });
+
+  const out = Object.fromEntries(metrics.map((m) => [m, null]));
+  for (const multi of j?.multiDailyMetricTimeSeries || []) {
+    for (const series of multi.dailyMetricTimeSeries || []) {
+      if (!(series.dailyMetric in out)) continue;
+      out[series.dailyMetric] = { ...out[series.dailyMetric], ...toDateMap(series.timeSeries?.datedValues) };
+    }
+  }
+  return out;
+}
+
+async function fetchSingle(gbp, account, locationId, metrics, startDt, endDt) {
+  const out = {};
+  for (const metric of metrics) {
+    try {
+      const j = await gbp.getJson(account, `${BASE_URL}/${locationId}:getDailyMetricsTimeSeries`, {
+        params: { dailyMetric: metric, ...rangeParams(startDt, endDt) },
+      });
+      out[metric] = toDateMap(j?.timeSeries?.datedValues);
+    } catch (e) {
+      if (e.status !== 403) throw e;
+      out[metric] = null;
+    }
+  }
+  return out;
+}
+
+// gbp = createGbpClient(); log bekommt den Grund, wenn auf Einzel-Requests umgestellt wird
+export async function fetchDailyMetrics(gbp, account, locationId, metrics, startDt, endDt, { log = console.warn } = {}) {
+  try {
+    return await fetchMulti(gbp, account, locationId, metrics, startDt, endDt);
+  } catch (e) {
+    log(`    fetchMultiDailyMetricsTimeSeries ${locationId}: ${e.status ? `HTTP ${e.status}` : e.message} – Metriken einzeln`);
+  }
+  return fetchSingle(gbp, account, locationId, metrics, startDt, endDt);
+}
+
+// -------------------- Suchbegriffe (searchkeywords/impressions/monthly) --------------------
+// Impressionen je Suchbegriff, summiert über die Monate startMonth..endMonth (DateTime, Monat zählt).
+// Google liefert kleine Werte nur als Schwelle: insightsValue.threshold = "weniger als N".
+//
+// Ergebnis: [{ keyword, impressions: Zahl | null, threshold: Zahl | null }]
+
+function monthParams(startDt, endDt) {
+  return {
+    "monthlyRange.startMonth.year":  String(startDt.year),
+    "monthlyRange.startMonth.month": String(startDt.month),
+    "monthlyRange.endMonth.year":    String(endDt.year),
+    "monthlyRange.endMonth.month":   String(endDt.month),
+  };
+}
+
+export async function fetchSearchKeywords(gbp, account, locationId, startDt, endDt) {
+  const out = [];
+  let pageToken = "";
+  do {
+    const j = await gbp.getJson(account, `${BASE_URL}/${locationId}/searchkeywords/impressions/monthly`, {
+      params: { ...monthParams(startDt, endDt), pageSize: "100", pageToken },
+    });
+    for (const k of j?.searchKeywordsCounts || []) {
+      const v = k.insightsValue || {};
+      out.push({
+        keyword:     (k.searchKeyword || "").trim(),
+        impressions: v.value != null ? Number(v.value) || 0 : null,
+        threshold:   v.threshold != null ? Number(v.threshold) || 0 : null,
+      });
+    }
+    pageToken = j?.nextPageToken || "";
+  } while (pageToken);
+  return out;
+}
+
+// -------------------- Optionale Metriken --------------------
+// INSIGHTS_EXTRA_METRICS (komma-getrennt), z. B. BUSINESS_BOOKINGS,BUSINESS_CONVERSATIONS
+// Jede gesetzte Metrik kommt als eigene Spalte dazu und zählt zu actions; ohne Variable bleibt
+// die Ausgabe wie bisher. field = Spalte lowercase, column = kapitalisiert (locationByDates), label = Slack/Teams
+export const OPTIONAL_METRICS = [
+  { metric: "BUSINESS_BOOKINGS",         field: "actions_bookings",         column: "Actions Bookings",         label: "Buchungen" },
+  { metric: "BUSINESS_CONVERSATIONS",    field: "actions_conversations",    column: "Actions Conversations",    label: "Nachrichten" },
+  { metric: "BUSINESS_FOOD_ORDERS",      field: "actions_food_orders",      column: "Actions Food Orders",      label: "Bestellungen" },
+  { metric: "BUSINESS_FOOD_MENU_CLICKS", field: "actions_food_menu_clicks", column: "Actions Food Menu Clicks", label: "Speisekarte" },
+];
+
+export function getOptionalMetrics(env = process.env) {
+  const names   = (env.INSIGHTS_EXTRA_METRICS || "").split(/[\s,]+/).map((s) => s.trim().toUpperCase()).filter(Boolean);
+  const unknown = names.filter((n) => !OPTIONAL_METRICS.some((m) => m.metric === n));
+  if (unknown.length) {
+    throw new Error(`Unknown INSIGHTS_EXTRA_METRICS: ${unknown.join(", ")} (known: ${OPTIONAL_METRICS.map((m) => m.metric).join(", ")})`);
+  }
+  return OPTIONAL_METRICS.filter((m) => names.includes(m.metric));
+}
@@ -0,0 +1,90 @@
+import { DateTime } from "luxon";
+
+// -------------------- Vergleichszeitraum (insights daily/weekly/monthly) --------------------
+// --compare bzw. INSIGHTS_COMPARE:
+//   previous                (Standard) gleich lang direkt davor; ganze Kalendermonate → die Monate davor
+//   yoy                     Vorjahr wochentaggleich: 52 Wochen (364 Tage) früher, Montag bleibt Montag
+//   YYYY-MM-DD..YYYY-MM-DD  eigener Referenzzeitraum
+//
+// Tage werden über den Abstand zum Periodenbeginn gepaart (Tag n ↔ Tag n des Vergleichs), nicht über
+// ihre Position in der Liste: fehlt ein Tag, bleiben die übrigen Paare richtig. Vergleichstage ohne
+// Daten oder außerhalb eines kürzeren Referenzzeitraums → leere prev_/delta_-Werte statt 0.
+
+export const COMPARE_MODES = ["previous", "yoy"];
+
+const NAMES = { previous: "Vorperiode", yoy: "Vorjahr", custom: "Vergleich" };
+
+function argValue(argv, name) {
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith(`--${name}=`)) return a.slice(name.length + 3);
+    if (a === `--${name}` && argv[i + 1] && !argv[i + 1].startsWith("--")) return argv[i + 1];
+  }
+  return null;
+}
+
+// Anzahl ganzer Kalendermonate, wenn start..end genau auf Monatsgrenzen liegt, sonst 0
+function fullMonths(start, end) {
+  if (start.day !== 1 || end.plus({ days: 1 }).day !== 1) return 0;
+  return (end.year * 12 + end.month) - (start.year * 12 + start.month) + 1;
+}
+
+function range(mode, start, end, curStart) {
+  return {
+    mode,
+    name:       NAMES[mode],
+    start,
+    end,
+    offsetDays: Math.round(curStart.diff(start, "days").days),
+    label:      `${start.toISODate()} – ${end.toISODate()}`,
+  };
+}
+
+// curStart/curEnd: aktueller Zeitraum (Tage zählen, Uhrzeit egal)
+// → { mode, name, start, end, offsetDays, label }
+export function getCompareRange(curStart, curEnd, zone, { argv = process.argv.slice(2), env = process.env } = {}) {
+  const spec  = (argValue(argv, "compare") || env.INSIGHTS_COMPARE || "").trim().toLowerCase() || "previous";
+  const start = curStart.startOf("day");
+  const end   = curEnd.startOf("day");
+
+  if (spec === "previous") {
+    const months = fullMonths(start, end);
+    const days   = Math.round(end.diff(start, "days").days) + 1;
+    return range("previous", months ? start.minus({ months }) : start.minus({ days }), start.minus({ days: 1 }), start);
+  }
+  if (spec === "yoy") return range("yoy", start.minus({ weeks: 52 }), end.minus({ weeks: 52 }), start);
+
+  const m = spec.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+  const from = m && DateTime.fromISO(m[1], { zone });
+  const to   = m && DateTime.fromISO(m[2], { zone });
+  if (!from?.isValid || !to?.isValid) {
+    throw new Error(`Invalid --compare: ${spec} (use ${COMPARE_MODES.join(", ")} or YYYY-MM-DD..YYYY-MM-DD)`);
+  }
+  if (to < from) throw new Error(`Invalid --compare: ${spec} (end before start)`);
+  return range("custom", from.startOf("day"), to.startOf("day"), start);
+}
+
+// Vergleichstag zu einem Tag des aktuellen Zeitraums; null außerhalb des Referenzzeitraums
+export function compareDate(cmp, isoDate) {
+  const d = DateTime.fromISO(isoDate, { zone: cmp.start.zone }).minus({ days: cmp.offsetDays });
+  return d >= cmp.start && d <= cmp.end ? d.toISODate() : null;
+}
+
+// { prev_x…, delta_x…, delta_pct_x… } je Feld; prev = null (keine Vergleichsdaten) → alles leer,
+// delta_pct bei Vergleichswert 0 ebenfalls leer
+export function compareFields(cur, prev, fields) {
+  const out = {};
+  for (const f of fields) out[`prev_${f}`] = prev ? prev[f] || 0 : null;
+  for (const f of fields) out[`delta_${f}`] = prev ? (cur[f] || 0) - (prev[f] || 0) : null;
+  for (const f of fields) {
+    out[`delta_pct_${f}`] = prev?.[f] ? Math.round((((cur[f] || 0) - prev[f]) / prev[f]) * 1000) / 10 : null;
+  }
+  return out;
+}
+
+// Summe der prev_*-Spalten über Zeilen mit Vergleichsdaten; null, wenn keine Zeile welche hat
+export function sumCompare(rows, fields) {
+  const withPrev = rows.filter((r) => r[`prev_${fields[0]}`] != null);
+  if (!withPrev.length) return null;
+  return Object.fromEntries(fields.map((f) => [f, withPrev.reduce((s, r) => s + (r[`prev_${f}`] || 0), 0)]));
+}
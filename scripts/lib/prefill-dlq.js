@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+
+// -------------------- Prefill Dead-Letter-Queue --------------------
+// Fehlgeschlagene Prefill-Calls landen mit dem kompletten Payload (wie für
+// createPrefillRid) in einer JSON-Datei. `gbp:prefill-retry` spielt sie später nach.
+//
+// {
+//   version: 1,
+//   entries: { [reviewId]: { reviewId, job, payload, error, attempts,
+//                            first_failed_at, last_failed_at, rid } },
+// }
+//
+// `rid` ist gesetzt, wenn die RID schon erzeugt wurde, aber das Update an Make
+// noch aussteht – dann wird beim nächsten Retry nur der Webhook wiederholt.
+
+const DLQ_VERSION = 1;
+
+export const DEFAULT_DLQ_FILE = ".gbp-state/prefill-dlq.json";
+
+function emptyDlq() {
+  return { version: DLQ_VERSION, entries: {} };
+}
+
+export function loadDlq(file = DEFAULT_DLQ_FILE) {
+  if (!file || !fs.existsSync(file)) return emptyDlq();
+
+  let j;
+  try {
+    j = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`Prefill DLQ ${file} is not valid JSON: ${e.message}`);
+  }
+  if (j?.version !== DLQ_VERSION) {
+    throw new Error(`Prefill DLQ ${file} has unsupported version: ${j?.version}`);
+  }
+  return { ...emptyDlq(), ...j };
+}
+
+// Atomar schreiben (tmp + rename)
+export function saveDlq(file, dlq) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(dlq, null, 2), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+// Neuer Fehlschlag: der aktuellste Payload gewinnt, Zähler und erster Fehlzeitpunkt bleiben
+export function deadLetter(dlq, { reviewId, job, payload, error }) {
+  const now = new Date().toISOString();
+  const prev = dlq.entries[reviewId];
+  dlq.entries[reviewId] = {
+    reviewId,
+    job,
+    payload,
+    error,
+    attempts: (prev?.attempts || 0) + 1,
+    first_failed_at: prev?.first_failed_at || now,
+    last_failed_at: now,
+    rid: null,
+  };
+}
+
+// Review hat inzwischen eine RID (z. B. aus einem späteren regulären Lauf):
+// nicht neu erzeugen, beim nächsten Retry nur noch das Update an Make schicken
+export function attachRid(dlq, reviewId, rid) {
+  const entry = dlq.entries[reviewId];
+  if (!entry || entry.rid) return false;
+  entry.rid = rid;
+  return true;
+}
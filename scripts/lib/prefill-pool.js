@@ -0,0 +1,265 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { requestWithRetry, getJson } from "./gbp-client.js";
+import { loadDlq, saveDlq, deadLetter, attachRid } from "./prefill-dlq.js";
+
+// -------------------- Prefill: RID-Cache + Worker-Pool --------------------
+// RID-Cache (JSON, Key: reviewId): unveränderte Reviews behalten ihre RID und damit
+// ihre smart_reply_url. Geänderter Inhalt (Text, Rating, Übersetzung …) → neue RID.
+//
+// {
+//   version: 1,
+//   reviews: { [reviewId]: { hash, rid, created_at } },
+// }
+//
+// Neue RIDs laufen über einen eigenen, global begrenzten Pool (unabhängig von der
+// Location-CONCURRENCY): max. `concurrency` Requests gleichzeitig und mindestens
+// `minIntervalMs` zwischen zwei Starts. Bietet der Server einen Batch-Endpoint an,
+// gehen die Reviews in Paketen zu `batchSize` raus.
+
+const CACHE_VERSION = 1;
+
+export const DEFAULT_RID_CACHE_FILE = ".gbp-state/prefill-rids.json";
+
+// Felder, die den Antwortvorschlag beeinflussen
+const HASH_FIELDS = ["review", "rating", "reviewer", "language", "review_translated", "locationId", "storeCode"];
+
+function emptyCache() {
+  return { version: CACHE_VERSION, reviews: {} };
+}
+
+export function loadRidCache(file = DEFAULT_RID_CACHE_FILE) {
+  if (!file || !fs.existsSync(file)) return emptyCache();
+
+  let j;
+  try {
+    j = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`Prefill RID cache ${file} is not valid JSON: ${e.message}`);
+  }
+  if (j?.version !== CACHE_VERSION) {
+    throw new Error(`Prefill RID cache ${file} has unsupported version: ${j?.version}`);
+  }
+  return { ...emptyCache(), ...j };
+}
+
+// Atomar schreiben (tmp + rename); Einträge älter als maxAgeDays fliegen raus
+export function saveRidCache(file, cache, { maxAgeDays = 180 } = {}) {
+  const cutoff = Date.now() - maxAgeDays * 24 * 3600 * 1000;
+  const reviews = Object.fromEntries(
+    Object.entries(cache.reviews).filter(([, e]) => Date.parse(e.created_at) >= cutoff)
+  );
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...cache, reviews }), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+export function prefillContentHash(payload) {
+  const parts = HASH_FIELDS.map((k) => `${k}=${payload[k] ?? ""}`).join("\n");
+  return crypto.createHash("sha256").update(parts).digest("hex").slice(0, 32);
+}
+
+// Startet fn(item) für alle items mit max. `limit` parallel und ≥ minIntervalMs zwischen den Starts
+async function ratePool(limit, minIntervalMs, items, fn) {
+  let next = 0;
+  let nextStartAt = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const item = items[next++];
+      const wait = nextStartAt - Date.now();
+      nextStartAt = Math.max(Date.now(), nextStartAt) + minIntervalMs;
+      if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+      await fn(item);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+}
+
+// requests: [{ reviewId, payload }]
+// single:   (payload) => rid                       (wirft bei Fehler)
+// batch:    (payloads) => [{ rid } | { error }]    (gleiche Reihenfolge; null → kein Batch-Support)
+// → Map reviewId → { rid, error, cached }
+export async function resolvePrefillRids(requests, {
+  single,
+  batch = null,
+  batchSize = 25,
+  concurrency = 3,
+  minIntervalMs = 60,
+  cache = null,
+} = {}) {
+  const out = new Map();
+  const todo = [];
+
+  for (const req of requests) {
+    const hash = prefillContentHash(req.payload);
+    const hit = cache?.reviews[req.reviewId];
+    if (hit && hit.hash === hash && hit.rid) {
+      out.set(req.reviewId, { rid: hit.rid, error: null, cached: true });
+    } else {
+      todo.push({ ...req, hash });
+    }
+  }
+
+  const remember = (req, rid) => {
+    out.set(req.reviewId, { rid, error: null, cached: false });
+    if (cache) cache.reviews[req.reviewId] = { hash: req.hash, rid, created_at: new Date().toISOString() };
+  };
+  const fail = (req, e) => out.set(req.reviewId, { rid: null, error: e?.message || String(e), cached: false });
+
+  const units = batch && todo.length > 1
+    ? Array.from({ length: Math.ceil(todo.length / batchSize) }, (_, i) => todo.slice(i * batchSize, (i + 1) * batchSize))
+    : todo.map((r) => [r]);
+
+  await ratePool(concurrency, minIntervalMs, units, async (unit) => {
+    if (unit.length === 1) {
+      try {
+        remember(unit[0], await single(unit[0].payload));
+      } catch (e) {
+        fail(unit[0], e);
+      }
+      return;
+    }
+
+    let results;
+    try {
+      results = await batch(unit.map((r) => r.payload));
+    } catch (e) {
+      for (const req of unit) fail(req, e);
+      return;
+    }
+    unit.forEach((req, i) => {
+      const r = results[i];
+      if (r?.rid) remember(req, r.rid);
+      else fail(req, new Error(r?.error || "Prefill batch result missing rid"));
+    });
+  });
+
+  return out;
+}
+
+// -------------------- Prefill API (Daily, Tagging, Retry) --------------------
+// env: ENV-Objekt des Jobs – PREFILL_API_URL, PREFILL_SECRET, PREFILL_BATCH, PREFILL_BATCH_SIZE,
+// PREFILL_CONCURRENCY, PREFILL_MIN_INTERVAL_MS, PREFILL_RID_CACHE_FILE, PREFILL_DLQ_FILE, PUBLIC_APP_URL
+
+function mustEnv(env, key) {
+  if (!env[key]) throw new Error(`Missing env: ${key}`);
+  return env[key];
+}
+
+export async function createPrefillRid(env, payload) {
+  mustEnv(env, "PREFILL_API_URL");
+  mustEnv(env, "PREFILL_SECRET");
+
+  const res = await requestWithRetry(env.PREFILL_API_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Prefill-Secret": env.PREFILL_SECRET,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const txt = await res.text();
+  if (!res.ok) throw new Error(`Prefill error ${res.status}: ${txt}`);
+
+  const j = JSON.parse(txt);
+  if (!j.rid) throw new Error(`Prefill response missing rid: ${txt}`);
+  return j.rid;
+}
+
+// Batch-Endpoint nur, wenn der Server ihn unter <PREFILL_API_URL>/capabilities anbietet:
+// { "batch_url": "/api/prefill/batch", "batch_max": 50 }
+async function getPrefillCapabilities(env) {
+  if (env.PREFILL_BATCH === "0") return null;
+  try {
+    const j = await getJson(`${env.PREFILL_API_URL.replace(/\/$/, "")}/capabilities`, {
+      headers: { "X-Prefill-Secret": env.PREFILL_SECRET },
+    });
+    if (!j?.batch_url) return null;
+    return {
+      url: new URL(j.batch_url, env.PREFILL_API_URL).toString(),
+      max: Math.min(Number(j.batch_max) || env.PREFILL_BATCH_SIZE, env.PREFILL_BATCH_SIZE),
+    };
+  } catch {
+    return null;
+  }
+}
+
+// POST { items: [payload] } → { results: [{ rid } | { error }] } (gleiche Reihenfolge)
+async function createPrefillRidBatch(env, batchUrl, payloads) {
+  const res = await requestWithRetry(batchUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Prefill-Secret": env.PREFILL_SECRET,
+    },
+    body: JSON.stringify({ items: payloads }),
+  });
+
+  const txt = await res.text();
+  if (!res.ok) throw new Error(`Prefill batch error ${res.status}: ${txt}`);
+
+  const j = JSON.parse(txt);
+  if (!Array.isArray(j.results) || j.results.length !== payloads.length) {
+    throw new Error(`Prefill batch returned ${j.results?.length ?? "no"} results for ${payloads.length} items`);
+  }
+  return j.results;
+}
+
+// Setzt prefill_rid / smart_reply_url / prefill_error auf den Items der Queue ([{ item, payload }]);
+// Fehler landen mit job in der DLQ
+export async function applyPrefill(prefillQueue, { env, job, dryRun = false }) {
+  if (!prefillQueue.length) return;
+  if (dryRun) {
+    console.log(`prefill: skipped for ${prefillQueue.length} item(s) (dry run)`);
+    return;
+  }
+
+  const cache = loadRidCache(env.PREFILL_RID_CACHE_FILE);
+  const caps = await getPrefillCapabilities(env);
+
+  const results = await resolvePrefillRids(
+    prefillQueue.map(({ item, payload }) => ({ reviewId: item.reviewId, payload })),
+    {
+      single: (payload) => createPrefillRid(env, payload),
+      batch: caps ? (payloads) => createPrefillRidBatch(env, caps.url, payloads) : null,
+      batchSize: caps?.max,
+      concurrency: env.PREFILL_CONCURRENCY,
+      minIntervalMs: env.PREFILL_MIN_INTERVAL_MS,
+      cache,
+    }
+  );
+
+  const dlq = loadDlq(env.PREFILL_DLQ_FILE);
+  let dlqChanged = false;
+
+  let cached = 0;
+  let failed = 0;
+  for (const { item, payload } of prefillQueue) {
+    const r = results.get(item.reviewId);
+    if (r.cached) cached++;
+    if (r.error) {
+      failed++;
+      deadLetter(dlq, { reviewId: item.reviewId, job, payload, error: r.error });
+      dlqChanged = true;
+    } else if (attachRid(dlq, item.reviewId, r.rid)) {
+      dlqChanged = true;
+    }
+    item.prefill_rid = r.rid || null;
+    item.smart_reply_url = r.rid ? `${env.PUBLIC_APP_URL.replace(/\/$/, "")}/?rid=${r.rid}` : null;
+    item.prefill_error = r.error || null;
+  }
+
+  saveRidCache(env.PREFILL_RID_CACHE_FILE, cache);
+  if (dlqChanged) saveDlq(env.PREFILL_DLQ_FILE, dlq);
+  console.log(
+    `✓ prefill: ${prefillQueue.length - cached - failed} new, ${cached} cached, ${failed} failed` +
+      (caps ? ` (batch ${caps.max})` : "") +
+      (failed ? ` → DLQ ${env.PREFILL_DLQ_FILE}` : "")
+  );
+}
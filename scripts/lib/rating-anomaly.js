@@ -0,0 +1,146 @@
+// -------------------- Rating-Anomalien je Standort --------------------
+// Baseline: Reviews im Zeitraum [now - baselineDays - window, now - window) je Store
+//   → Ø Rating, Anteil 1–2 Sterne, Reviews/negative Reviews pro Stunde
+// Aktuelles Fenster (z. B. 48h, 7 Tage) wird dagegen getestet:
+//   negative_spike  P(X ≥ beobachtet | Poisson(erwartet)) < pValue und ≥ minNegatives
+//   rating_drop     Ø Rating im Fenster ≤ Baseline − ratingDrop (bei ≥ minReviews Reviews)
+
+export const ANOMALY_DEFAULTS = {
+  baselineDays: 90,
+  windowsHours: [48, 168],
+  pValue: 0.01,
+  minNegatives: 3,
+  minReviews: 3,
+  ratingDrop: 1.0,
+};
+
+// Glättung: ohne negative Reviews in der Baseline trotzdem eine kleine Erwartung annehmen
+const PRIOR_NEGATIVES = 0.5;
+
+const HOUR_MS = 3600 * 1000;
+
+// P(X ≥ k) für X ~ Poisson(lambda)
+export function poissonTail(k, lambda) {
+  if (k <= 0) return 1;
+  let term = Math.exp(-lambda);
+  let cdf = term;
+  for (let i = 1; i < k; i++) {
+    term *= lambda / i;
+    cdf += term;
+  }
+  return Math.max(0, 1 - cdf);
+}
+
+function round(n, d = 2) {
+  const f = Math.pow(10, d);
+  return Math.round(n * f) / f;
+}
+
+function stats(list) {
+  const rated = list.filter((r) => r.rating);
+  const negatives = rated.filter((r) => r.rating <= 2).length;
+  return {
+    reviews: list.length,
+    negatives,
+    avg_rating: rated.length ? round(rated.reduce((s, r) => s + r.rating, 0) / rated.length) : null,
+    negative_share: rated.length ? round(negatives / rated.length, 3) : null,
+  };
+}
+
+function windowLabel(hours) {
+  return hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+}
+
+// reviews: [{ storeCode, locationTitle, locationId, reviewId, rating, createTime, reviewer, comment }]
+// now:     Date/Millis
+// → [{ alert_id, storeCode, locationTitle, kind, window, observed, expected, p_value, baseline, recent, reviews }]
+export function detectRatingAnomalies(reviews, now, opts = {}) {
+  const o = { ...ANOMALY_DEFAULTS, ...opts };
+  const nowMs = typeof now === "number" ? now : now.valueOf();
+
+  const byStore = new Map();
+  for (const r of reviews) {
+    if (!r.createTime) continue;
+    const key = r.locationId || r.storeCode;
+    if (!byStore.has(key)) byStore.set(key, []);
+    byStore.get(key).push({ ...r, ts: Date.parse(r.createTime) });
+  }
+
+  const alerts = [];
+
+  for (const list of byStore.values()) {
+    const { storeCode, locationTitle, locationId } = list[0];
+    // Hat das kürzere Fenster schon angeschlagen, meldet das längere dieselbe Art nicht nochmal
+    const fired = new Set();
+
+    for (const hours of [...o.windowsHours].sort((a, b) => a - b)) {
+      const windowStart = nowMs - hours * HOUR_MS;
+      const baseStart   = windowStart - o.baselineDays * 24 * HOUR_MS;
+
+      const recentList = list.filter((r) => r.ts >= windowStart && r.ts <= nowMs);
+      if (!recentList.length) continue;
+
+      const baseList = list.filter((r) => r.ts >= baseStart && r.ts < windowStart);
+      const baseline = stats(baseList);
+      const recent   = stats(recentList);
+      const baseHours = o.baselineDays * 24;
+
+      const negRate  = (baseline.negatives || PRIOR_NEGATIVES) / baseHours;
+      const expected = negRate * hours;
+      const window   = windowLabel(hours);
+
+      const strip = ({ ts, ...r }) => r;
+      const baselineOut = {
+        ...baseline,
+        days: o.baselineDays,
+        negatives_per_30d: round(negRate * 24 * 30),
+        reviews_per_30d: round((baseline.reviews / baseHours) * 24 * 30),
+      };
+
+      if (!fired.has("negative_spike") && recent.negatives >= o.minNegatives) {
+        const p = poissonTail(recent.negatives, expected);
+        if (p < o.pValue) {
+          fired.add("negative_spike");
+          const offending = recentList.filter((r) => r.rating && r.rating <= 2).sort((a, b) => a.ts - b.ts);
+          alerts.push({
+            alert_id: `${storeCode || locationId}|negative_spike|${window}|${offending[0].reviewId}`,
+            storeCode, locationTitle, locationId,
+            kind: "negative_spike",
+            window,
+            observed: recent.negatives,
+            expected: round(expected, 3),
+            p_value: Number(p.toPrecision(3)),
+            baseline: baselineOut,
+            recent,
+            reviews: offending.map(strip),
+          });
+        }
+      }
+
+      if (
+        !fired.has("rating_drop") &&
+        recent.avg_rating !== null &&
+        baseline.avg_rating !== null &&
+        recent.reviews >= o.minReviews &&
+        recent.avg_rating <= baseline.avg_rating - o.ratingDrop
+      ) {
+        fired.add("rating_drop");
+        const sorted = [...recentList].sort((a, b) => a.ts - b.ts);
+        alerts.push({
+          alert_id: `${storeCode || locationId}|rating_drop|${window}|${sorted[0].reviewId}`,
+          storeCode, locationTitle, locationId,
+          kind: "rating_drop",
+          window,
+          observed: recent.avg_rating,
+          expected: baseline.avg_rating,
+          p_value: null,
+          baseline: baselineOut,
+          recent,
+          reviews: sorted.map(strip),
+        });
+      }
+    }
+  }
+
+  return alerts.sort((a, b) => (a.p_value ?? 1) - (b.p_value ?? 1));
+}
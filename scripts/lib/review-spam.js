@@ -0,0 +1,135 @@
+import { fold, tokenize } from "./text.js";
+
+// -------------------- Fake/Spam-Erkennung (accountweit) --------------------
+// Signale je Review (Gewicht → Score 0–100, gedeckelt):
+//   burst          ≥ burstMin negative Reviews (≤ 2 Sterne) am selben Standort innerhalb burstHours
+//   cross_location derselbe Reviewer-Name an ≥ crossMin unserer Standorte
+//   duplicate_text nahezu identischer Text (Jaccard auf Wort-Bigrammen ≥ duplicateSimilarity)
+//   rating_only    negatives Rating ohne Kommentar
+
+export const SPAM_DEFAULTS = {
+  burstMin: 3,
+  burstHours: 48,
+  crossMin: 3,
+  duplicateSimilarity: 0.8,
+  duplicateMinChars: 20,
+};
+
+const WEIGHTS = { burst: 35, cross_location: 30, duplicate_text: 30, rating_only: 15 };
+
+// Platzhalternamen anonymer Reviewer sagen nichts über die Person aus
+const GENERIC_REVIEWERS = new Set(["", "a google user", "google user", "ein google-nutzer", "google-nutzer", "anonym", "anonymous"]);
+
+function normalizeName(name) {
+  return (name || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function shingles(text) {
+  const words = tokenize(fold(text)).map((t) => t.word);
+  if (words.length < 2) return new Set(words);
+  const out = new Set();
+  for (let i = 0; i < words.length - 1; i++) out.add(`${words[i]} ${words[i + 1]}`);
+  return out;
+}
+
+function jaccard(a, b) {
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  const union = a.size + b.size - inter;
+  return union ? inter / union : 0;
+}
+
+export function suspicionLevel(score) {
+  if (score >= 60) return "high";
+  if (score >= 35) return "medium";
+  if (score > 0) return "low";
+  return "none";
+}
+
+// reviews: [{ reviewId, locationId, storeCode, locationTitle, reviewer, isAnonymous, rating, comment, createTime }]
+// → gleiche Reihenfolge, ergänzt um { suspicion_score, suspicion_level, signals: [{ signal, evidence }] }
+export function scoreSuspicion(reviews, opts = {}) {
+  const o = { ...SPAM_DEFAULTS, ...opts };
+  const signals = new Map(reviews.map((r) => [r.reviewId, []]));
+  const add = (id, signal, evidence) => signals.get(id).push({ signal, evidence });
+
+  // --- burst: negative Reviews je Standort, Sliding Window ---
+  const negByLoc = new Map();
+  for (const r of reviews) {
+    if (!r.rating || r.rating > 2 || !r.createTime) continue;
+    if (!negByLoc.has(r.locationId)) negByLoc.set(r.locationId, []);
+    negByLoc.get(r.locationId).push(r);
+  }
+  const windowMs = o.burstHours * 3600 * 1000;
+  for (const list of negByLoc.values()) {
+    list.sort((a, b) => Date.parse(a.createTime) - Date.parse(b.createTime));
+    const flagged = new Set();
+    let lo = 0;
+    for (let hi = 0; hi < list.length; hi++) {
+      while (Date.parse(list[hi].createTime) - Date.parse(list[lo].createTime) > windowMs) lo++;
+      if (hi - lo + 1 < o.burstMin) continue;
+      const group = list.slice(lo, hi + 1);
+      for (const r of group) {
+        if (flagged.has(r.reviewId)) continue;
+        flagged.add(r.reviewId);
+        add(r.reviewId, "burst", {
+          negative_reviews: group.length,
+          window_hours: o.burstHours,
+          first: group[0].createTime,
+          last: group[group.length - 1].createTime,
+          review_ids: group.map((g) => g.reviewId),
+        });
+      }
+    }
+  }
+
+  // --- cross_location: gleicher Reviewer an mehreren Standorten ---
+  const byReviewer = new Map();
+  for (const r of reviews) {
+    const name = normalizeName(r.reviewer);
+    if (r.isAnonymous || GENERIC_REVIEWERS.has(name)) continue;
+    if (!byReviewer.has(name)) byReviewer.set(name, []);
+    byReviewer.get(name).push(r);
+  }
+  for (const list of byReviewer.values()) {
+    const locs = new Set(list.map((r) => r.locationId));
+    if (locs.size < o.crossMin) continue;
+    for (const r of list) {
+      add(r.reviewId, "cross_location", {
+        reviewer: r.reviewer,
+        locations: list.map((x) => ({ storeCode: x.storeCode, locationTitle: x.locationTitle, rating: x.rating, createTime: x.createTime })),
+      });
+    }
+  }
+
+  // --- duplicate_text: paarweiser Vergleich der Texte ---
+  const texts = reviews
+    .filter((r) => (r.comment || "").trim().length >= o.duplicateMinChars)
+    .map((r) => ({ r, sh: shingles(r.comment) }));
+  const dupes = new Map();
+  for (let i = 0; i < texts.length; i++) {
+    for (let j = i + 1; j < texts.length; j++) {
+      const a = texts[i];
+      const b = texts[j];
+      if (normalizeName(a.r.reviewer) === normalizeName(b.r.reviewer) && a.r.locationId === b.r.locationId) continue;
+      const sim = jaccard(a.sh, b.sh);
+      if (sim < o.duplicateSimilarity) continue;
+      for (const [x, y] of [[a.r, b.r], [b.r, a.r]]) {
+        if (!dupes.has(x.reviewId)) dupes.set(x.reviewId, []);
+        dupes.get(x.reviewId).push({ reviewId: y.reviewId, storeCode: y.storeCode, reviewer: y.reviewer, similarity: Math.round(sim * 100) / 100 });
+      }
+    }
+  }
+  for (const [id, matches] of dupes) add(id, "duplicate_text", { matches });
+
+  // --- rating_only ---
+  for (const r of reviews) {
+    if (r.rating && r.rating <= 2 && !(r.comment || "").trim()) add(r.reviewId, "rating_only", { rating: r.rating });
+  }
+
+  return reviews.map((r) => {
+    const s = signals.get(r.reviewId);
+    const score = Math.min(100, s.reduce((sum, x) => sum + WEIGHTS[x.signal], 0));
+    return { ...r, suspicion_score: score, suspicion_level: suspicionLevel(score), signals: s };
+  });
+}
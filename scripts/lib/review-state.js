@@ -0,0 +1,119 @@
+import fs from "fs";
+import path from "path";
+
+// -------------------- Review State Store --------------------
+// JSON-Datei mit allen bisher gesehenen Reviews (Key: reviewId), wird in GitHub
+// Actions per actions/cache zwischen den Läufen weitergereicht.
+//
+// {
+//   version: 1,
+//   updated_at: ISO,
+//   locations: { [locationId]: { watermark: ISO(updateTime), synced_at: ISO } },
+//   reviews:   { [reviewId]:   { locationId, updateTime, rating, comment, reply, … } },
+// }
+
+const STATE_VERSION = 1;
+
+export const EVENT_TYPES = ["created", "edited", "reply_changed", "deleted"];
+
+function emptyState() {
+  return { version: STATE_VERSION, updated_at: null, locations: {}, reviews: {} };
+}
+
+export function loadReviewState(file) {
+  if (!file || !fs.existsSync(file)) return emptyState();
+
+  const raw = fs.readFileSync(file, "utf-8");
+  let j;
+  try {
+    j = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Review state ${file} is not valid JSON: ${e.message}`);
+  }
+  if (j?.version !== STATE_VERSION) {
+    throw new Error(`Review state ${file} has unsupported version: ${j?.version}`);
+  }
+  return { ...emptyState(), ...j };
+}
+
+// Atomar schreiben (tmp + rename), damit ein abgebrochener Lauf den Cache nicht zerstört
+export function saveReviewState(file, state) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...state, updated_at: new Date().toISOString() }), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+export function locationWatermark(state, locationId) {
+  return state.locations[locationId]?.watermark || null;
+}
+
+export function knownReviewIds(state, locationId) {
+  const out = new Set();
+  for (const [id, s] of Object.entries(state.reviews)) {
+    if (s.locationId === locationId) out.add(id);
+  }
+  return out;
+}
+
+function sameReply(a, b) {
+  return (a.reply || null) === (b.reply || null) && (a.reply_update_time || null) === (b.reply_update_time || null);
+}
+
+// Vergleicht die aktuell gelieferten Reviews einer Location mit dem State,
+// aktualisiert den State in-place und gibt typisierte Events zurück.
+//
+// reviews:   rohe v4-Reviews (bei complete=false nur die zuletzt geänderten)
+// complete:  true, wenn die komplette Liste geholt wurde → fehlende = deleted
+// seedBefore: Reviews, die beim ersten Lauf einer Location älter sind, werden
+//            nur gespeichert (kein created-Event), damit der Cache-Aufbau Make nicht flutet
+// normalize: (rawReview) -> Snapshot { reviewId, updateTime, createTime, rating, comment, reply, … }
+export function diffLocationReviews(state, locationId, reviews, { complete = false, seedBefore = null, normalize }) {
+  const events = [];
+  const bootstrap = !state.locations[locationId];
+  const seen = new Set();
+  let watermark = locationWatermark(state, locationId);
+
+  for (const r of reviews) {
+    const cur = { ...normalize(r), locationId };
+    if (!cur.reviewId) continue;
+    seen.add(cur.reviewId);
+
+    if (cur.updateTime && (!watermark || Date.parse(cur.updateTime) > Date.parse(watermark))) watermark = cur.updateTime;
+
+    const prev = state.reviews[cur.reviewId];
+    state.reviews[cur.reviewId] = cur;
+
+    if (!prev) {
+      const seeded = bootstrap && seedBefore && cur.createTime && Date.parse(cur.createTime) < Date.parse(seedBefore);
+      if (!seeded) events.push({ type: "created", reviewId: cur.reviewId, review: r, current: cur, before: null });
+      continue;
+    }
+
+    if (prev.updateTime !== cur.updateTime && (prev.rating !== cur.rating || prev.comment !== cur.comment)) {
+      events.push({ type: "edited", reviewId: cur.reviewId, review: r, current: cur, before: prev });
+    }
+
+    if (!sameReply(prev, cur)) {
+      events.push({ type: "reply_changed", reviewId: cur.reviewId, review: r, current: cur, before: prev });
+    }
+  }
+
+  if (complete) {
+    for (const id of knownReviewIds(state, locationId)) {
+      if (seen.has(id)) continue;
+      const prev = state.reviews[id];
+      delete state.reviews[id];
+      events.push({ type: "deleted", reviewId: id, review: null, current: null, before: prev });
+    }
+  }
+
+  state.locations[locationId] = {
+    ...state.locations[locationId],
+    watermark,
+    synced_at: new Date().toISOString(),
+    ...(complete ? { full_synced_at: new Date().toISOString() } : {}),
+  };
+
+  return events;
+}
@@ -0,0 +1,127 @@
+import fs from "fs";
+import { fold, stem, tokenize, crossesClause } from "./text.js";
+
+// -------------------- Review Tagging (Keyword/Regex, offline) --------------------
+// Regeln: config/review-tags.de.json (oder REVIEW_TAG_RULES_FILE)
+//
+// {
+//   negations: ["nicht", "kein", …], negation_window: 3, snippet_chars: 40,
+//   tags: [{ tag, keywords: [...], negative_keywords: [...], patterns: ["regex", …] }]
+// }
+//
+// keywords          → werden gestemmt; Treffer auch als Kompositum-Ende ("Kundenparkplatz")
+// negative_keywords → drücken selbst die negative Form aus ("unfreundlich") → negated: true
+// patterns          → Regex auf dem normalisierten Text (lowercase, ohne Umlaute)
+// Steht ein Negationswort bis zu negation_window Wörter vor dem Treffer (gleicher Teilsatz:
+// kein Komma, Satzzeichen oder "aber"/"sondern"/"doch"/"jedoch" dazwischen),
+// wird negated umgedreht ("nicht freundlich", "nicht unfreundlich").
+
+export const DEFAULT_TAG_RULES_FILE = new URL("../../config/review-tags.de.json", import.meta.url);
+
+export function loadTagRules(file = process.env.REVIEW_TAG_RULES_FILE || DEFAULT_TAG_RULES_FILE) {
+  let j;
+  try {
+    j = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`Tag rules ${file}: ${e.message}`);
+  }
+  if (!Array.isArray(j.tags)) throw new Error(`Tag rules ${file}: missing "tags" array`);
+
+  const stems = (list) => (list || []).map((k) => stem(fold(k.trim()))).filter(Boolean);
+
+  return {
+    negations: new Set((j.negations || []).map((n) => fold(n))),
+    negationWindow: Number(j.negation_window ?? 3),
+    snippetChars: Number(j.snippet_chars ?? 40),
+    tags: j.tags.map((t) => {
+      if (!t.tag) throw new Error(`Tag rules ${file}: rule without "tag"`);
+      return {
+        tag: t.tag,
+        keywords: stems(t.keywords),
+        negativeKeywords: stems(t.negative_keywords),
+        patterns: (t.patterns || []).map((p) => {
+          try {
+            return new RegExp(fold(p), "gu");
+          } catch (e) {
+            throw new Error(`Tag rules ${file}: invalid pattern for ${t.tag}: ${e.message}`);
+          }
+        }),
+      };
+    }),
+  };
+}
+
+function stemMatches(tokenStem, kwStem) {
+  if (tokenStem === kwStem) return true;
+  // Kompositum: Kopf steht im Deutschen hinten ("Kundenparkplatz", "Physiotherapeut")
+  return kwStem.length >= 5 && tokenStem.endsWith(kwStem);
+}
+
+function isNegated(tokens, folded, tokenIdx, matchStart, rules) {
+  for (let j = tokenIdx - 1; j >= 0 && j >= tokenIdx - rules.negationWindow; j--) {
+    if (crossesClause(folded, tokens[j].end, matchStart)) return false;
+    if (rules.negations.has(tokens[j].word)) return true;
+  }
+  return false;
+}
+
+function snippetAround(text, start, end, chars) {
+  let a = Math.max(0, start - chars);
+  let b = Math.min(text.length, end + chars);
+  // auf Wortgrenzen kürzen
+  if (a > 0) {
+    const sp = text.indexOf(" ", a);
+    if (sp !== -1 && sp < start) a = sp + 1;
+  }
+  if (b < text.length) {
+    const sp = text.lastIndexOf(" ", b);
+    if (sp > end) b = sp;
+  }
+  const s = text.slice(a, b).replace(/\s+/g, " ").trim();
+  return `${a > 0 ? "…" : ""}${s}${b < text.length ? "…" : ""}`;
+}
+
+// Liefert je Tag den ersten Treffer: { tag, match, snippet, negated, hits }
+export function tagComment(text, rules) {
+  const src = (text || "").trim();
+  if (!src) return [];
+
+  const folded = fold(src);
+  const tokens = tokenize(folded);
+  const out = [];
+
+  for (const rule of rules.tags) {
+    const hits = [];
+
+    tokens.forEach((t, i) => {
+      const neg = rule.negativeKeywords.some((k) => stemMatches(t.stem, k));
+      if (!neg && !rule.keywords.some((k) => stemMatches(t.stem, k))) return;
+      hits.push({ start: t.start, end: t.end, tokenIdx: i, negative: neg });
+    });
+
+    for (const re of rule.patterns) {
+      re.lastIndex = 0;
+      for (const m of folded.matchAll(re)) {
+        if (!m[0]) continue;
+        const tokenIdx = tokens.findIndex((t) => t.end > m.index);
+        hits.push({ start: m.index, end: m.index + m[0].length, tokenIdx, negative: false });
+      }
+    }
+
+    if (!hits.length) continue;
+    hits.sort((a, b) => a.start - b.start);
+
+    const first = hits[0];
+    const negated = first.negative !== isNegated(tokens, folded, first.tokenIdx, first.start, rules);
+
+    out.push({
+      tag: rule.tag,
+      match: src.slice(first.start, first.end),
+      snippet: snippetAround(src, first.start, first.end, rules.snippetChars),
+      negated,
+      hits: hits.length,
+    });
+  }
+
+  return out;
+}
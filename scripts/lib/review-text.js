@@ -0,0 +1,154 @@
+// -------------------- Review-Text: Original / Google-Übersetzung / Sprache --------------------
+// Google liefert übersetzte Reviews in zwei Layouts (Marker je nach UI-Sprache):
+//
+//   A) "<Original>\n\n(Translated by Google)\n<Übersetzung>"
+//   B) "(Translated by Google) <Übersetzung>\n\n(Original)\n<Original>"
+
+const TRANSLATED_MARKERS = [
+  "(Translated by Google)",
+  "(Übersetzt von Google)",
+  "(Traduit par Google)",
+  "(Traducido por Google)",
+  "(Tradotto da Google)",
+  "(Traduzido pelo Google)",
+  "(Vertaald door Google)",
+  "(Przetłumaczone przez Google)",
+  "(Google tarafından çevrildi)",
+  "(Переведено Google)",
+  "(Přeloženo Googlem)",
+  "(Oversat af Google)",
+  "(Översatt av Google)",
+  "(Oversatt av Google)",
+];
+
+const ORIGINAL_MARKERS = [
+  "(Original)",
+  "(Originale)",
+  "(Origineel)",
+  "(Oryginał)",
+  "(Orijinal)",
+  "(Оригинал)",
+  "(Originál)",
+];
+
+function findMarker(text, markers) {
+  let best = null;
+  for (const m of markers) {
+    const idx = text.indexOf(m);
+    if (idx !== -1 && (!best || idx < best.idx)) best = { idx, len: m.length };
+  }
+  return best;
+}
+
+// → { comment_original, comment_translated }
+export function parseReviewComment(text) {
+  const t = (text || "").trim();
+  const tr = findMarker(t, TRANSLATED_MARKERS);
+  if (!tr) return { comment_original: t, comment_translated: null };
+
+  const before = t.slice(0, tr.idx).trim();
+  const after  = t.slice(tr.idx + tr.len);
+  const orig   = findMarker(after, ORIGINAL_MARKERS);
+
+  // Layout B: Übersetzung zuerst, Original nach "(Original)"
+  if (orig) {
+    return {
+      comment_original:   after.slice(orig.idx + orig.len).trim() || before,
+      comment_translated: after.slice(0, orig.idx).trim() || null,
+    };
+  }
+
+  // Layout A: Original zuerst
+  return { comment_original: before, comment_translated: after.trim() || null };
+}
+
+// Kompatibel zum bisherigen cleanComment: nur der Originaltext
+export function cleanComment(text) {
+  return parseReviewComment(text).comment_original;
+}
+
+// -------------------- Spracherkennung (lokal, ohne Netzwerk) --------------------
+// Nicht-lateinische Schriften über Unicode-Blöcke, lateinische Sprachen über Stoppwörter.
+
+const SCRIPTS = [
+  { lang: "ar", re: /[؀-ۿ]/g },
+  { lang: "he", re: /[֐-׿]/g },
+  { lang: "el", re: /[Ͱ-Ͽ]/g },
+  { lang: "ko", re: /[가-힯]/g },
+  { lang: "ru", re: /[Ѐ-ӿ]/g },
+];
+
+const KANA = /[぀-ヿ]/g;
+const HAN  = /[一-鿿]/g;
+
+const STOPWORDS = {
+  de: ["und", "der", "die", "das", "ist", "nicht", "ich", "sehr", "mit", "auch", "ein", "eine", "für", "war", "sind", "wir", "sie", "man", "hier", "immer", "aber", "zu", "auf", "mich", "mir"],
+  en: ["the", "and", "is", "was", "very", "with", "for", "not", "they", "this", "that", "you", "are", "have", "my", "me", "i", "but", "so", "great", "staff"],
+  tr: ["ve", "bir", "çok", "bu", "için", "ile", "da", "de", "ama", "gibi", "ben", "güzel", "teşekkürler", "iyi", "değil", "var", "yok"],
+  pl: ["i", "nie", "jest", "się", "na", "bardzo", "że", "to", "w", "z", "polecam", "jak", "ale", "po", "dla"],
+  nl: ["de", "het", "een", "en", "is", "niet", "zeer", "heel", "met", "voor", "van", "ik", "ook", "maar", "goed"],
+  fr: ["le", "la", "les", "et", "est", "très", "pas", "je", "avec", "pour", "une", "un", "mais", "bien", "du", "des"],
+  es: ["el", "la", "los", "y", "es", "muy", "no", "con", "para", "una", "pero", "por", "que", "bien", "del"],
+  it: ["il", "la", "e", "è", "molto", "non", "con", "per", "una", "ma", "che", "del", "sono", "bene", "gli"],
+  pt: ["o", "a", "e", "é", "muito", "não", "com", "para", "uma", "mas", "que", "do", "da", "bem", "os"],
+};
+
+// Sonderzeichen, die eine lateinische Sprache stark anzeigen
+const CHAR_HINTS = {
+  de: /[äöüß]/g,
+  tr: /[ğışİ]/g,
+  pl: /[ąęłńśźż]/g,
+  fr: /[èêàç]/g,
+  es: /[ñ¿¡]/g,
+  pt: /[ãõ]/g,
+};
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([l, w]) => [l, new Set(w)]));
+
+// → ISO-639-1 oder null (zu kurz / nicht eindeutig)
+export function detectLanguage(text) {
+  const t = (text || "").trim();
+  if (!t) return null;
+
+  const letters = (t.match(/\p{L}/gu) || []).length;
+  if (!letters) return null;
+
+  for (const { lang, re } of SCRIPTS) {
+    const n = (t.match(re) || []).length;
+    if (n / letters < 0.3) continue;
+    // Ukrainisch statt Russisch bei typischen Buchstaben
+    if (lang === "ru" && /[іїєґ]/i.test(t)) return "uk";
+    return lang;
+  }
+
+  // Japanisch mischt Kanji (Han) mit Kana, Chinesisch nur Han
+  const kana = (t.match(KANA) || []).length;
+  const han  = (t.match(HAN) || []).length;
+  if ((kana + han) / letters >= 0.3) return kana ? "ja" : "zh";
+
+  const words = t.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = {};
+  for (const [lang, set] of Object.entries(STOPWORD_SETS)) {
+    scores[lang] = words.reduce((n, w) => n + (set.has(w) ? 1 : 0), 0);
+  }
+  for (const [lang, re] of Object.entries(CHAR_HINTS)) {
+    scores[lang] += Math.min(3, (t.toLowerCase().match(re) || []).length) * 0.5;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [topLang, top] = ranked[0];
+  const second = ranked[1][1];
+
+  if (top < 1 || top === second) return null;
+  return topLang;
+}
+
+// Alles in einem: Felder für Items/Zeilen
+export function analyzeReviewText(text) {
+  const { comment_original, comment_translated } = parseReviewComment(text);
+  return {
+    comment_original,
+    comment_translated,
+    language: detectLanguage(comment_original),
+  };
+}
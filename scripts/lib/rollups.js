@@ -0,0 +1,68 @@
+// -------------------- Rollups nach Region / Regionalleitung --------------------
+// Region und Regionalleitung kommen aus der Standort-Registry (config/locations.json).
+// Standorte ohne Eintrag landen in einer eigenen Gruppe, damit die Summen aufgehen – auch wenn
+// noch gar keine Zuordnung gepflegt ist (dann eine Zeile für alle).
+//
+// Ergebnis je Dimension: [{ Region | Regionalleitung, Standorte, …Kennzahlen }], sortiert nach Name
+
+const DIMENSIONS = [
+  { key: "region",  label: "Region",          empty: "(ohne Region)" },
+  { key: "manager", label: "Regionalleitung", empty: "(ohne Regionalleitung)" },
+];
+
+// placeOf(row) → { region, manager } | null; add(acc, row) summiert in den Gruppen-Akkumulator
+function rollup(rows, placeOf, standortOf, init, add, finish) {
+  const out = {};
+
+  for (const dim of DIMENSIONS) {
+    const map = new Map();
+    for (const r of rows) {
+      const name = placeOf(r)?.[dim.key] || dim.empty;
+      if (!map.has(name)) map.set(name, { name, standorte: new Set(), acc: init() });
+      const g = map.get(name);
+      g.standorte.add(standortOf(r));
+      add(g.acc, r);
+    }
+
+    out[dim.key] = [...map.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((g) => ({ [dim.label]: g.name, Standorte: g.standorte.size, ...finish(g.acc) }));
+  }
+
+  return out;
+}
+
+// Insights: Summen der Kennzahlen (views, actions, …) je Region / Regionalleitung
+export function rollupMetrics(rows, placeOf, fields, { standortOf = (r) => r.Standort } = {}) {
+  return rollup(
+    rows,
+    placeOf,
+    standortOf,
+    () => Object.fromEntries(fields.map((f) => [f, 0])),
+    (acc, r) => { for (const f of fields) acc[f] += r[f] || 0; },
+    (acc) => acc
+  );
+}
+
+// Reviews: Anzahl, Ø Rating, Antwortquote je Region / Regionalleitung
+// ratingOf/repliedOf lesen die Felder der jeweiligen Zeilen-Struktur
+export function rollupReviews(rows, placeOf, { standortOf, ratingOf, repliedOf }) {
+  return rollup(
+    rows,
+    placeOf,
+    standortOf,
+    () => ({ reviews: 0, ratingSum: 0, ratingN: 0, replied: 0 }),
+    (acc, r) => {
+      acc.reviews++;
+      const rating = ratingOf(r);
+      if (rating) { acc.ratingSum += rating; acc.ratingN++; }
+      if (repliedOf(r)) acc.replied++;
+    },
+    (acc) => ({
+      Reviews:   acc.reviews,
+      AvgRating: acc.ratingN ? Math.round((acc.ratingSum / acc.ratingN) * 100) / 100 : null,
+      Replied:   acc.replied,
+      ReplyRate: acc.reviews ? Math.round((acc.replied / acc.reviews) * 1000) / 1000 : null,
+    })
+  );
+}
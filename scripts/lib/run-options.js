@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import Papa from "papaparse";
+import { DateTime } from "luxon";
+import { resolveLocation } from "./location-registry.js";
+
+// -------------------- Gemeinsame Lauf-Optionen (gbp-CLI) --------------------
+// Gelten für `gbp reviews …` / `gbp insights …` und für die Skripte direkt:
+//   --location X       nur diese Standorte (storeCode, Location-ID, Titel oder Registry-Name;
+//                      mehrfach oder komma-getrennt)
+//   --account KEY      nur diese Accounts aus config/accounts.json (mehrfach oder komma-getrennt)
+//   --dry-run          keine Webhooks (Make, Slack, Teams), kein Prefill, kein State/Ledger;
+//                      die Payloads landen stattdessen als <job>.dry-run.json in --out
+//   --out DIR          Ordner für Reports und Dry-Run-Payloads (Standard: aktueller Ordner)
+//   --format csv|json  Format der Report-Dateien (Standard: csv)
+// --from/--to liest lib/date-range.js, --compare (nur Insights) lib/period-compare.js.
+
+export const FORMATS = ["csv", "json"];
+
+// Flags mit Wert (--name=wert oder --name wert)
+export const VALUE_FLAGS = ["from", "to", "location", "account", "out", "format", "compare"];
+
+// alle Werte eines Flags (mehrfach erlaubt)
+function argValues(argv, name) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith(`--${name}=`)) out.push(a.slice(name.length + 3));
+    else if (a === `--${name}` && argv[i + 1] && !argv[i + 1].startsWith("--")) out.push(argv[++i]);
+  }
+  return out;
+}
+
+export function getRunOptions({ argv = process.argv.slice(2) } = {}) {
+  const format = (argValues(argv, "format").pop() || "csv").trim().toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`Invalid --format: ${format} (use ${FORMATS.join(" or ")})`);
+
+  return {
+    locations: argValues(argv, "location").flatMap((v) => v.split(",")).map((s) => s.trim()).filter(Boolean),
+    accounts:  argValues(argv, "account").flatMap((v) => v.split(",")).map((s) => s.trim()).filter(Boolean),
+    dryRun:    argv.includes("--dry-run"),
+    out:       (argValues(argv, "out").pop() || ".").trim(),
+    format,
+  };
+}
+
+// --location: Treffer über Location-ID (auch "locations/…"), storeCode, Titel oder Registry-Name (ohne Groß/klein);
+// ein Wert ohne Treffer ist ein Fehler, damit ein Tippfehler nicht still alle Standorte "filtert"
+export function filterLocations(locations, wanted, registry = null) {
+  if (!wanted.length) return locations;
+
+  const norm = (s) => (s ?? "").toString().trim().toLowerCase();
+  const keysOf = (loc) => {
+    const storeCode = (loc.storeCode || "").toString().trim();
+    const title = (loc.title || "").trim();
+    const keys = [loc.name, (loc.name || "").split("/").pop(), storeCode, title];
+    if (registry) keys.push(resolveLocation(registry, { storeCode, title }).standort);
+    return new Set(keys.filter(Boolean).map(norm));
+  };
+
+  const keyed = locations.map((loc) => ({ loc, keys: keysOf(loc) }));
+  const unknown = wanted.filter((w) => !keyed.some((k) => k.keys.has(norm(w))));
+  if (unknown.length) throw new Error(`Unknown --location: ${unknown.join(", ")}`);
+
+  const set = new Set(wanted.map(norm));
+  return keyed.filter((k) => [...k.keys].some((key) => set.has(key))).map((k) => k.loc);
+}
+
+// Report-Tabelle → <out>/<name>.csv|json; gibt den Pfad zurück
+export function writeReport(run, name, rows) {
+  fs.mkdirSync(run.out, { recursive: true });
+  const file = path.join(run.out, `${name}.${run.format}`);
+  const body = run.format === "json" ? `${JSON.stringify(rows, null, 2)}\n` : "\uFEFF" + Papa.unparse(rows);
+  fs.writeFileSync(file, body, "utf-8");
+  return file;
+}
+
+// --dry-run: Payloads so, wie sie zugestellt würden → <out>/<job>.dry-run.json (":" → "_")
+export function writeDryRun(run, job, scope, payloads) {
+  fs.mkdirSync(run.out, { recursive: true });
+  const file = path.join(run.out, `${job.replace(/:/g, "_")}.dry-run.json`);
+  const body = { job, scope, generated_at: DateTime.now().toISO(), count: payloads.length, payloads };
+  fs.writeFileSync(file, `${JSON.stringify(body, null, 2)}\n`, "utf-8");
+  return file;
+}
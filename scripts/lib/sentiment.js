@@ -0,0 +1,115 @@
+import fs from "fs";
+import { fold, stem, tokenize, crossesClause } from "./text.js";
+
+// -------------------- Sentiment (Lexikon, offline) --------------------
+// Lexikon: config/sentiment-lexicon.json (oder SENTIMENT_LEXICON_FILE), Deutsch zuerst,
+// Englisch nur, wenn es dort mehr Treffer gibt.
+//
+// Wortwert -3…+3, Verstärker davor multiplizieren ("sehr freundlich"), Negation bis zu
+// negation_window Wörter davor im selben Teilsatz dreht das Vorzeichen ("nicht freundlich").
+// Summe wird wie bei VADER auf -1…+1 normalisiert: s / sqrt(s² + 15).
+
+export const DEFAULT_SENTIMENT_LEXICON_FILE = new URL("../../config/sentiment-lexicon.json", import.meta.url);
+
+const NORMALIZE_ALPHA = 15;
+const LABEL_THRESHOLD = 0.2;
+
+export function loadSentimentLexicon(file = process.env.SENTIMENT_LEXICON_FILE || DEFAULT_SENTIMENT_LEXICON_FILE) {
+  let j;
+  try {
+    j = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`Sentiment lexicon ${file}: ${e.message}`);
+  }
+
+  const langs = {};
+  for (const [lang, words] of Object.entries(j.words || {})) {
+    const map = new Map();
+    for (const [w, v] of Object.entries(words)) map.set(stem(fold(w)), Number(v));
+
+    const intens = new Map();
+    for (const [w, v] of Object.entries(j.intensifiers?.[lang] || {})) intens.set(fold(w), Number(v));
+
+    langs[lang] = {
+      words: map,
+      intensifiers: intens,
+      negations: new Set((j.negations?.[lang] || []).map((n) => fold(n).replace(/'/g, ""))),
+    };
+  }
+  if (!langs.de) throw new Error(`Sentiment lexicon ${file}: missing "de" words`);
+
+  return { langs, negationWindow: Number(j.negation_window ?? 3) };
+}
+
+function scoreWith(lex, tokens, folded, negationWindow) {
+  let sum = 0;
+  let hits = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    const base = lex.words.get(t.stem);
+    if (base === undefined) continue;
+
+    // "super freundlich": super wirkt als Verstärker, nicht als eigener Treffer
+    const next = tokens[i + 1];
+    if (lex.intensifiers.has(t.word) && next && lex.words.has(next.stem)) continue;
+
+    let v = base;
+    for (let j = i - 1; j >= 0 && j >= i - negationWindow; j--) {
+      if (crossesClause(folded, tokens[j].end, t.start)) break;
+      // Negation gehört zum näheren Lexikon-Wort ("keine Schmerzen, danke")
+      if (lex.words.has(tokens[j].stem) && !lex.intensifiers.has(tokens[j].word)) break;
+      const w = tokens[j].word;
+      if (j === i - 1 && lex.intensifiers.has(w)) v *= lex.intensifiers.get(w);
+      if (lex.negations.has(w)) {
+        // Negation kippt und dämpft ("nicht gut" ist schwächer als "schlecht")
+        v *= -0.75;
+        break;
+      }
+    }
+
+    sum += v;
+    hits++;
+  }
+
+  return { sum, hits };
+}
+
+// → { sentiment_score: -1…1 | null, sentiment_label, sentiment_language, sentiment_hits }
+export function scoreSentiment(text, lexicon) {
+  const src = (text || "").trim();
+  if (!src) return { sentiment_score: null, sentiment_label: null, sentiment_language: null, sentiment_hits: 0 };
+
+  const folded = fold(src).replace(/'/g, "");
+  const tokens = tokenize(folded);
+
+  let best = { lang: "de", ...scoreWith(lexicon.langs.de, tokens, folded, lexicon.negationWindow) };
+  for (const [lang, lex] of Object.entries(lexicon.langs)) {
+    if (lang === "de") continue;
+    const r = scoreWith(lex, tokens, folded, lexicon.negationWindow);
+    if (r.hits > best.hits) best = { lang, ...r };
+  }
+
+  if (!best.hits) return { sentiment_score: 0, sentiment_label: "neutral", sentiment_language: null, sentiment_hits: 0 };
+
+  const score = Math.round((best.sum / Math.sqrt(best.sum * best.sum + NORMALIZE_ALPHA)) * 1000) / 1000;
+  return {
+    sentiment_score: score,
+    sentiment_label: sentimentLabel(score),
+    sentiment_language: best.lang,
+    sentiment_hits: best.hits,
+  };
+}
+
+export function sentimentLabel(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= LABEL_THRESHOLD) return "positive";
+  if (score <= -LABEL_THRESHOLD) return "negative";
+  return "neutral";
+}
+
+// 4–5 Sterne mit negativem Text bzw. 1–2 Sterne mit positivem Text
+export function isRatingMismatch(rating, label) {
+  if (!rating || !label) return false;
+  return (rating >= 4 && label === "negative") || (rating <= 2 && label === "positive");
+}
@@ -0,0 +1,265 @@
+// -------------------- Notification-Sinks (Slack, Teams) --------------------
+// Neben Make kann ein Job seine Ergebnisse direkt posten:
+//   Slack: Incoming Webhook, Block Kit
+//   Teams: Incoming Webhook bzw. Workflow "Post to a channel when a webhook request is received", Adaptive Card
+//
+// Konfiguration je Job über ENV, mehrere URLs komma-getrennt → mehrere Sinks:
+//   SLACK_WEBHOOK_URL_<NAME>, TEAMS_WEBHOOK_URL_<NAME>
+//   (z. B. SLACK_WEBHOOK_URL_REVIEWS, TEAMS_WEBHOOK_URL_INSIGHTS_WEEKLY)
+//
+// Die Nachrichten laufen wie die Make-Batches über den Delivery-Ledger (eigener Job
+// "<job>:sinks"). Im Ledger steht nur die Sink-ID (slack#1, teams#2), nie die URL.
+
+const SINK_TYPES = ["slack", "teams"];
+
+// Slack: max. 50 Blocks je Nachricht (2 je Review + Kopf), Teams: ~28 KB je Karte
+const REVIEWS_PER_MESSAGE = 20;
+const EXCERPT_CHARS = 300;
+const TOP_LOCATIONS = 5;
+
+// reply_changed betrifft nur die eigenen Antworten → kein Post
+const EVENT_LABELS = { created: "neu", edited: "bearbeitet", deleted: "gelöscht" };
+
+const INSIGHT_METRICS = [
+  ["views", "Views"],
+  ["views_search", "davon Suche"],
+  ["views_maps", "davon Maps"],
+  ["actions", "Actions"],
+  ["actions_website", "Website"],
+  ["actions_phone", "Anrufe"],
+  ["actions_driving_directions", "Routen"],
+];
+
+export function getSinks(name, env = process.env) {
+  const out = [];
+  for (const type of SINK_TYPES) {
+    const raw = (env[`${type.toUpperCase()}_WEBHOOK_URL_${name}`] || "").trim();
+    raw.split(/[\s,]+/).filter(Boolean).forEach((url, i) => out.push({ id: `${type}#${i + 1}`, type, url }));
+  }
+  return out;
+}
+
+// render(type) → [body]; ergibt die Ledger-Payloads { sink, type, body } für alle Sinks
+export function sinkPayloads(sinks, render) {
+  return sinks.flatMap((s) => render(s.type).map((body) => ({ sink: s.id, type: s.type, body })));
+}
+
+// send(payload) für deliverRun; request = requestWithRetry des Skripts
+export function createSinkSender(sinks, request) {
+  const byId = new Map(sinks.map((s) => [s.id, s]));
+
+  return async (payload) => {
+    const sink = byId.get(payload.sink);
+    if (!sink) throw new Error(`Sink ${payload.sink} is not configured`);
+
+    const res = await request(sink.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload.body),
+    });
+
+    const txt = await res.text().catch(() => "");
+    if (!res.ok) throw new Error(`${sink.id} webhook error ${res.status}: ${txt.slice(0, 200)}`);
+  };
+}
+
+// -------------------- Formatierung --------------------
+function stars(rating) {
+  const n = Math.max(0, Math.min(5, Math.round(Number(rating) || 0)));
+  return "★".repeat(n) + "☆".repeat(5 - n);
+}
+
+function excerpt(text, max = EXCERPT_CHARS) {
+  const t = (text || "").replace(/\s+/g, " ").trim();
+  return t.length > max ? `${t.slice(0, max - 1).trimEnd()}…` : t;
+}
+
+function num(n) {
+  return Number(n || 0).toLocaleString("de-DE");
+}
+
+function delta(cur, prev) {
+  if (!prev) return "";
+  const pct = ((cur - prev) / prev) * 100;
+  return ` (${pct >= 0 ? "+" : ""}${pct.toFixed(1).replace(".", ",")} %)`;
+}
+
+function slackEscape(s) {
+  return String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function slackMessage(title, context, blocks) {
+  return {
+    text: title,
+    blocks: [
+      { type: "header", text: { type: "plain_text", text: title.slice(0, 150) } },
+      ...(context ? [{ type: "context", elements: [{ type: "mrkdwn", text: slackEscape(context) }] }] : []),
+      ...blocks,
+    ],
+  };
+}
+
+function teamsMessage(title, context, body) {
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        contentUrl: null,
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          msteams: { width: "Full" },
+          body: [
+            { type: "TextBlock", text: title, weight: "Bolder", size: "Large", wrap: true },
+            ...(context ? [{ type: "TextBlock", text: context, isSubtle: true, spacing: "None", wrap: true }] : []),
+            ...body,
+          ],
+        },
+      },
+    ],
+  };
+}
+
+function pages(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+// -------------------- Reviews (Daily-Items) --------------------
+function reviewView(item) {
+  const translated = !!item.comment_translated;
+  const rating =
+    item.event === "edited" && item.rating_before != null && item.rating_before !== item.rating
+      ? `${stars(item.rating_before)} → ${stars(item.rating)}`
+      : stars(item.rating);
+
+  let button = null;
+  if (item.event !== "deleted") {
+    if (item.smart_reply_url) button = { label: "Antwort vorschlagen", url: item.smart_reply_url };
+    else if (item.maps_uri) button = { label: "In Google Maps", url: item.maps_uri };
+  }
+
+  return {
+    head: `${rating}  ${item.standort || item.locationTitle || item.storeCode || item.locationId}`,
+    label: EVENT_LABELS[item.event],
+    meta: [item.reviewer || "Unbekannt", item.reviewed_at, translated && item.language ? `übersetzt aus ${item.language}` : ""]
+      .filter(Boolean)
+      .join(" · "),
+    text: excerpt(translated ? item.comment_translated : item.comment),
+    button,
+  };
+}
+
+function reviewsTitle(items) {
+  const counts = Object.keys(EVENT_LABELS)
+    .map((t) => [items.filter((i) => i.event === t).length, EVENT_LABELS[t]])
+    .filter(([n]) => n)
+    .map(([n, label]) => `${n} ${label}`);
+  return `Google-Bewertungen: ${counts.join(" · ")}`;
+}
+
+// items: Daily-Items (wie an Make); ohne relevante Events → keine Nachricht
+export function renderReviews(type, items, { context = "" } = {}) {
+  const relevant = items.filter((i) => EVENT_LABELS[i.event]);
+  if (!relevant.length) return [];
+
+  const title = reviewsTitle(relevant);
+  const chunks = pages(relevant.map(reviewView), REVIEWS_PER_MESSAGE);
+
+  return chunks.map((chunk, i) => {
+    const pageTitle = chunks.length > 1 ? `${title} (${i + 1}/${chunks.length})` : title;
+
+    if (type === "slack") {
+      return slackMessage(
+        pageTitle,
+        context,
+        chunk.flatMap((v) => [
+          { type: "divider" },
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text:
+                `*${slackEscape(v.head)}*  _${v.label}_\n${slackEscape(v.meta)}\n` +
+                (v.text ? `>${slackEscape(v.text)}` : "_(kein Kommentar)_"),
+            },
+            ...(v.button
+              ? { accessory: { type: "button", text: { type: "plain_text", text: v.button.label }, url: v.button.url } }
+              : {}),
+          },
+        ])
+      );
+    }
+
+    return teamsMessage(
+      pageTitle,
+      context,
+      chunk.map((v) => ({
+        type: "Container",
+        separator: true,
+        spacing: "Medium",
+        items: [
+          { type: "TextBlock", text: `**${v.head}**  _${v.label}_`, wrap: true },
+          { type: "TextBlock", text: v.meta, isSubtle: true, spacing: "None", wrap: true },
+          { type: "TextBlock", text: v.text || "_(kein Kommentar)_", wrap: true },
+          ...(v.button ? [{ type: "ActionSet", actions: [{ type: "Action.OpenUrl", title: v.button.label, url: v.button.url }] }] : []),
+        ],
+      }))
+    );
+  });
+}
+
+// -------------------- Insights (Zusammenfassung) --------------------
+// total/prevTotal: { views, actions, views_search, … } (prevTotal optional → ohne Δ %)
+// locations: [{ Standort, views, actions }] → Top nach Views
+// extra: optionale Metriken des Jobs ([{ field, label }], INSIGHTS_EXTRA_METRICS) nach den festen
+export function renderInsights(type, { title, context = "", total, prevTotal = null, extra = [], locations = [], skipped = [] }) {
+  const metrics = [...INSIGHT_METRICS, ...extra.map((m) => [m.field, m.label])].map(([key, label]) => ({
+    label,
+    value: `${num(total[key])}${prevTotal ? delta(total[key] || 0, prevTotal[key] || 0) : ""}`,
+  }));
+
+  const top = [...locations]
+    .sort((a, b) => (b.views || 0) - (a.views || 0))
+    .slice(0, TOP_LOCATIONS)
+    .map((r, i) => ({ label: `${i + 1}. ${r.Standort}`, value: `${num(r.views)} Views · ${num(r.actions)} Actions` }));
+
+  const footer = skipped.length ? `Übersprungen (${skipped.length}): ${skipped.join(", ")}` : "";
+
+  if (type === "slack") {
+    return [
+      slackMessage(title, context, [
+        { type: "section", fields: metrics.map((m) => ({ type: "mrkdwn", text: `*${m.label}*\n${m.value}` })) },
+        ...(top.length
+          ? [
+              { type: "divider" },
+              {
+                type: "section",
+                text: {
+                  type: "mrkdwn",
+                  text: `*Top ${top.length} Standorte (Views)*\n${top.map((t) => `${slackEscape(t.label)} – ${t.value}`).join("\n")}`,
+                },
+              },
+            ]
+          : []),
+        ...(footer ? [{ type: "context", elements: [{ type: "mrkdwn", text: slackEscape(footer) }] }] : []),
+      ]),
+    ];
+  }
+
+  return [
+    teamsMessage(title, context, [
+      { type: "FactSet", facts: metrics.map((m) => ({ title: m.label, value: m.value })) },
+      ...(top.length
+        ? [
+            { type: "TextBlock", text: `**Top ${top.length} Standorte (Views)**`, separator: true, wrap: true },
+            { type: "FactSet", facts: top.map((t) => ({ title: t.label, value: t.value })) },
+          ]
+        : []),
+      ...(footer ? [{ type: "TextBlock", text: footer, isSubtle: true, wrap: true }] : []),
+    ]),
+  ];
+}
@@ -0,0 +1,39 @@
+// -------------------- Text-Normalisierung (Tagging, Sentiment) --------------------
+
+// 1:1 Zeichen-Mapping, damit Indizes im Original-Text gültig bleiben (Snippets)
+const FOLD = { ä: "a", ö: "o", ü: "u", ß: "s" };
+
+export function fold(text) {
+  return text.toLowerCase().replace(/[äöüß]/g, (c) => FOLD[c]);
+}
+
+const SUFFIXES = ["ungen", "ung", "keit", "heit", "en", "er", "em", "es", "et", "e", "s"];
+const MIN_STEM = 4;
+
+// Leichter deutscher Stemmer: längstes passendes Suffix einmal abschneiden
+export function stem(word) {
+  for (const s of SUFFIXES) {
+    if (word.endsWith(s) && word.length - s.length >= MIN_STEM) return word.slice(0, -s.length);
+  }
+  return word;
+}
+
+// Erwartet bereits gefalteten Text → [{ word, stem, start, end }]
+export function tokenize(folded) {
+  const out = [];
+  for (const m of folded.matchAll(/[\p{L}\p{N}]+/gu)) {
+    out.push({ word: m[0], stem: stem(m[0]), start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// Gegensatz-Wörter, die einen neuen Teilsatz anfangen ("nicht unfreundlich, aber lange gewartet")
+const CLAUSE_WORDS = new Set(["aber", "sondern", "doch", "jedoch", "but", "however"]);
+
+// Satz- oder Teilsatzgrenze zwischen zwei Positionen (Negation wirkt nicht über Komma,
+// Satzzeichen oder "aber"/"sondern"/"doch"/"jedoch" hinweg)
+export function crossesClause(folded, from, to) {
+  const between = folded.slice(from, to);
+  if (/[.!?;,]/.test(between)) return true;
+  return tokenize(between).some((t) => CLAUSE_WORDS.has(t.word));
+}
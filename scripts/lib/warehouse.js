@@ -0,0 +1,375 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { DateTime } from "luxon";
+import { fetchDailyMetrics } from "./performance-api.js";
+
+// -------------------- Warehouse (SQLite) --------------------
+// Lokale Kopie von Standorten, Reviews, Antworten und Performance-Tageswerten. Die Jobs
+// synchronisieren nur, was seit dem letzten Lauf dazugekommen ist, und lesen ihre Reports
+// dann aus der Datenbank. In GitHub Actions wird die Datei per actions/cache weitergereicht.
+//
+//   locations      location_id, account_id, store_code, title, seen_at
+//   reviews        location_id, review_id, name, reviewer (JSON), star_rating, comment,
+//                  create_time/create_ms, update_time/update_ms
+//   replies        location_id, review_id, comment, update_time
+//   daily_metrics  location_id, metric, date (YYYY-MM-DD), value
+//   sync_state     location_id, kind ("reviews" | "metric:<NAME>"), covered_from, watermark, synced_at
+//
+// covered_from..watermark ist der lückenlos geholte Bereich: Reviews nach createTime ab covered_from
+// (watermark = jüngste updateTime), Tageswerte je Metrik von covered_from bis watermark (Datum).
+// Bei jedem Sync wird ein Nachlauf-Fenster (trailingDays) vor dem Watermark neu geholt, damit
+// späte Korrekturen von Google (Performance-Werte, bearbeitete Reviews) ankommen. Der Bereich
+// wächst nur um tatsächlich geholte, an ihn anschließende Tage; eine Metrik, die Google nicht
+// liefert (403), bekommt keinen Stand und wird beim nächsten Lauf wieder angefragt.
+
+export const DEFAULT_WAREHOUSE_FILE = ".gbp-state/warehouse.sqlite";
+
+const SCHEMA_VERSION = 1;
+
+// Stopp der Review-Seiten wie bisher: 2 Seiten in Folge ohne Review ab dem Startdatum
+// (WAREHOUSE_FULL_SYNC: alle Seiten)
+const PAGES_BELOW_CUTOFF = 2;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS locations (
+    location_id TEXT PRIMARY KEY,
+    account_id  TEXT,
+    store_code  TEXT,
+    title       TEXT,
+    seen_at     TEXT
+  );
+  CREATE TABLE IF NOT EXISTS reviews (
+    location_id TEXT NOT NULL,
+    review_id   TEXT NOT NULL,
+    name        TEXT,
+    reviewer    TEXT,
+    star_rating TEXT,
+    comment     TEXT,
+    create_time TEXT,
+    create_ms   INTEGER,
+    update_time TEXT,
+    update_ms   INTEGER,
+    PRIMARY KEY (location_id, review_id)
+  );
+  CREATE INDEX IF NOT EXISTS reviews_location_create ON reviews (location_id, create_ms);
+  CREATE TABLE IF NOT EXISTS replies (
+    location_id TEXT NOT NULL,
+    review_id   TEXT NOT NULL,
+    comment     TEXT,
+    update_time TEXT,
+    PRIMARY KEY (location_id, review_id)
+  );
+  CREATE TABLE IF NOT EXISTS daily_metrics (
+    location_id TEXT NOT NULL,
+    metric      TEXT NOT NULL,
+    date        TEXT NOT NULL,
+    value       INTEGER NOT NULL,
+    PRIMARY KEY (location_id, metric, date)
+  );
+  CREATE TABLE IF NOT EXISTS sync_state (
+    location_id  TEXT NOT NULL,
+    kind         TEXT NOT NULL,
+    covered_from TEXT,
+    watermark    TEXT,
+    synced_at    TEXT,
+    PRIMARY KEY (location_id, kind)
+  );
+`;
+
+function toMs(iso) {
+  return iso ? DateTime.fromISO(iso, { setZone: true }).toMillis() : null;
+}
+
+// Dry-Run: Kopie im Speicher, die Datei bleibt unverändert
+function openDb(file, dryRun) {
+  const exists = fs.existsSync(file);
+  if (dryRun) return exists ? new Database(fs.readFileSync(file)) : new Database(":memory:");
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  return new Database(file);
+}
+
+// file: WAREHOUSE_FILE; trailingDays: Nachlauf-Fenster; fullSync: Reviews komplett neu (erkennt Löschungen)
+export function openWarehouse({
+  file = (process.env.WAREHOUSE_FILE || "").trim() || DEFAULT_WAREHOUSE_FILE,
+  trailingDays = Number(process.env.WAREHOUSE_TRAILING_DAYS || "7"),
+  fullSync = (process.env.WAREHOUSE_FULL_SYNC || "").trim() === "1",
+  dryRun = false,
+  tz = "Europe/Berlin",
+} = {}) {
+  let db;
+  try {
+    db = openDb(file, dryRun);
+    const version = db.pragma("user_version", { simple: true });
+    if (version && version !== SCHEMA_VERSION) throw new Error(`unsupported schema version: ${version}`);
+    db.exec(SCHEMA);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  } catch (e) {
+    throw new Error(`Warehouse ${file}: ${e.message}`);
+  }
+
+  const stats = { reviews: 0, days: 0, skipped: 0 };
+
+  const q = {
+    location:   db.prepare(`INSERT INTO locations (location_id, account_id, store_code, title, seen_at)
+                            VALUES (@location_id, @account_id, @store_code, @title, @seen_at)
+                            ON CONFLICT (location_id) DO UPDATE SET account_id = excluded.account_id,
+                              store_code = excluded.store_code, title = excluded.title, seen_at = excluded.seen_at`),
+    state:      db.prepare(`SELECT covered_from, watermark FROM sync_state WHERE location_id = ? AND kind = ?`),
+    saveState:  db.prepare(`INSERT INTO sync_state (location_id, kind, covered_from, watermark, synced_at)
+                            VALUES (@location_id, @kind, @covered_from, @watermark, @synced_at)
+                            ON CONFLICT (location_id, kind) DO UPDATE SET covered_from = excluded.covered_from,
+                              watermark = excluded.watermark, synced_at = excluded.synced_at`),
+    review:     db.prepare(`INSERT INTO reviews (review_id, location_id, name, reviewer, star_rating, comment,
+                              create_time, create_ms, update_time, update_ms)
+                            VALUES (@review_id, @location_id, @name, @reviewer, @star_rating, @comment,
+                              @create_time, @create_ms, @update_time, @update_ms)
+                            ON CONFLICT (location_id, review_id) DO UPDATE SET name = excluded.name, reviewer = excluded.reviewer,
+                              star_rating = excluded.star_rating, comment = excluded.comment,
+                              create_time = excluded.create_time, create_ms = excluded.create_ms,
+                              update_time = excluded.update_time, update_ms = excluded.update_ms`),
+    reply:      db.prepare(`INSERT INTO replies (location_id, review_id, comment, update_time) VALUES (?, ?, ?, ?)
+                            ON CONFLICT (location_id, review_id) DO UPDATE SET comment = excluded.comment, update_time = excluded.update_time`),
+    dropReply:  db.prepare(`DELETE FROM replies WHERE location_id = ? AND review_id = ?`),
+    dropReplies: db.prepare(`DELETE FROM replies WHERE location_id = @location_id AND review_id IN
+                              (SELECT review_id FROM reviews WHERE location_id = @location_id AND create_ms >= @start_ms)`),
+    dropReviews: db.prepare(`DELETE FROM reviews WHERE location_id = ? AND create_ms >= ?`),
+    reviews:    db.prepare(`SELECT r.*, p.comment AS reply_comment, p.update_time AS reply_update_time
+                            FROM reviews r LEFT JOIN replies p ON p.location_id = r.location_id AND p.review_id = r.review_id
+                            WHERE r.location_id = ? AND r.create_ms >= ? AND r.create_ms <= ?
+                            ORDER BY r.update_ms DESC`),
+    metric:     db.prepare(`INSERT INTO daily_metrics (location_id, metric, date, value) VALUES (?, ?, ?, ?)
+                            ON CONFLICT (location_id, metric, date) DO UPDATE SET value = excluded.value`),
+    metrics:    db.prepare(`SELECT metric, date, value FROM daily_metrics
+                            WHERE location_id = ? AND date >= ? AND date <= ?`),
+  };
+
+  function getState(locationId, kind) {
+    return q.state.get(locationId, kind) || null;
+  }
+
+  function setState(locationId, kind, coveredFrom, watermark) {
+    q.saveState.run({ location_id: locationId, kind, covered_from: coveredFrom, watermark, synced_at: new Date().toISOString() });
+  }
+
+  // -------------------- Locations --------------------
+  // listAccountLocations-Ergebnis (loc.account) → Tabelle locations
+  const saveLocations = db.transaction((locations) => {
+    const seenAt = new Date().toISOString();
+    for (const loc of locations) {
+      q.location.run({
+        location_id: (loc.name || "").split("/").pop(),
+        account_id:  loc.account?.accountId || null,
+        store_code:  (loc.storeCode || "").toString().trim() || null,
+        title:       (loc.title || "").trim() || null,
+        seen_at:     seenAt,
+      });
+    }
+  });
+
+  // -------------------- Reviews --------------------
+  const saveReviews = db.transaction((locationId, reviews) => {
+    for (const r of reviews) {
+      const reviewId = r.reviewId || (r.name || "").split("/").pop();
+      if (!reviewId) continue;
+      q.review.run({
+        review_id:   reviewId,
+        location_id: locationId,
+        name:        r.name || null,
+        reviewer:    r.reviewer ? JSON.stringify(r.reviewer) : null,
+        star_rating: r.starRating || null,
+        comment:     r.comment ?? null,
+        create_time: r.createTime || null,
+        create_ms:   toMs(r.createTime),
+        update_time: r.updateTime || null,
+        update_ms:   toMs(r.updateTime),
+      });
+      if (r.reviewReply) q.reply.run(locationId, reviewId, r.reviewReply.comment ?? null, r.reviewReply.updateTime || null);
+      else q.dropReply.run(locationId, reviewId);
+    }
+  });
+
+  // Seiten nach updateTime desc, bis keep(page) false liefert
+  // → { reviews, complete, totalReviewCount } – complete nur, wenn Google keine weitere Seite hatte
+  async function fetchReviewPages(gbp, account, locationId, keep) {
+    const out = [];
+    let pageToken = "";
+    let totalReviewCount = null;
+    do {
+      const j = await gbp.getJson(
+        account,
+        `https://mybusiness.googleapis.com/v4/accounts/${account.accountId}/locations/${locationId}/reviews`,
+        { params: { pageSize: "50", orderBy: "updateTime desc", pageToken } }
+      );
+      if (j.totalReviewCount !== undefined) totalReviewCount = Number(j.totalReviewCount);
+      const reviews = j.reviews || [];
+      if (!reviews.length) return { reviews: out, complete: true, totalReviewCount };
+      out.push(...reviews);
+      pageToken = j.nextPageToken || "";
+      if (pageToken && !keep(reviews)) return { reviews: out, complete: false, totalReviewCount };
+    } while (pageToken);
+    return { reviews: out, complete: true, totalReviewCount };
+  }
+
+  // Reviews mit createTime ab startDt vollständig in der DB halten:
+  // erstmals (oder früherer Start, fullSync, full) alle Seiten bis zum Startdatum, sonst nur Änderungen
+  // seit dem Watermark (updateTime) minus Nachlauf-Fenster.
+  // full: für Jobs mit kurzem Fenster, die sich auf den Antwort-Status verlassen (SLA)
+  // Löschungen erkennt nur eine komplette Liste (letzte Seite erreicht): Die Seiten sind nach updateTime
+  // sortiert, ein früher Stopp kann alte, kürzlich bearbeitete Reviews noch vor sich haben.
+  async function syncReviews(gbp, account, locationId, startDt, { full = false } = {}) {
+    const state   = getState(locationId, "reviews");
+    const startMs = startDt.toMillis();
+    const deep    = full || fullSync || !state || startMs < toMs(state.covered_from);
+
+    let listing;
+    if (deep) {
+      let below = 0;
+      listing = await fetchReviewPages(gbp, account, locationId, (page) => {
+        below = page.some((r) => r.createTime && toMs(r.createTime) >= startMs) ? 0 : below + 1;
+        return fullSync || below < PAGES_BELOW_CUTOFF;
+      });
+    } else {
+      const since = DateTime.fromISO(state.watermark, { setZone: true }).minus({ days: trailingDays }).toMillis();
+      listing = await fetchReviewPages(gbp, account, locationId, (page) => page.some((r) => toMs(r.updateTime) >= since));
+    }
+    const { reviews } = listing;
+
+    const watermark = reviews.reduce(
+      (max, r) => (r.updateTime && (!max || toMs(r.updateTime) > toMs(max)) ? r.updateTime : max),
+      state?.watermark || null
+    );
+
+    db.transaction(() => {
+      // Komplette Liste: was Google nicht mehr liefert, ist gelöscht
+      if (deep && listing.complete) {
+        q.dropReplies.run({ location_id: locationId, start_ms: startMs });
+        q.dropReviews.run(locationId, startMs);
+      }
+      saveReviews(locationId, reviews);
+      const coveredFrom = state && toMs(state.covered_from) < startMs ? state.covered_from : startDt.toUTC().toISO();
+      setState(locationId, "reviews", coveredFrom, watermark || new Date().toISOString());
+    })();
+
+    stats.reviews += reviews.length;
+    return { fetched: reviews.length, deep, complete: listing.complete, totalReviewCount: listing.totalReviewCount };
+  }
+
+  // Reviews im Zeitraum (createTime), in der Form der API (reviewReply nur mit Antwort)
+  function reviews(locationId, startDt, endDt) {
+    return q.reviews.all(locationId, startDt.toMillis(), endDt.toMillis()).map((row) => ({
+      name:        row.name,
+      reviewId:    row.review_id,
+      reviewer:    row.reviewer ? JSON.parse(row.reviewer) : undefined,
+      starRating:  row.star_rating || undefined,
+      comment:     row.comment ?? undefined,
+      createTime:  row.create_time,
+      updateTime:  row.update_time,
+      ...(row.reply_comment !== null || row.reply_update_time !== null
+        ? { reviewReply: { comment: row.reply_comment ?? undefined, updateTime: row.reply_update_time || undefined } }
+        : {}),
+    }));
+  }
+
+  // -------------------- Performance-Tageswerte --------------------
+  const saveMetrics = db.transaction((locationId, byMetric) => {
+    for (const [metric, byDate] of Object.entries(byMetric)) {
+      for (const [date, value] of Object.entries(byDate || {})) q.metric.run(locationId, metric, date, value);
+    }
+  });
+
+  // In diesem Lauf angefragte, aber nicht gelieferte Metriken: "location|metric" → [[from, to], …]
+  const refused = new Map();
+
+  // Tageswerte startDt..endDt für alle Metriken in der DB halten. Je Metrik fehlt:
+  // alles ohne Stand, der Bereich vor covered_from (bis dorthin, damit keine Lücke entsteht)
+  // und alles ab watermark minus Nachlauf-Fenster bis zum Ende – auch wenn der Start erst danach
+  // liegt, sonst entstünde zwischen Watermark und Start eine Lücke im Bereich.
+  // Geholt wird die Vereinigung in einem Request.
+  async function syncDailyMetrics(gbp, account, locationId, metrics, startDt, endDt) {
+    const start = startDt.toISODate();
+    const end   = endDt.toISODate();
+
+    let from = null;
+    let to   = null;
+    for (const metric of metrics) {
+      const state = getState(locationId, `metric:${metric}`);
+      let f, t;
+      if (!state) {
+        [f, t] = [start, end];
+      } else if (start < state.covered_from) {
+        const beforeCovered = DateTime.fromISO(state.covered_from).minus({ days: 1 }).toISODate();
+        [f, t] = [start, end > beforeCovered ? end : beforeCovered];
+      } else {
+        const trailing = DateTime.fromISO(state.watermark).minus({ days: trailingDays - 1 }).toISODate();
+        [f, t] = [trailing, end];
+      }
+      if (f > t) continue;
+      if (!from || f < from) from = f;
+      if (!to || t > to) to = t;
+    }
+
+    if (!from) {
+      stats.skipped++;
+      return { days: 0 };
+    }
+
+    const byMetric = await fetchDailyMetrics(gbp, account, locationId, metrics,
+      DateTime.fromISO(from, { zone: tz }), DateTime.fromISO(to, { zone: tz }));
+
+    db.transaction(() => {
+      saveMetrics(locationId, byMetric);
+      for (const metric of metrics) {
+        if (!byMetric[metric]) {
+          const key = `${locationId}|${metric}`;
+          refused.set(key, [...(refused.get(key) || []), [from, to]]);
+          continue;
+        }
+        const state = getState(locationId, `metric:${metric}`);
+        setState(
+          locationId,
+          `metric:${metric}`,
+          state && state.covered_from < from ? state.covered_from : from,
+          state && state.watermark > to ? state.watermark : to
+        );
+      }
+    })();
+
+    const days = Math.round(DateTime.fromISO(to).diff(DateTime.fromISO(from), "days").days) + 1;
+    stats.days += days;
+    return { days };
+  }
+
+  // { [metric]: { "YYYY-MM-DD": Zahl } } wie fetchDailyMetrics, aus der DB
+  function dailyMetrics(locationId, metrics, startDt, endDt) {
+    const out = Object.fromEntries(metrics.map((m) => [m, {}]));
+    for (const row of q.metrics.all(locationId, startDt.toISODate(), endDt.toISODate())) {
+      if (out[row.metric]) out[row.metric][row.date] = row.value;
+    }
+    return out;
+  }
+
+  // Welche Tage je Metrik wirklich bei Google angefragt wurden: der Bereich aus sync_state plus
+  // in diesem Lauf verweigerte Zeiträume (403). Nur dort heißt ein fehlender Wert "Google hat nichts",
+  // sonst "nie geholt". → { [metric]: [[from, to], …] } (ISO-Daten, inklusive)
+  function fetchedRanges(locationId, metrics) {
+    return Object.fromEntries(metrics.map((metric) => {
+      const state = getState(locationId, `metric:${metric}`);
+      const own   = state ? [[state.covered_from, state.watermark]] : [];
+      return [metric, [...own, ...(refused.get(`${locationId}|${metric}`) || [])]];
+    }));
+  }
+
+  // Log-Zeile am Ende
+  function summary() {
+    const count = (table) => db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+    return `${file}${dryRun ? " (Dry-Run, nicht gespeichert)" : ""}: ${count("reviews")} Reviews, ${count("daily_metrics")} Tageswerte` +
+      ` · geholt: ${stats.reviews} Reviews, ${stats.days} Tage${stats.skipped ? `, ${stats.skipped}× aktuell` : ""}`;
+  }
+
+  return {
+    file, saveLocations, syncReviews, reviews, syncDailyMetrics, dailyMetrics, fetchedRanges, summary,
+    close: () => db.close(),
+  };
+}